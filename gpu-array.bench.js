@@ -65,6 +65,22 @@ await BENCH(`sqrt: N = ${N}`, [
 ]);
 
 
+await BENCH(`sum: N = ${N}`, [
+    [`js`, () => {
+        return [a.reduce((s, ai) => s + ai, 0)];
+    }],
+    [`gpu (set bulk)`, async () => {
+        const A = gpu.Array({shape: N});
+        A.set(a);
+
+        const C = gpu.sum(A);
+        await C.load();
+
+        return C;
+    }],
+]);
+
+
 await BENCH(`random: N = ${N}`, [
     [`js: Math.random`, () => {
         const n = Array.from({length: N}, () => Math.random());
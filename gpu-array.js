@@ -4,11 +4,21 @@ import { Float16Array } from "https://cdn.jsdelivr.net/npm/@petamoriken/float16/
 
 import {
     vector_op, vector_op_indirect,
-    func1,
+    func1, func1_indirect,
     func2, func2_indirect,
-    reduce_op, reduce_func,
+    func3, func3_indirect,
+    reduce_op, reduce_func, arg_reduce,
+    matmul,
+    lu_factor, lu_solve, lu_unpack, cholesky, qr, qr_unpack,
+    eigh_jacobi, svd_jacobi,
+    fft_stockham, fft_chirp,
+    conv2d, pool2d,
     xoshiro128pp, xoshiro128pp_init,
     box_muller,
+    copy,
+    flat_index, gather, scatter_winner, scatter, scatter_atomic,
+    scan, scan_add, nonzero_flag, unique_flag, compress, nonzero,
+    histogram, bitonic_step, bitonic_local,
     where, where_indirect,
 } from "./shader.js";
 
@@ -27,7 +37,11 @@ import {
  * @property {AdapterOptions?} adapter
  * @property {DeviceOptions?} device
  *
- * @typedef {"i32" | "u32" | "f16" | "f32"} DType
+ * @typedef {"i32" | "u32" | "f16" | "f32" | "c64"} DType
+ *
+ * @typedef {Object} Complex
+ * @property {number} re
+ * @property {number} im
  *
  * @typedef {"read-only" | "write-only" | "read-wirite"} Mode
  *
@@ -52,8 +66,168 @@ import {
  * @typedef {Object} PRNGOptions
  * @property {number | bigint | undefined} seed
  * @property {number?} size
+ *
+ * @typedef {Object} SliceOptions
+ * @property {number?} start
+ * @property {number?} stop
+ * @property {number?} step
+ *
+ * @typedef {Object} ViewOptions
+ * @property {NDArray} base
+ * @property {number} offset
+ *
+ * @typedef {"clip" | "wrap"} IndexMode
+ *
+ * @typedef {Object} TakeOptions
+ * @property {number?} axis
+ * @property {IndexMode?} mode
+ * @property {NDArray?} out
+ *
+ * @typedef {Object} ScatterOptions
+ * @property {number?} axis
+ * @property {IndexMode?} mode
+ *
+ * @typedef {Object} PadOptions
+ * @property {"constant" | "edge" | "reflect" | undefined} mode
+ * @property {number?} constant_values
+ *
+ * @typedef {Object} AstypeOptions
+ * @property {bool?} copy - If false, return itself when dtype is same. (Default: true)
+ * @property {"no" | "safe" | "same_kind" | "unsafe" | undefined} casting
+ *
+ * @typedef {Object} ReduceOptions
+ * @property {number | number[] | undefined} axis
+ * @property {bool?} keepdims
+ * @property {NDArray?} out
+ * @property {string?} dtype - Accumulation (and default output) type
+ */
+
+/**
+ * @typedef {ReduceOptions} VarOptions
+ * @property {number?} ddof - Delta degrees of freedom. Divisor is N - ddof.
+ */
+
+/**
+ * @typedef {ReduceOptions} NormOptions
+ * @property {number | string | undefined} ord
+ */
+
+
+/**
+ * @typedef {Object} ScanOptions
+ * @property {number?} axis - Flattened if undefined
+ * @property {bool?} exclusive
+ * @property {string?} dtype
+ * @property {NDArray?} out
+ */
+
+
+/**
+ * @typedef {Object} SortOptions
+ * @property {number | null | undefined} axis - Last axis if undefined, flattened if null
+ * @property {bool?} descending
+ * @property {NDArray?} out
+ */
+
+/**
+ * @typedef {Object} TopkOptions
+ * @property {number?} axis - Last axis if undefined
+ * @property {bool?} largest - Smallest elements if false (default: true)
+ */
+
+
+/**
+ * @typedef {Object} UniqueOptions
+ * @property {bool?} return_inverse
+ * @property {bool?} return_counts
  */
 
+/**
+ * @typedef {Object} BincountOptions
+ * @property {NDArray?} weights - Same shape as arg
+ * @property {number?} minlength
+ */
+
+/**
+ * @typedef {Object} HistogramOptions
+ * @property {number | number[] | undefined} bins - Number of bins (default: 10) or bin edges
+ * @property {number[]?} range - [min, max]. (default: min and max of arg)
+ */
+
+
+/**
+ * @typedef {Object} QROptions
+ * @property {"reduced" | "complete" | "r" | undefined} mode
+ *
+ * @typedef {Object} SVDOptions
+ * @property {bool?} full_matrices - Default: true
+ */
+
+/**
+ * @typedef {Object} ConvOptions
+ * @property {NDArray?} bias - [OC]
+ * @property {number | number[] | undefined} stride - Default: 1
+ * @property {number | number[] | undefined} padding - Default: 0
+ * @property {number | number[] | undefined} dilation - Default: 1
+ * @property {number?} groups - Default: 1
+ * @property {"NCHW" | "NHWC" | undefined} data_format - Default: "NCHW"
+ *
+ * @typedef {Object} ConvTransposeOptions
+ * @property {NDArray?} bias - [OC]
+ * @property {number | number[] | undefined} stride - Default: 1
+ * @property {number | number[] | undefined} padding - Default: 0
+ * @property {number | number[] | undefined} output_padding - Default: 0
+ * @property {number | number[] | undefined} dilation - Default: 1
+ * @property {number?} groups - Default: 1
+ * @property {"NCHW" | "NHWC" | undefined} data_format - Default: "NCHW"
+ *
+ * @typedef {Object} Conv1dOptions
+ * @property {NDArray?} bias - [OC]
+ * @property {number?} stride - Default: 1
+ * @property {number?} padding - Default: 0
+ * @property {number?} dilation - Default: 1
+ * @property {number?} groups - Default: 1
+ * @property {"NCL" | "NLC" | undefined} data_format - Default: "NCL"
+ *
+ * @typedef {Object} PoolOptions
+ * @property {number | number[]} kernel_size
+ * @property {number | number[] | undefined} stride - Default: kernel_size
+ * @property {number | number[] | undefined} padding - Default: 0 (At most half of kernel_size)
+ * @property {number | number[] | undefined} dilation - Default: 1 (max_pool2d only)
+ * @property {bool?} count_include_pad - Default: true (avg_pool2d only)
+ * @property {"NCHW" | "NHWC" | undefined} data_format - Default: "NCHW"
+ */
+
+/**
+ * @typedef {Object} FFTOptions
+ * @property {number?} n - Number of data points (cropped or zero-padded)
+ * @property {number?} axis - Default: -1
+ * @property {"backward" | "ortho" | "forward" | undefined} norm
+ *
+ * @typedef {Object} FFTNOptions
+ * @property {number[]?} axes
+ * @property {"backward" | "ortho" | "forward" | undefined} norm
+ */
+
+
+/**
+ * Lowest / highest values as WGSL expressions
+ *
+ * Float infinities require `inf()` which is defined by shader templates.
+ */
+const lowest = {
+    f32: "-inf()",
+    f16: "-inf()",
+    i32: "-2147483647 - 1",
+    u32: "0",
+};
+const highest = {
+    f32: "inf()",
+    f16: "inf()",
+    i32: "2147483647",
+    u32: "4294967295",
+};
+
 
 /**
  * @param {number[][]} shapes
@@ -81,6 +255,17 @@ const equalShapes = (...shapes) => {
 
 
 /**
+ * Type Promotion Table (similar to NumPy, but without 64bit types)
+ *
+ *       | i32 | u32 | f16 | f32 | c64
+ *   ----+-----+-----+-----+-----+-----
+ *   i32 | i32 | i32 | f32 | f32 | c64
+ *   u32 | i32 | u32 | f32 | f32 | c64
+ *   f16 | f32 | f32 | f16 | f32 | c64
+ *   f32 | f32 | f32 | f32 | f32 | c64
+ *   c64 | c64 | c64 | c64 | c64 | c64
+ *
+ * undefined (scalar) is weakly typed and doesn't change the other.
  * @param {string?} t1
  * @param {string?} t2
  * @returns {string}
@@ -90,20 +275,206 @@ const promoteType = (t1, t2) => {
         return t1 ?? "f32";
     }
 
-    if((t1 === "f32") || (t2 === "f32")){
+    if((t1 === undefined) || (t2 === undefined)){
+        return t1 ?? t2;
+    }
+
+    if((t1 === "c64") || (t2 === "c64")){
+        return "c64";
+    }
+
+    const int1 = ["i32", "u32"].includes(t1);
+    const int2 = ["i32", "u32"].includes(t2);
+    if(int1 && int2){
+        return "i32";
+    }
+
+    // f16 cannot represent 32bit integers.
+    return "f32";
+};
+
+
+/**
+ * Result Type of NDArrays and (weakly typed) scalars (similar to NumPy's NEP 50)
+ *
+ * Scalars don't change dtype of arrays, except that
+ * non-integer scalar with integer arrays results in "f32".
+ * Integer scalars out of range of integer dtype throw Error.
+ * @param {Array<NDArray | number>} args
+ * @returns {string}
+ */
+const resultType = (...args) => {
+    const scalars = args.filter(a => typeof a === "number");
+    let dtype = args
+        .filter(a => typeof a !== "number")
+        .reduce((t, a) => promoteType(t, a.dtype), undefined);
+
+    if(dtype === undefined){
         return "f32";
     }
 
-    if((t1 === "f16") || (t2 === "f16")){
-        return "f16";
+    if(["i32", "u32"].includes(dtype)){
+        if(scalars.some(v => !Number.isInteger(v))){
+            return "f32";
+        }
+
+        const [min, max] = (dtype === "i32") ? [-(2 ** 31), 2 ** 31 - 1] : [0, 2 ** 32 - 1];
+        const over = scalars.find(v => (v < min) || (v > max));
+        if(over !== undefined){
+            throw new Error(`Scalar ${over} is out of range of ${dtype}`);
+        }
+    }
+
+    return dtype;
+};
+
+
+/**
+ * Whether dtype can be cast (same as NumPy's `can_cast`)
+ * @param {string} from
+ * @param {string} to
+ * @param {"no" | "safe" | "same_kind" | "unsafe"} casting
+ * @returns {bool}
+ */
+const canCast = (from, to, casting) => {
+    // unsigned < signed < float < complex (same as NumPy)
+    const kind = (t) => ({ u32: 0, i32: 1, f16: 2, f32: 2, c64: 3 })[t];
+
+    switch(casting){
+    case "no":
+        return from === to;
+    case "safe":
+        return (from === to) || ((from === "f16") && ["f32", "c64"].includes(to)) ||
+            ((from === "f32") && (to === "c64"));
+    case "same_kind":
+        return kind(from) <= kind(to);
+    case "unsafe":
+        return true;
+    default:
+        throw new Error(`Unknown casting: ${casting}`);
+    }
+};
+
+
+/**
+ * @param {string} name
+ * @param {Array<NDArray | number>} args
+ */
+const assertInteger = (name, ...args) => {
+    for(const a of args){
+        if((a.dtype !== undefined) && !["i32", "u32"].includes(a.dtype)){
+            throw new Error(`${name}() supports only "i32" and "u32": ${a.dtype}`);
+        }
+    }
+};
+
+
+/**
+ * @param {string} name
+ * @param {Array<NDArray | number>} args
+ */
+const assertReal = (name, ...args) => {
+    for(const a of args){
+        if(a?.dtype === "c64"){
+            throw new Error(`${name} does not support "c64"`);
+        }
+    }
+};
+
+
+/**
+ * @param {*} value
+ * @returns {bool}
+ */
+const isComplex = (value) => (typeof value?.re === "number") && (typeof value?.im === "number");
+
+
+/**
+ * TypedArray-like CPU data of "c64"
+ *
+ * Real and imaginary parts are interleaved in Float32Array.
+ * Elements are read as Complex, and can be written as Complex or (real) number.
+ */
+class Complex64Array {
+    /**
+     * @param {number} length
+     */
+    constructor(length){
+        /** @type {Float32Array} */
+        this.data = new Float32Array(2 * length);
+
+        /** @type {number} */
+        this.length = length;
+
+        /** @type {ArrayBuffer} */
+        this.buffer = this.data.buffer;
+
+        // Integer keys access elements like TypedArray.
+        const isIndex = (key) => (typeof key === "string") && /^\d+$/.test(key);
+        return new Proxy(this, {
+            get: (target, key, receiver) => isIndex(key) ?
+                target.at(Number(key)) :
+                Reflect.get(target, key, receiver),
+            set: (target, key, value, receiver) => {
+                if(isIndex(key)){
+                    target.put(Number(key), value);
+                    return true;
+                }
+                return Reflect.set(target, key, value, receiver);
+            },
+        });
+    }
+
+    /**
+     * @param {number} i - Negative index counts from the end.
+     * @returns {Complex | undefined}
+     */
+    at(i){
+        i = (i < 0) ? i + this.length : i;
+        if((i < 0) || (i >= this.length)){
+            return undefined;
+        }
+        return { re: this.data[2 * i], im: this.data[2 * i + 1] };
+    }
+
+    /**
+     * @param {number} i
+     * @param {Complex | number} value
+     */
+    put(i, value){
+        this.data[2 * i] = isComplex(value) ? value.re : value;
+        this.data[2 * i + 1] = isComplex(value) ? value.im : 0;
+    }
+
+    /**
+     * @param {ArrayLike<Complex | number>} values
+     * @param {number} offset
+     */
+    set(values, offset = 0){
+        if(values instanceof Complex64Array){
+            this.data.set(values.data, 2 * offset);
+            return;
+        }
+        Array.from(values).forEach((v, i) => this.put(offset + i, v));
     }
 
-    if((t1 !== undefined) && (t2 !== undefined)){
-        throw new Error(`Incompatible Types: ${t1}, ${t2}`);
+    /**
+     * @param {Complex | number} value
+     * @returns {Complex64Array}
+     */
+    fill(value){
+        for(let i = 0; i < this.length; i++){
+            this.put(i, value);
+        }
+        return this;
     }
 
-    return t1 ?? t2;
-}
+    *[Symbol.iterator](){
+        for(let i = 0; i < this.length; i++){
+            yield this.at(i);
+        }
+    }
+};
 
 
 /**
@@ -167,6 +538,146 @@ const broadcastStrides = (array, shape) => {
 };
 
 
+/**
+ * Shape and Flattened Values of (Nested) Array
+ * @param {number | Complex | Array | TypedArray | NDArray} value
+ * @returns {{shape: number[], values: ArrayLike<number | Complex>}}
+ */
+const flattenValue = (value) => {
+    if((typeof value === "number") || isComplex(value)){
+        return { shape: [], values: [value] };
+    }
+
+    if(value instanceof NDArray){
+        return { shape: value.shape, values: Array.from(value) };
+    }
+
+    if(value.length === 0){
+        throw new Error(`Empty value is not supported`);
+    }
+
+    if((typeof value[0] === "number") || isComplex(value[0])){
+        return { shape: [value.length], values: value };
+    }
+
+    const sub = Array.from(value, v => flattenValue(v));
+    if(sub.some(si => !equalShapes(si.shape, sub[0].shape))){
+        throw new Error(`Inhomogeneous shape of nested array`);
+    }
+
+    return {
+        shape: [value.length, ...sub[0].shape],
+        values: sub.flatMap(si => Array.from(si.values)),
+    };
+};
+
+
+/**
+ * C-order (row major) strides
+ * @param {number[]} shape
+ * @returns {number[]}
+ */
+const contiguousStrides = (shape) => shape.reduce((a, si) => {
+    a = a.map(ai => ai * si);
+    a.push(1);
+    return a;
+}, []);
+
+
+/**
+ * @param {number | number[] | undefined} axis
+ * @param {number} ndim
+ * @param {bool} sort
+ * @returns {number[]}
+ */
+const normalizeAxis = (axis, ndim, sort = true) => {
+    axis ??= Array.from({ length: ndim }, (_, i) => i);
+    if(typeof axis === "number"){
+        axis = [axis];
+    }
+
+    axis = axis.map(a => {
+        if((a < -ndim) || (a >= ndim)){
+            throw new Error(`axis ${a} is out of bounds for ${ndim}D array`);
+        }
+        return (a < 0) ? a + ndim : a;
+    });
+
+    if((new Set(axis)).size !== axis.length){
+        throw new Error(`Duplicated axis: [${axis.join(",")}]`);
+    }
+
+    return sort ? axis.sort((a, b) => a - b) : axis;
+};
+
+
+/**
+ * @param {number} index
+ * @param {number} length
+ * @returns {number}
+ */
+const normalizeIndex = (index, length) => {
+    if((index < -length) || (index >= length) || !Number.isInteger(index)){
+        throw new Error(`Index ${index} is out of range [${-length}, ${length})`);
+    }
+    return (index < 0) ? index + length : index;
+};
+
+
+/**
+ * Normalize slice like Python's `slice.indices()`
+ * @param {string | SliceOptions | null | undefined} range
+ * @param {number} length
+ * @returns {{start: number, step: number, length: number}}
+ */
+const parseSlice = (range, length) => {
+    if(typeof range === "string"){
+        const s = range.split(":");
+        if(s.length > 3){
+            throw new Error(`Invalid slice: "${range}"`);
+        }
+        const [start, stop, step] = s.map(si => (si.trim() === "") ? undefined : Number(si));
+        range = { start, stop, step };
+    }
+
+    let { start, stop, step } = range ?? {};
+    step ??= 1;
+    if(step === 0){
+        throw new Error(`step === 0 is not allowed`);
+    }
+    if([start, stop, step].some(v => (v !== undefined) && !Number.isInteger(v))){
+        throw new Error(`Slice must be integer: { start: ${start}, stop: ${stop}, step: ${step} }`);
+    }
+
+    const clip = (v, lo, hi) => {
+        if(v < 0){ v += length; }
+        return Math.min(Math.max(v, lo), hi);
+    };
+
+    if(step > 0){
+        start = (start === undefined) ? 0 : clip(start, 0, length);
+        stop = (stop === undefined) ? length : clip(stop, 0, length);
+    } else {
+        start = (start === undefined) ? length - 1 : clip(start, -1, length - 1);
+        stop = (stop === undefined) ? -1 : clip(stop, -1, length - 1);
+    }
+
+    const n = Math.ceil((stop - start) / step);
+    return { start, step, length: Math.max(n, 0) };
+};
+
+
+/**
+ * Fold W workgroups into 2D dispatch, because each dimension is limited to 65535
+ * @param {number} W - Number of workgroups
+ * @returns {number[]}
+ */
+const foldDispatch = (W) => {
+    const X = Math.min(W, 65535);
+    return [X, Math.ceil(W / X)];
+};
+
+
 class GPUBackend {
     /**
      * @constructor
@@ -191,6 +702,12 @@ class GPUBackend {
         /** @type {Map<GPUShaderModule, GPUComputePipeliine>} */
         this.pipe = new Map();
 
+        /** @type {Linalg} */
+        this.linalg = new Linalg(this);
+
+        /** @type {FFT} */
+        this.fft = new FFT(this);
+
         // Vector Operand
         const vop = [
             ["add", "+"],
@@ -202,16 +719,52 @@ class GPUBackend {
             this[name] = (lhs, rhs, out) => this._vector_op(op, lhs, rhs, out);
         }
 
+        // Comparison Op
+        const cmp_op = [
+            ["eq", "=="],
+            ["ne", "!="],
+            ["lt", "<"],
+            ["le", "<="],
+            ["gt", ">"],
+            ["ge", ">="],
+        ];
+        for(const [name, op] of cmp_op){
+            this[name] = (lhs, rhs, out) => this._vector_op(op, lhs, rhs, out, "compare");
+        }
+
+        // Logical Op
+        const logical_op = [
+            ["logical_and", "&&"],
+            ["logical_or", "||"],
+            ["logical_xor", "!="],
+        ];
+        for(const [name, op] of logical_op){
+            this[name] = (lhs, rhs, out) => this._vector_op(op, lhs, rhs, out, "logical");
+        }
+        this.logical_not = (arg, out) => {
+            assertReal("logical_not()", arg);
+            return this._func1("!", arg, out, "logical");
+        };
+
+        // Predicate Function
+        const pred = [
+            "isnan", "isinf", "isfinite",
+        ];
+        for(const f of pred){
+            this[f] = (arg, out) => {
+                assertReal(`${f}()`, arg);
+                return this._func1(f, arg, out, "compare");
+            };
+        }
+
         // Function with 1 Argument
         const f1 = [
-            "abs",
             "acos", "acosh",
             "asin", "asinh",
-            "atan", "atanh", "atan2",
+            "atan", "atanh",
             "ceil",
-            "clamp",
             "cos", "cosh",
-            "exp", "exp2",
+            "exp2",
             "floor",
             "log", "log2",
             "sign",
@@ -220,16 +773,113 @@ class GPUBackend {
             "tan", "tanh",
         ];
         for(const f of f1){
-            this[f] = (arg, out) => this._func1(f, arg, out);
+            this[f] = (arg, out) => {
+                assertReal(`${f}()`, arg);
+                return this._func1(f, arg, out);
+            };
+        }
+
+        // Function supporting Complex: [name, f for "c64", whether result is real, f for real]
+        const complex_f = [
+            ["real", "creal", true, ""],
+            ["imag", "cimag", true, "imag"],
+            ["conj", "cconj", false, ""],
+            ["abs", "cabs", true, "abs"],
+            ["angle", "cangle", true, "angle"],
+            ["exp", "cexp", false, "exp"],
+        ];
+        for(const [name, cf, real, rf] of complex_f){
+            this[name] = (arg, out) => {
+                if(arg.dtype !== "c64"){
+                    const dtype = ((name === "angle") && ["i32", "u32"].includes(arg.dtype)) ?
+                          "f32" : arg.dtype;
+                    out ??= this.Array({ shape: arg.shape, dtype });
+                    return this._func1(rf, arg, out);
+                }
+
+                out ??= this.Array({ shape: arg.shape, dtype: real ? "f32" : "c64" });
+                if(!real && (out.dtype !== "c64")){
+                    throw new Error(`Cannot cast ${name}() result from "c64" to "${out.dtype}"`);
+                }
+                return this._func1(cf, arg, out);
+            };
         }
 
         // Function with 2 Arguments
         const f2 = [
+            "atan2",
             "max", "min",
             "pow",
+            "step",
         ];
         for(const f of f2){
-            this[f] = (arg0, arg1, out) => this._func2(f, arg0, arg1, out);
+            this[f] = (arg0, arg1, out) => {
+                assertReal(`${f}()`, arg0, arg1);
+                return this._func2(f, arg0, arg1, out);
+            };
+        }
+
+        // Function with 3 Arguments
+        const f3 = [
+            "clamp",
+            "fma",
+            "mix",
+            "smoothstep",
+        ];
+        for(const f of f3){
+            this[f] = (arg0, arg1, arg2, out) => {
+                assertReal(`${f}()`, arg0, arg1, arg2);
+                return this._func3(f, arg0, arg1, arg2, out);
+            };
+        }
+
+        // Integer Op
+        const int_op = [
+            ["bitwise_and", "&"],
+            ["bitwise_or", "|"],
+            ["bitwise_xor", "^"],
+        ];
+        for(const [name, op] of int_op){
+            this[name] = (lhs, rhs, out) => {
+                assertInteger(name, lhs, rhs);
+                return this._vector_op(op, lhs, rhs, out);
+            };
+        }
+
+        const int_f1 = [
+            ["invert", "~"],
+            ["popcount", "countOneBits"],
+            ["reverseBits", "reverseBits"],
+        ];
+        for(const [name, f] of int_f1){
+            this[name] = (arg, out) => {
+                assertInteger(name, arg);
+                return this._func1(f, arg, out);
+            };
+        }
+
+        const int_f2 = [
+            "left_shift",
+            "right_shift",
+        ];
+        for(const f of int_f2){
+            this[f] = (arg0, arg1, out) => {
+                assertInteger(f, arg0, arg1);
+                return this._func2(f, arg0, arg1, out);
+            };
+        }
+
+        // Floor Division (NumPy's sign semantics: sign of remainder follows divisor)
+        const div_f2 = [
+            ["mod", "floor_mod"],
+            ["remainder", "floor_mod"],
+            ["floor_divide", "floor_div"],
+        ];
+        for(const [name, f] of div_f2){
+            this[name] = (arg0, arg1, out) => {
+                assertReal(`${name}()`, arg0, arg1);
+                return this._func2(f, arg0, arg1, out);
+            };
         }
 
         // Reduction Op
@@ -238,7 +888,7 @@ class GPUBackend {
             ["prod", "*"],
         ];
         for(const [name, op] of red_op){
-            this[name] = (arg) => this._reduce_op(op, arg);
+            this[name] = (arg, options) => this._reduce_op(op, arg, options);
         }
 
         const red_f = [
@@ -246,7 +896,7 @@ class GPUBackend {
             ["maximum", "max"],
         ];
         for(const [name, f] of red_f){
-            this[name] = (arg) => this._reduce_func(f, arg);
+            this[name] = (arg, options) => this._reduce_func(f, arg, options);
         }
     }
 
@@ -344,7 +994,7 @@ class GPUBackend {
      */
     Array(options){
         this.assertLost();
-        return new NDArray(this.device, options);
+        return new NDArray(this, options);
     }
 
     /**
@@ -361,7 +1011,7 @@ class GPUBackend {
 
     /**
      * Create NDArray filled with value
-     * @param {number} value
+     * @param {number | Complex} value
      * @param {ArrayOptions?} options
      * @returns {NDArray}
      */
@@ -411,7 +1061,7 @@ class GPUBackend {
     }
 
     /**
-     * @param {number[] | TypedArray} value
+     * @param {Array<number | Complex> | TypedArray} value
      * @param {ArrayOptions?} options
      * @returns {NDArray}
      */
@@ -425,6 +1075,8 @@ class GPUBackend {
             o.dtype = "f16";
         } else if(value instanceof Float32Array){
             o.dtype = "f32";
+        } else if((value instanceof Complex64Array) || isComplex(value[0])){
+            o.dtype = "c64";
         }
 
         const a = this.Array({ ...o, ...options });
@@ -447,6 +1099,50 @@ class GPUBackend {
         };
     }
 
+    /**
+     * Strides Buffer for Broadcast: [...strides, offset]
+     * @param {NDArray} array
+     * @param {number[]} shape
+     */
+    #broadcastBuffer(array, shape){
+        return this.#stridesBuffer([...broadcastStrides(array, shape), array.offset]);
+    }
+
+    /**
+     * Strides Buffer for out: [size, offset, (contiguous stride, stride)...]
+     *
+     * size is the number of elements, which is smaller than length
+     * of non-view array with custom strides.
+     * @param {NDArray} out
+     */
+    #outBuffer(out){
+        const contiguous = contiguousStrides(out.shape);
+        return this.#stridesBuffer([
+            out.shape.reduce((a, s) => a * s, 1), out.offset,
+            ...out.strides.flatMap((s, d) => [contiguous[d], s]),
+        ]);
+    }
+
+    /**
+     * Copy inputs sharing GPU buffer with out,
+     * because a buffer cannot be bound as both read-only and writable.
+     * @param {NDArray} out
+     * @param {Array<NDArray | number>} args
+     * @returns {Array<NDArray | number>} - Caller must destroy copied inputs.
+     */
+    #unalias(out, ...args){
+        return args.map(a => ((a instanceof NDArray) && (a.gpu === out.gpu)) ? this.copy(a) : a);
+    }
+
+    /**
+     * Destroy temporary copies made by #unalias()
+     * @param {Array<NDArray | number>} args
+     * @param {Array<NDArray | number>} originals
+     */
+    #destroyCopies(args, originals){
+        this._destroyOnDone(...args.filter((a, i) => a !== originals[i]));
+    }
+
     _destroyOnDone(...arrays){
         this.device.queue.onSubmittedWorkDone().then(() => {
             arrays.forEach(a => a?.gpu.destroy());
@@ -479,6 +1175,11 @@ class GPUBackend {
             }
         }
 
+        // Nothing to compute for empty arrays.
+        if(dispatch.some(d => d === 0)){
+            return;
+        }
+
         const {
             bindGroupLayout, pipelineLayout,
         } = this.createLayout(specs.map(s => s.mode));
@@ -528,15 +1229,74 @@ class GPUBackend {
         return 64;
     }
 
-    _vector_op(op, lhs, rhs, out){
-        const dtype = promoteType(lhs.dtype, rhs.dtype);
+    /**
+     * @returns {number}
+     */
+    get sizeTile(){
+        return 16;
+    }
 
-        out ??= this.Array({ shape: broadcastShapes(lhs.shape, rhs.shape), dtype });
-        const size = this.sizeX;
+    /**
+     * @returns {number}
+     */
+    get sizeReduce(){
+        return 256;
+    }
 
-        if(out.custom_strides){
-            throw new Error(`Custom Strides for out is not supported`);
+    /**
+     * Number of elements scanned serially by each invocation
+     * @returns {number}
+     */
+    get sizeScan(){
+        return 4;
+    }
+
+    /**
+     * Element-wise Binary Operator
+     *
+     * mask
+     * - undefined: Arithmetic operator. out has promoted dtype.
+     * - "compare": Comparison operator. out is "u32" mask (0 or 1).
+     * - "logical": Logical operator. Inputs are converted to bool, and out is "u32" mask.
+     * Complex scalar is passed as 1 element "c64" array.
+     * @param {string} op - WGSL operator
+     * @param {NDArray | number | Complex} lhs
+     * @param {NDArray | number | Complex} rhs
+     * @param {NDArray?} out
+     * @param {"compare" | "logical" | undefined} mask
+     * @returns {NDArray}
+     */
+    _vector_op(op, lhs, rhs, out, mask){
+        if(isComplex(lhs) || isComplex(rhs)){
+            const [l, r] = [lhs, rhs].map(a => isComplex(a) ? this.full(a, { dtype: "c64" }) : a);
+            out ??= this.Array({
+                shape: broadcastShapes(l.shape, r.shape),
+                dtype: (mask === undefined) ? "c64" : "u32",
+            });
+            this._vector_op(op, l, r, out, mask);
+            this._destroyOnDone(...[l, r].filter((a, i) => a !== [lhs, rhs][i]));
+            return out;
+        }
+
+        const dtype = resultType(lhs, rhs);
+        const conv = (a) => (mask === "logical") ? "bool" : ((dtype === a.dtype) ? "" : dtype);
+
+        out ??= this.Array({
+            shape: broadcastShapes(lhs.shape, rhs.shape),
+            dtype: (mask === undefined) ? dtype : "u32",
+        });
+        if(dtype === "c64"){
+            if(mask !== undefined){
+                throw new Error(`Comparison / Logical operators do not support "c64"`);
+            }
+            if(out.dtype !== "c64"){
+                throw new Error(`Cannot cast result from "c64" to "${out.dtype}"`);
+            }
         }
+        const size = this.sizeX;
+
+        const [_lhs, _rhs] = [lhs, rhs];
+        [lhs, rhs] = this.#unalias(out, lhs, rhs);
 
         const lhs_array = lhs instanceof NDArray;
         const rhs_array = rhs instanceof NDArray;
@@ -547,23 +1307,25 @@ class GPUBackend {
             lhs_array ? {
                 binding: b++,
                 type: lhs.dtype,
-                conv: (dtype === lhs.dtype) ? "" : dtype,
+                conv: conv(lhs),
             } : {
                 scalar: true,
                 type: dtype,
+                conv: conv({ dtype }),
             },
             rhs_array ? {
                 binding: b++,
                 type: rhs.dtype,
-                conv: (dtype === rhs.dtype) ? "" : dtype,
+                conv: conv(rhs),
             } : {
                 scalar: true,
                 type: dtype,
+                conv: conv({ dtype }),
             },
             {
                 binding: b++,
                 type: out.dtype,
-                conv: (dtype === out.dtype) ? "" : out.dtype,
+                conv: ((mask === undefined) && (dtype === out.dtype)) ? "" : out.dtype,
             },
         ];
 
@@ -574,7 +1336,7 @@ class GPUBackend {
         if(rhs_array){
             execute_buffers.push({array: rhs, mode: "read-only"});
         }
-        execute_buffers.push({array: out, mode: "write-only"});
+        execute_buffers.push({array: out, mode: out.custom_strides ? "read-write" : "write-only"});
 
 
         const constants = (lhs_array && rhs_array) ? undefined : {};
@@ -591,10 +1353,11 @@ class GPUBackend {
 
         const use_strides = (lhs.custom_strides ||
                              rhs.custom_strides ||
+                             out.custom_strides ||
                              !equalShapes(lhs.shape, rhs.shape, out.shape));
         if(use_strides){
             if(lhs_array){
-                lhs_strides = this.#stridesBuffer(broadcastStrides(lhs, out.shape));
+                lhs_strides = this.#broadcastBuffer(lhs, out.shape);
                 shader_args.push({binding: b++});
                 execute_buffers.push({array: lhs_strides, mode: "read-only"});
             } else {
@@ -602,14 +1365,14 @@ class GPUBackend {
             }
 
             if(rhs_array){
-                rhs_strides = this.#stridesBuffer(broadcastStrides(rhs, out.shape));
+                rhs_strides = this.#broadcastBuffer(rhs, out.shape);
                 shader_args.push({binding: b++});
                 execute_buffers.push({array: rhs_strides, mode: "read-only"});
             } else {
                 shader_args.push({scalar: true});
             }
 
-            out_strides = this.#stridesBuffer(out.strides);
+            out_strides = this.#outBuffer(out);
             shader_args.push(
                 {binding: b++},
             );
@@ -627,185 +1390,528 @@ class GPUBackend {
         this.execute(
             shader,
             execute_buffers,
-            [Math.ceil(out.length / size)],
+            [Math.ceil(out.shape.reduce((a, s) => a * s, 1) / size)],
             constants,
         );
         this._destroyOnDone(lhs_strides, rhs_strides, out_strides);
+        this.#destroyCopies([lhs, rhs], [_lhs, _rhs]);
         return out;
     }
 
-    _func1(f, arg, out){
-        out ??= this.Array({ shape: arg.shape, dtype: arg.dtype });
+    /**
+     * Element-wise Function with 1 Argument
+     *
+     * mask
+     * - undefined: Numeric function. out has same dtype with arg.
+     * - "compare": Predicate function. out is "u32" mask (0 or 1).
+     * - "logical": Logical function. arg is converted to bool, and out is "u32" mask.
+     * @param {string} f - WGSL function name
+     * @param {NDArray} arg
+     * @param {NDArray?} out
+     * @param {"compare" | "logical" | undefined} mask
+     * @returns {NDArray}
+     */
+    _func1(f, arg, out, mask){
+        out ??= this.Array({
+            shape: arg.shape,
+            dtype: (mask === undefined) ? arg.dtype : "u32",
+        });
         const size = this.sizeX;
 
-        if(out.custom_strides){
-            throw new Error(`Custom Strides for out is not supported`);
-        }
+        const _arg = arg;
+        [arg] = this.#unalias(out, arg);
+
+        const out_conv = ((mask === undefined) && (arg.dtype === out.dtype)) ? "" : out.dtype;
+
+        const use_strides = (arg.custom_strides ||
+                             out.custom_strides ||
+                             !equalShapes(arg.shape, out.shape));
+
+        const shader_args = [
+            f, size,
+            {binding: 0, type: arg.dtype, conv: (mask === "logical") ? "bool" : ""},
+            {binding: 1, type: out.dtype, conv: out_conv},
+        ];
+
+        const execute_buffers = [
+            {array: arg, mode: "read-only"},
+            {array: out, mode: out.custom_strides ? "read-write" : "write-only"},
+        ];
+
+        let arg_strides = null;
+        let out_strides = null;
+
+        if(use_strides){
+            arg_strides = this.#broadcastBuffer(arg, out.shape);
+            out_strides = this.#outBuffer(out);
 
-        const out_conv = (arg.dtype === out.dtype) ? "" : out.dtype;
+            shader_args.push({binding: 2}, {binding: 3});
 
-        if(arg.custom_strides ||
-           !equalShapes(arg.shape, out.shape)){
-            throw new Error(`Broadcast is not supported`);
+            execute_buffers.push(
+                {array: arg_strides, mode: "read-only"},
+                {array: out_strides, mode: "read-only"},
+            );
         }
 
         const shader = this.createShader(
-            func1(
-                f, size,
-                {binding: 0, type: arg.dtype, conv: ""},
-                {binding: 1, type: out.dtype, conv: out_conv},
-            ),
-        );
-
-        this.execute(
-            shader,
-            [
-                {array: arg, mode: "read-only"},
-                {array: out, mode: "write-only"},
-            ],
-            [Math.ceil(out.length / size)],
+            use_strides ?
+                func1_indirect(...shader_args) :
+                func1(...shader_args),
         );
 
+        this.execute(shader, execute_buffers, [Math.ceil(out.shape.reduce((a, s) => a * s, 1) / size)]);
+        this._destroyOnDone(arg_strides, out_strides);
+        this.#destroyCopies([arg], [_arg]);
         return out;
     }
 
-    _func2(f, arg0, arg1, out){
-        const dtype = promoteType(arg0.dtype, arg1.dtype);
+    /**
+     * Element-wise Function with multiple NDArray or scalar arguments
+     * @param {string} f - WGSL function name
+     * @param {Array<NDArray | number>} args
+     * @param {NDArray?} out
+     * @param {Function} direct - Template for contiguous arrays
+     * @param {Function} indirect - Template for strided / broadcasted arrays
+     * @returns {NDArray}
+     */
+    #func(f, args, out, direct, indirect){
+        const dtype = resultType(...args);
 
-        out ??= this.Array({ shape: broadcastShapes(arg0.shape, arg1.shape), dtype });
+        out ??= this.Array({ shape: broadcastShapes(...args.map(a => a.shape)), dtype });
         const size = this.sizeX;
 
-        if(out.custom_strides){
-            throw new Error(`Custom Strides for out is not supported`);
-        }
-
-        const conv = (v) => (v.dtype === dtype) ? "" : dtype;
-        const out_conv = (out.dtype === dtype) ? "" : out.dtype;
-
-        const use_strides = (arg0.custom_strides ||
-                             arg1.custom_strides ||
-                             !equalShapes(arg0.shape, arg1.shape, out.shape));
+        const _args = args;
+        args = this.#unalias(out, ...args);
+        const is_array = args.map(a => a instanceof NDArray);
 
+        let b = 0;
         const shader_args = [
             f, size,
-            [
-                { binding: 0, type: arg0.dtype, conv: conv(arg0) },
-                { binding: 1, type: arg1.dtype, conv: conv(arg1) },
-            ],
-            { binding: 2, type: out.dtype, conv: out_conv },
+            args.map((a, i) => is_array[i] ? {
+                binding: b++,
+                type: a.dtype,
+                conv: (a.dtype === dtype) ? "" : dtype,
+            } : {
+                scalar: true,
+                type: dtype,
+            }),
+            {
+                binding: b++,
+                type: out.dtype,
+                conv: (out.dtype === dtype) ? "" : out.dtype,
+            },
         ];
 
         const execute_buffers = [
-                {array: arg0, mode: "read-only"},
-                {array: arg1, mode: "read-only"},
-                {array: out, mode: "write-only"},
+            ...args.filter((_, i) => is_array[i]).map(array => {
+                return {array, mode: "read-only"};
+            }),
+            {array: out, mode: out.custom_strides ? "read-write" : "write-only"},
         ];
 
-        let arg0_strides = null;
-        let arg1_strides = null;
-        let out_strides = null;
+        let constants = undefined;
+        args.forEach((a, i) => {
+            if(!is_array[i]){
+                constants ??= {};
+                constants[`arg${i}`] = a;
+            }
+        });
 
+        const strides = [];
+        const use_strides = (args.some(a => a.custom_strides) ||
+                             out.custom_strides ||
+                             !equalShapes(...args.map(a => a.shape), out.shape));
         if(use_strides){
-            arg0_strides = this.#stridesBuffer(broadcastStrides(arg0, out.shape));
-            arg1_strides = this.#stridesBuffer(broadcastStrides(arg1, out.shape));
-            out_strides = this.#stridesBuffer(out.strides);
-
-            shader_args.push(
-                {binding: 3},
-                {binding: 4},
-                {binding: 5},
-            );
-
-            execute_buffers.push(
-                {array: arg0_strides, mode: "read-only"},
-                {array: arg1_strides, mode: "read-only"},
-                {array: out_strides, mode: "read-only"},
-            );
+            shader_args.push(args.map((a, i) => {
+                if(!is_array[i]){
+                    return {scalar: true};
+                }
+                strides.push(this.#broadcastBuffer(a, out.shape));
+                return {binding: b++};
+            }));
+            strides.push(this.#outBuffer(out));
+            shader_args.push({binding: b++});
+
+            execute_buffers.push(...strides.map(array => {
+                return {array, mode: "read-only"};
+            }));
         }
 
         const shader = this.createShader(
             use_strides ?
-                func2_indirect(...shader_args) :
-                func2(...shader_args),
+                indirect(...shader_args) :
+                direct(...shader_args),
         );
 
-        this.execute(shader, execute_buffers, [Math.ceil(out.length / size)]);
-        this._destroyOnDone(arg0_strides, arg1_strides, out_strides);
+        this.execute(
+            shader,
+            execute_buffers,
+            [Math.ceil(out.shape.reduce((a, s) => a * s, 1) / size)],
+            constants,
+        );
+        this._destroyOnDone(...strides);
+        this.#destroyCopies(args, _args);
+        return out;
+    }
+
+    _func2(f, arg0, arg1, out){
+        return this.#func(f, [arg0, arg1], out, func2, func2_indirect);
+    }
+
+    _func3(f, arg0, arg1, arg2, out){
+        return this.#func(f, [arg0, arg1, arg2], out, func3, func3_indirect);
+    }
+
+    #reduceShape(arg, axis, keepdims){
+        const axes = normalizeAxis(axis, arg.shape.length);
+
+        const keep = [];
+        const red = [];
+        const shape = [];
+        arg.shape.forEach((si, i) => {
+            if(axes.includes(i)){
+                red.push(si, arg.strides[i]);
+                if(keepdims){ shape.push(1); }
+            } else {
+                keep.push(si, arg.strides[i]);
+                shape.push(si);
+            }
+        });
+        if(shape.length === 0){ shape.push(1); }
+
+        const R = red.reduce((a, v, i) => (i % 2) ? a : a * v, 1);
+        return { keep, red, shape, R };
+    }
+
+    #reduceOut(arg, options, shape, dtype, run){
+        const out = options?.out ?? this.Array({ shape, dtype });
+        if(out.custom_strides){
+            // Compute into contiguous array, then copy into out.
+            const tmp = this.Array({ shape: out.shape, dtype: out.dtype });
+            run(tmp);
+            this.copy(tmp, out);
+            this._destroyOnDone(tmp);
+            return out;
+        }
+        if(!equalShapes(out.shape, shape)){
+            const s1 = out.shape.join(",");
+            const s2 = shape.join(",");
+            throw new Error(`Incompatible Shape: out [${s1}] !== [${s2}]`);
+        }
+        run(out);
         return out;
     }
 
-    _reduce_op(op, arg){
-        if(arg.custom_strides){
-            throw new Error(`Reduce Op hasn't supported custom strides yet`);
+    #reducePass(template, f, dtype, arg, out, info, map){
+        const info_buffer = this.#stridesBuffer(info);
+        const shader = this.createShader(
+            template(
+                f, this.sizeReduce, dtype,
+                {binding: 0, type: arg.dtype, conv: (arg.dtype === dtype) ? "" : dtype, map},
+                {binding: 1, type: out.dtype, conv: (dtype === out.dtype) ? "" : out.dtype},
+                {binding: 2},
+            ),
+        );
+
+        this.execute(
+            shader,
+            [
+                {array: arg, mode: "read-only"},
+                {array: out, mode: "write-only"},
+                {array: info_buffer, mode: "read-only"},
+            ],
+            foldDispatch(out.length),
+        );
+        this._destroyOnDone(info_buffer);
+    }
+
+    /**
+     * @param {Function} template
+     * @param {string} f
+     * @param {NDArray} arg
+     * @param {ReduceOptions?} options
+     * @param {Function?} map - WGSL expression transforming each element
+     * @param {number?} identity - Result of empty reduction (Default: 0 for "+", 1 for "*")
+     * @returns {NDArray}
+     */
+    #reduce(template, f, arg, options, map, identity){
+        assertReal("Reduction", arg);
+        const { axis, keepdims } = options ?? {};
+        const dtype = options?.dtype ?? arg.dtype;
+        const { keep, red, shape, R } = this.#reduceShape(arg, axis, keepdims);
+
+        identity ??= { "+": 0, "*": 1 }[f];
+        if((R === 0) && (identity === undefined)){
+            throw new Error(`Zero-size reduction of "${f}" has no identity`);
         }
 
-        while(true){
-            const length = (arg.length > 64) ?
-                  Math.min(1 << (Math.floor(Math.log2(arg.length)) -1), this.sizeX):
-                  1;
-            const out = this.Array({ shape: length, dtype: arg.dtype });
+        return this.#reduceOut(arg, options, shape, dtype, (out) => {
+            if(R === 0){
+                const value = this.full(identity, { shape: 1, dtype: out.dtype });
+                this.copy(value.broadcast_to(out.shape), out);
+                this._destroyOnDone(value);
+                return;
+            }
 
-            const shader = this.createShader(
-                reduce_op(
-                    op, length,
-                    {binding: 0, type: arg.dtype, conv: ""},
-                    {binding: 1, type: out.dtype, conv: ""},
-                ),
-            );
+            const size = this.sizeReduce;
+            const O = out.length;
 
-            this.execute(
-                shader,
-                [
-                    {array: arg, mode: "read-only"},
-                    {array: out, mode: "write-only"},
-                ],
-                [1],
-            );
+            // Number of workgroups for each output
+            const G = Math.max(1, Math.min(size,
+                                           Math.ceil(R / size),
+                                           Math.floor(size * 64 / O)));
 
-            if(length === 1){
-                return out;
+            const info = [R, arg.offset, keep.length / 2, ...keep, ...red];
+            if(G === 1){
+                this.#reducePass(template, f, dtype, arg, out, [1, ...info], map);
+                return;
             }
 
-            arg = out;
-            this._destroyOnDone(out);
+            const partial = this.Array({ shape: [O, G], dtype });
+            this.#reducePass(template, f, dtype, arg, partial, [G, ...info], map);
+            this.#reducePass(template, f, dtype, partial, out, [1, G, 0, 1, O, G, G, 1]);
+            this._destroyOnDone(partial);
+        });
+    }
+
+    _reduce_op(op, arg, options){
+        return this.#reduce(reduce_op, op, arg, options);
+    }
+
+    _reduce_func(f, arg, options){
+        return this.#reduce(reduce_func, f, arg, options);
+    }
+
+    #argReduce(cmp, arg, options){
+        assertReal("Reduction", arg);
+        const { axis, keepdims } = options ?? {};
+        if(Array.isArray(axis)){
+            throw new Error(`axis must be a single integer: [${axis.join(",")}]`);
+        }
+        const { keep, red, shape, R } = this.#reduceShape(arg, axis, keepdims);
+        if(R === 0){
+            throw new Error("Attempt to get index of an empty sequence");
         }
+
+        return this.#reduceOut(arg, options, shape, "u32", (out) => {
+            const info = [1, R, arg.offset, keep.length / 2, ...keep, ...red];
+            this.#reducePass(arg_reduce, cmp, arg.dtype, arg, out, info);
+        });
+    }
+
+    /**
+     * Indices of minimum values. Flattened index when axis is undefined.
+     * @param {NDArray} arg
+     * @param {ReduceOptions?} options
+     * @returns {NDArray} - u32 array
+     */
+    argmin(arg, options){
+        return this.#argReduce("<", arg, options);
+    }
+
+    /**
+     * Indices of maximum values. Flattened index when axis is undefined.
+     * @param {NDArray} arg
+     * @param {ReduceOptions?} options
+     * @returns {NDArray} - u32 array
+     */
+    argmax(arg, options){
+        return this.#argReduce(">", arg, options);
+    }
+
+    /**
+     * Whether all elements are non-zero
+     * @param {NDArray} arg
+     * @param {ReduceOptions?} options
+     * @returns {NDArray} - u32 array
+     */
+    all(arg, options){
+        return this.#reduce(reduce_func, "min", arg, { ...options, dtype: "u32" },
+                            (x) => `u32(${x} != ${arg.dtype}(0))`, 1);
+    }
+
+    /**
+     * Whether any elements are non-zero
+     * @param {NDArray} arg
+     * @param {ReduceOptions?} options
+     * @returns {NDArray} - u32 array
+     */
+    any(arg, options){
+        return this.#reduce(reduce_func, "max", arg, { ...options, dtype: "u32" },
+                            (x) => `u32(${x} != ${arg.dtype}(0))`, 0);
+    }
+
+    /**
+     * Number of non-zero elements
+     * @param {NDArray} arg
+     * @param {ReduceOptions?} options
+     * @returns {NDArray} - u32 array
+     */
+    count_nonzero(arg, options){
+        return this.#reduce(reduce_op, "+", arg, { ...options, dtype: "u32" },
+                            (x) => `u32(${x} != ${arg.dtype}(0))`);
     }
 
-    _reduce_func(f, arg){
-        if(arg.custom_strides){
-            throw new Error(`Reduce Func hasn't supported custom strides yet`);
+    /**
+     * Divide f32 sum in place, or into out / a new array of dtype
+     */
+    #divideSum(s, n, dtype, out){
+        out ??= (dtype === s.dtype) ? s : this.Array({ shape: s.shape, dtype });
+        this.div(s, n, out);
+        if(out !== s){
+            this._destroyOnDone(s);
         }
+        return out;
+    }
+
+    /**
+     * Arithmetic mean. Elements are accumulated as f32.
+     * @param {NDArray} arg
+     * @param {ReduceOptions?} options - dtype is output type (default: f16 for f16, otherwise f32)
+     * @returns {NDArray}
+     */
+    mean(arg, options){
+        const { axis, keepdims, out, dtype } = options ?? {};
+        const { R } = this.#reduceShape(arg, axis, keepdims);
+        const s = this.sum(arg, { axis, keepdims, dtype: "f32" });
+        return this.#divideSum(s, R, dtype ?? ((arg.dtype === "f16") ? "f16" : "f32"), out);
+    }
 
-        while(true){
-            const length = (arg.length > 64) ?
-                  Math.min(1 << (Math.floor(Math.log2(arg.length)) -1), this.sizeX):
-                  1;
-            const out = this.Array({ shape: length, dtype: arg.dtype });
+    /**
+     * Variance. Computed with two passes (mean, then squared deviations)
+     * for numerical stability.
+     * @param {NDArray} arg
+     * @param {VarOptions?} options
+     * @returns {NDArray}
+     */
+    var(arg, options){
+        const { axis, keepdims, out, dtype, ddof = 0 } = options ?? {};
+        const { R } = this.#reduceShape(arg, axis, keepdims);
+
+        const m = this.mean(arg, { axis, keepdims: true, dtype: "f32" });
+        const d = this.sub(arg, m, this.Array({ shape: arg.shape, dtype: "f32" }));
+        const s = this.#reduce(reduce_op, "+", d, { axis, keepdims }, (x) => `(${x} * ${x})`);
+        this._destroyOnDone(m, d);
+
+        // NaN or Inf when R - ddof <= 0
+        return this.#divideSum(s, Math.max(R - ddof, 0),
+                               dtype ?? ((arg.dtype === "f16") ? "f16" : "f32"), out);
+    }
 
-            const shader = this.createShader(
-                reduce_func(
-                    f, length,
-                    {binding: 0, type: arg.dtype, conv: ""},
-                    {binding: 1, type: out.dtype, conv: ""},
-                ),
-            );
+    /**
+     * Standard deviation
+     * @param {NDArray} arg
+     * @param {VarOptions?} options
+     * @returns {NDArray}
+     */
+    std(arg, options){
+        const v = this.var(arg, { ...options, out: undefined });
+        const s = this.sqrt(v, options?.out);
+        this._destroyOnDone(v);
+        return s;
+    }
 
-            this.execute(
-                shader,
-                [
-                    {array: arg, mode: "read-only"},
-                    {array: out, mode: "write-only"},
-                ],
-                [1],
-            );
+    /**
+     * Vector or matrix norm.
+     *
+     * Vector (axis is a number, or 1d array without axis): ord = 1, 2 (default), Infinity, -Infinity.
+     * Matrix (axis is 2 numbers, or 2d array without axis): ord = "fro" (default), 1, Infinity, -1, -Infinity.
+     * Without both ord and axis, 2-norm of flattened array is computed.
+     * Elements are accumulated as f32, and the result is f32.
+     *
+     * @param {NDArray} arg
+     * @param {NormOptions?} options
+     * @returns {NDArray}
+     */
+    norm(arg, options){
+        let { ord, axis, keepdims, out } = options ?? {};
+        const ndim = arg.shape.length;
+        const dtype = "f32";
+        const abs = (x) => `abs(f32(${x}))`;
+
+        if(axis === undefined){
+            if(ord === undefined){
+                axis = [...Array(ndim).keys()];
+            } else if((ndim === 1) || (ndim === 2)){
+                axis = (ndim === 1) ? 0 : [0, 1];
+            } else {
+                throw new Error(`ord requires axis for ${ndim}d array`);
+            }
+        }
 
-            if(length === 1){
-                return out;
+        const l2 = () => {
+            const s = this.#reduce(reduce_op, "+", arg, { axis, keepdims, dtype: "f32" },
+                                   (x) => `(f32(${x}) * f32(${x}))`);
+            if(out === undefined){
+                return this.sqrt(s, s);
+            }
+            this.sqrt(s, out);
+            this._destroyOnDone(s);
+            return out;
+        };
+
+        if(!Array.isArray(axis) || (axis.length === 1)){
+            // Vector Norm
+            switch(ord){
+            case undefined:
+            case 2:
+                return l2();
+            case 1:
+                return this.#reduce(reduce_op, "+", arg, { axis, keepdims, out, dtype }, abs);
+            case Infinity:
+                return this.#reduce(reduce_func, "max", arg, { axis, keepdims, out, dtype }, abs);
+            case -Infinity:
+                return this.#reduce(reduce_func, "min", arg, { axis, keepdims, out, dtype }, abs);
+            default:
+                throw new Error(`Unsupported vector norm: ord = ${ord}`);
             }
+        }
+
+        if(axis.length !== 2){
+            if(ord === undefined){ return l2(); }
+            throw new Error(`Invalid axis for norm: [${axis.join(",")}]`);
+        }
+
+        // Matrix Norm
+        const [row, col] = normalizeAxis(axis, ndim, false);
+        if(row === col){
+            throw new Error(`Duplicated axis: [${axis.join(",")}]`);
+        }
+
+        let sum_axis;
+        let f;
+        switch(ord){
+        case undefined:
+        case "fro":
+            return l2();
+        case 1:
+        case -1:
+            sum_axis = row;
+            f = (ord > 0) ? "max" : "min";
+            break;
+        case Infinity:
+        case -Infinity:
+            sum_axis = col;
+            f = (ord > 0) ? "max" : "min";
+            break;
+        default:
+            throw new Error(`Unsupported matrix norm: ord = ${ord}`);
+        }
 
-            arg = out;
-            this._destroyOnDone(out);
+        const s = this.#reduce(reduce_op, "+", arg, { axis: sum_axis, keepdims: true, dtype }, abs);
+        let n = this._reduce_func(f, s, { axis: (sum_axis === row) ? col : row, keepdims: true });
+        this._destroyOnDone(s);
+
+        if(!keepdims){
+            const shape = arg.shape.filter((_, i) => (i !== row) && (i !== col));
+            n = n.reshape((shape.length === 0) ? [1] : shape);
+        }
+        if(out === undefined){
+            return n;
         }
+        this.copy(n, out);
+        this._destroyOnDone(n);
+        return out;
     }
 
     /**
@@ -821,9 +1927,8 @@ class GPUBackend {
             dtype: promoteType(True.dtype, False.dtype),
         });
 
-        if(out.custom_strides){
-            throw new Error(`Custom Strides of out is not supported.`);
-        }
+        const [_cond, _True, _False] = [cond, True, False];
+        [cond, True, False] = this.#unalias(out, cond, True, False);
 
         const use_strides = (cond.custom_strides ||
                              True.custom_strides ||
@@ -846,7 +1951,7 @@ class GPUBackend {
             {array: cond, mode: "read-only"},
             {array: True, mode: "read-only"},
             {array: False, mode: "read-only"},
-            {array: out, mode: "write-only"},
+            {array: out, mode: out.custom_strides ? "read-write" : "write-only"},
         ];
 
         let cond_strides = null;
@@ -862,10 +1967,10 @@ class GPUBackend {
                 {binding: 7}, // out_strides
             );
 
-            cond_strides = this.#stridesBuffer(broadcastStrides(cond, out.shape));
-            True_strides = this.#stridesBuffer(broadcastStrides(True, out.shape));
-            False_strides = this.#stridesBuffer(broadcastStrides(False, out.shape));
-            out_strides = this.#stridesBuffer(out.strides);
+            cond_strides = this.#broadcastBuffer(cond, out.shape);
+            True_strides = this.#broadcastBuffer(True, out.shape);
+            False_strides = this.#broadcastBuffer(False, out.shape);
+            out_strides = this.#outBuffer(out);
 
             execute_buffers.push(
                 {array: cond_strides, mode: "read-only"},
@@ -881,389 +1986,3684 @@ class GPUBackend {
                 where(...shader_args)
         );
 
-        this.execute(shader, execute_buffers, [Math.ceil(out.length / this.sizeX)]);
+        this.execute(shader, execute_buffers,
+                     [Math.ceil(out.shape.reduce((a, s) => a * s, 1) / this.sizeX)]);
         this._destroyOnDone(cond_strides, True_strides, False_strides, out_strides);
+        this.#destroyCopies([cond, True, False], [_cond, _True, _False]);
 
         return out;
     }
 
     /**
-     * @param {PRNGOptions?} options
-     * @returns {Xoshiro128pp}
+     * Copy into (strided) array
+     * @param {NDArray} arg
+     * @param {NDArray?} out - dtype can be different from arg.
+     * @returns {NDArray}
      */
-    Xoshiro128pp(options){
-        return new Xoshiro128pp(this, options);
-    }
-};
-
-
+    copy(arg, out){
+        out ??= this.Array({ shape: arg.shape, dtype: arg.dtype });
+        if(!equalShapes(out.shape, arg.shape)){
+            const s1 = out.shape.join(",");
+            const s2 = arg.shape.join(",");
+            throw new Error(`Incompatible Shape: out [${s1}] !== [${s2}]`);
+        }
 
-class NDArray {
-    /** @type {Promise<undefined>?} */
-    #load_promise
+        const size = arg.shape.reduce((a, s) => a * s, 1);
+        if(arg.gpu === out.gpu){
+            // Views of the same buffer cannot be bound at once.
+            const tmp = this.copy(arg);
+            this.copy(tmp, out);
+            this._destroyOnDone(tmp);
+            return out;
+        }
+        if(this.#copyBuffer(arg, out, size)){
+            return out;
+        }
 
-    /**
-     * @constructor
-     * @param {GPUDevice} device
-     * @param {ArrayOptions?} options
-     */
-    constructor(device, options){
-        /** @type {GPUDevice} */
-        this.device = device;
-
-        /** @type {bool} */
-        this.cpu_dirty = false;
-
-        /** @type {bool} */
-        this.gpu_dirty = false;
-
-        let { shape, dtype, strides } = options ?? {};
-
-        // shape
-        this.shape = this.#ensure_shape(shape);
+        const info = this.#stridesBuffer([
+            size, arg.offset, out.offset,
+            ...arg.shape.flatMap((si, d) => [si, arg.strides[d], out.strides[d]]),
+        ]);
+        const shader = this.createShader(
+            copy(
+                this.sizeX,
+                {binding: 0, type: arg.dtype},
+                {binding: 1, type: out.dtype, conv: (arg.dtype === out.dtype) ? "" : out.dtype},
+                {binding: 2},
+            ),
+        );
+        this.execute(
+            shader,
+            [
+                {array: arg, mode: "read-only"},
+                {array: out, mode: out.custom_strides ? "read-write" : "write-only"},
+                {array: info, mode: "read-only"},
+            ],
+            [Math.ceil(size / this.sizeX)],
+        );
+        this._destroyOnDone(info);
 
-        // strides
-        /** @type {bool} */
-        this.custom_strides = (strides !== undefined);
+        return out;
+    }
 
-        strides ??= this.shape.reduce((a, si) => {
-            a = a.map(ai => ai * si);
-            a.push(1);
-            return a;
-        }, []);
-        if(typeof strides === "number"){
-            strides = [strides];
-        }
-        if(strides.length !== this.shape.length){
-            throw new Error(`strides must have same length: ${strides.length}`);
+    /**
+     * Copy with `copyBufferToBuffer()` if both are contiguous and 4-bytes aligned
+     * @param {NDArray} arg
+     * @param {NDArray} out
+     * @param {number} size
+     * @returns {bool} - Whether copied
+     */
+    #copyBuffer(arg, out, size){
+        const itemsize = arg.itemsize;
+        if((arg.dtype !== out.dtype) || !arg.is_contiguous || !out.is_contiguous ||
+           (arg.offset * itemsize % 4) || (out.offset * itemsize % 4) || (size * itemsize % 4)){
+            return false;
         }
-        this.strides = strides.map(s => s | 0);
-
-        // dtype
-        /** @type {str} */
-        this.dtype = dtype ?? "f32";
-
-        /** @type {number} */
-        this.itemsize = 4;
-
-        /** @type {ArrayLike} */
-        this.cpu;
-
-        /** @type {number} */
-        this.length = this.custom_strides ?
-            this.shape.reduce((a, v, i) => a + (v-1)*this.strides[i], 1) :
-            this.shape.reduce((a, v) => a * v, 1);
-
-        switch(this.dtype){
-        case "f16":
-            this.itemsize = 2;
-            this.cpu = new Float16Array(this.length);
-            break;
-        case "f32":
-            this.cpu = new Float32Array(this.length);
-            break;
-        case "u32":
-            this.cpu = new Uint32Array(this.length);
-            break;
-        case "i32":
-            this.cpu = new Int32Array(this.length);
-            break;
-        default:
-            throw new Error(`Unknown dtype: ${dtype}`);
+        if(size === 0){
+            return true;
         }
 
-        const _size = this.length * this.itemsize;
-        if(_size % 4){
-            throw new Error(`Data Size must be multiple of 4 bytes, but ${this.itemsize} bytes x ${this.length} items = ${_size} bytes`);
+        arg.send();
+        if(out.custom_strides){
+            out.send();
         }
 
-        /** @type {GPUBuffer} */
-        this.gpu = this.device.createBuffer({
-            size: this.length * this.itemsize,
-            usage: GPUBufferUsage.STORAGE |
-                GPUBufferUsage.COPY_SRC |
-                GPUBufferUsage.COPY_DST,
-        });
-
-        this.#load_promise = null;
-    }
+        const cmd = this.device.createCommandEncoder();
+        cmd.copyBufferToBuffer(
+            arg.gpu, arg.offset * itemsize,
+            out.gpu, out.offset * itemsize,
+            size * itemsize,
+        );
+        this.device.queue.submit([cmd.finish()]);
 
-    #ensure_shape(shape){
-        shape ??= [1];
-        if(typeof shape === "number"){
-            shape = [shape];
+        if(!out.custom_strides){
+            out.cpu_dirty = false;
         }
-        if(shape.some(s => s <= 0)){
-            throw new Error(`shape must be positive: [${shape.join()}]`);
-        }
-        return shape.map(s => s | 0);
+        out.gpu_dirty = true;
+        return true;
     }
 
     /**
-     * Reshape
-     * @param {number | number[] | undefined} shape
+     * Copy bytes into new array of other dtype (e.g. "c64" [...] <-> "f32" [..., 2])
+     * @param {NDArray} arg
+     * @param {number[]} shape - Must have the same byte size
+     * @param {DType} dtype
+     * @returns {NDArray}
      */
-    reshape(shape){
-        if(this.custom_strides){
-            throw new Error(`reshape() is not supported with custom strides`);
+    _bitcast(arg, shape, dtype){
+        const src = arg.contiguous();
+        const out = this.Array({ shape, dtype });
+        const size = out.length * out.itemsize;
+        if(size !== src.length * src.itemsize){
+            throw new Error(`Byte size mismatch: ${src.dtype} [${src.shape.join(",")}] -> ${dtype} [${shape.join(",")}]`);
         }
-        shape = this.#ensure_shape(shape);
 
-        if(shape.reduce((a, s) => a * s, 1) !== this.length){
-            const s1 = this.shape.join(",");
-            const s2 = shape.join(",");
-            throw new Error(`Reshape with incompatible shape: [${s1}] -> [${s2}]`);
+        src.send();
+        const cmd = this.device.createCommandEncoder();
+        cmd.copyBufferToBuffer(src.gpu, src.offset * src.itemsize, out.gpu, 0, size);
+        this.device.queue.submit([cmd.finish()]);
+        out.gpu_dirty = true;
+
+        if(src !== arg){
+            this._destroyOnDone(src);
         }
-        this.shape = shape;
+        return out;
     }
 
     /**
-     * Load Data from GPU if necessary
-     * @returns {Promise<undefined>}
+     * Join arrays along an existing axis (same as NumPy's `concatenate`)
+     * @param {NDArray[]} arrays
+     * @param {number} axis
+     * @returns {NDArray}
      */
-    load(){
-        if(!this.gpu_dirty){
-            return;
+    concatenate(arrays, axis = 0){
+        if(arrays.length === 0){
+            throw new Error(`Need at least one array to concatenate`);
         }
-
-        if(this.#load_promise !== null){
-            return this.#load_promise;
+        const ndim = arrays[0].shape.length;
+        const [ax] = normalizeAxis(axis, ndim);
+        for(const a of arrays){
+            if((a.shape.length !== ndim) ||
+               a.shape.some((s, d) => (d !== ax) && (s !== arrays[0].shape[d]))){
+                const s1 = arrays[0].shape.join(",");
+                const s2 = a.shape.join(",");
+                throw new Error(`Incompatible Shape along axis ${ax}: [${s1}] !== [${s2}]`);
+            }
         }
 
-        const staging = this.device.createBuffer({
-            size: this.gpu.size,
-            usage: GPUBufferUsage.MAP_READ |
-                GPUBufferUsage.COPY_DST,
-        });
-
-        const cmd = this.device.createCommandEncoder();
-        cmd.copyBufferToBuffer(this.gpu, 0, staging, 0, this.gpu.size);
-        this.device.queue.submit([cmd.finish()]);
-
-        // Note: mapAsync ensures submitted work done before.
-        this.#load_promise = staging.mapAsync(GPUMapMode.READ, 0, this.gpu.size).then(
-            () => {
-                const b = new Uint8Array(staging.getMappedRange(0, this.gpu.size));
-                (new Uint8Array(this.cpu.buffer)).set(b);
-
-                staging.unmap();
-                staging.destroy();
-
-                this.gpu_dirty = false;
-                this.#load_promise = null;
-            }
-        );
+        const dtype = arrays.map(a => a.dtype).reduce((t1, t2) => promoteType(t1, t2));
+        const shape = [...arrays[0].shape];
+        shape[ax] = arrays.reduce((n, a) => n + a.shape[ax], 0);
+
+        const out = this.Array({ shape, dtype });
+        const head = Array(ax).fill(null);
+        let start = 0;
+        for(const a of arrays){
+            const stop = start + a.shape[ax];
+            this.copy(a, out.slice(...head, { start, stop }));
+            start = stop;
+        }
 
-        return this.#load_promise;
+        return out;
     }
 
     /**
-     * Send Data to GPU if necessary
+     * Join arrays along a new axis (same as NumPy's `stack`)
+     * @param {NDArray[]} arrays
+     * @param {number} axis
+     * @returns {NDArray}
      */
-    send(){
-        if(!this.cpu_dirty){
-            return;
+    stack(arrays, axis = 0){
+        if(arrays.length === 0){
+            throw new Error(`Need at least one array to stack`);
+        }
+        if(arrays.some(a => !equalShapes(a.shape, arrays[0].shape))){
+            throw new Error(`All arrays must have same shape`);
         }
+        const [ax] = normalizeAxis(axis, arrays[0].shape.length + 1);
 
-        // Float16Array ponyfill cannot be passed directly.
-        this.device.queue.writeBuffer(this.gpu, 0, this.cpu.buffer);
-        this.cpu_dirty = false;
+        return this.concatenate(arrays.map(a => a.expand_dims(ax)), ax);
     }
 
     /**
-     * @param {number[]} index
-     * @returns {number}
+     * Split into views (same as NumPy's `array_split`)
+     *
+     * Sections don't need to divide the axis equally.
+     * @param {NDArray} arg
+     * @param {number | number[]} indices_or_sections - Number of sections or split points
+     * @param {number} axis
+     * @returns {NDArray[]}
      */
-    #calcIndex(...index){
-        if(index.length !== this.shape.length){
-            throw new Error(`Index mismatch: ${index.length} !== ${this.shape.length}`);
+    array_split(arg, indices_or_sections, axis = 0){
+        const [ax] = normalizeAxis(axis, arg.shape.length);
+        const n = arg.shape[ax];
+
+        let points = indices_or_sections;
+        if(typeof points === "number"){
+            if(points <= 0){
+                throw new Error(`Number of sections must be positive: ${points}`);
+            }
+            const q = Math.floor(n / points);
+            const r = n % points;
+            points = Array.from({ length: points - 1 }, (_, i) => (i + 1) * q + Math.min(i + 1, r));
         }
-        return index.reduce((a, _, i) => a + this.strides[i] * index[i], 0);
+        points = [0, ...points.map(p => Math.min(Math.max((p < 0) ? p + n : p, 0), n)), n];
+
+        const head = Array(ax).fill(null);
+        return points.slice(1).map((stop, i) => {
+            const start = points[i];
+            return arg.slice(...head, { start, stop: Math.max(start, stop) });
+        });
     }
 
     /**
-     * Get Value
-     * @param {number[]} index
-     * @returns {Promise<number>}
+     * Split into views (same as NumPy's `split`)
+     *
+     * Number of sections must divide the axis equally.
+     * @param {NDArray} arg
+     * @param {number | number[]} indices_or_sections - Number of sections or split points
+     * @param {number} axis
+     * @returns {NDArray[]}
      */
-    async get(...index){
-        await this.load();
-        return this.get_without_load(...index);
+    split(arg, indices_or_sections, axis = 0){
+        if(typeof indices_or_sections === "number"){
+            const [ax] = normalizeAxis(axis, arg.shape.length);
+            if(arg.shape[ax] % indices_or_sections){
+                throw new Error(`Array split does not result in an equal division: ${arg.shape[ax]} / ${indices_or_sections}`);
+            }
+        }
+        return this.array_split(arg, indices_or_sections, axis);
     }
 
     /**
-     * Get Value without Load
-     * @param {number[]} index
-     * @returns {number}
+     * Repeat whole array (same as NumPy's `tile`)
+     * @param {NDArray} arg
+     * @param {number | number[]} reps
+     * @returns {NDArray}
      */
-    get_without_load(...index){
-        if(index.length > this.shape.length){
-            throw new Error(`Too many indices: ${index.length} > ${this.shape.length}`);
+    tile(arg, reps){
+        if(typeof reps === "number"){
+            reps = [reps];
         }
+        const ndim = Math.max(arg.shape.length, reps.length);
+        reps = [...Array(ndim - reps.length).fill(1), ...reps];
 
-        if(index.length === this.shape.length){
-            return this.cpu.at(this.#calcIndex(...index));
+        // [s0, s1, ...] -> [r0, s0, r1, s1, ...] with 0 strides for r
+        let v = arg;
+        if(ndim > arg.shape.length){
+            v = v.expand_dims(Array.from({ length: ndim - arg.shape.length }, (_, i) => i));
         }
+        v = v.expand_dims(Array.from({ length: ndim }, (_, i) => 2 * i));
+        v = v.broadcast_to(v.shape.map((s, i) => (i % 2) ? s : reps[i / 2]));
 
-        throw new Error(`Not Implemented yet`);
+        return this.copy(v).reshape(reps.map((r, i) => r * v.shape[2 * i + 1]));
     }
 
     /**
-     * Set Value
-     * @param {number | number[] | TypedArray} value
-     * @param {number[]} index
+     * Repeat each element (same as NumPy's `repeat`)
+     *
+     * If axis is omitted, arg is flattened.
+     * @param {NDArray} arg
+     * @param {number | number[]} repeats - Common or each element repeats
+     * @param {number?} axis
+     * @returns {NDArray}
      */
-    set(value, ...index){
-        if(index.length === 0){
-            if(value.length === this.length){
-                this.cpu.set(value);
-                this.cpu_dirty = true;
-                return;
+    repeat(arg, repeats, axis){
+        if(axis === undefined){
+            const flat = arg.contiguous();
+            const out = this.repeat(flat.slice().reshape(-1), repeats, 0);
+            if(flat !== arg){
+                this._destroyOnDone(flat);
             }
-            throw new Error(`Incompatible length: ${this.length} !== ${value.length}`);
+            return out;
         }
 
-        if(index.length > this.shape.length){
-            throw new Error(`Too many indices: ${index.length} > ${this.shape.length}`);
-        }
-        this.cpu_dirty = true;
+        const [ax] = normalizeAxis(axis, arg.shape.length);
 
-        if(index.length === this.shape.length){
-            this.cpu[this.#calcIndex(...index)] = value;
-            return;
+        if(typeof repeats !== "number"){
+            if(repeats.length !== arg.shape[ax]){
+                throw new Error(`repeats must have same length as axis: ${repeats.length} !== ${arg.shape[ax]}`);
+            }
+            const indices = this.asarray(
+                Uint32Array.from(repeats.flatMap((r, i) => Array(r).fill(i))),
+            );
+            const out = this.take(arg, indices, { axis: ax });
+            this._destroyOnDone(indices);
+            return out;
         }
 
-        throw new Error(`Not Implemented yet`);
-    }
+        // [..., s, ...] -> [..., s, r, ...] with 0 stride for r
+        const v = arg.expand_dims(ax + 1);
+        const shape = [...v.shape];
+        shape[ax + 1] = repeats;
 
-    [Symbol.iterator](){
-        if(this.gpu_dirty){
-            console.warn(`There are unloaded data at GPU`);
-        }
-        return this.cpu[Symbol.iterator]();
+        return this.copy(v.broadcast_to(shape)).reshape(
+            arg.shape.map((s, d) => (d === ax) ? s * repeats : s),
+        );
     }
-};
-
-
-class PRNG {
-    #rng
 
     /**
-     * @param {"f32" | "f16"} dtype
+     * Pad array (same as NumPy's `pad`)
+     *
+     * mode
+     * - "constant": Fill with constant_values (Default: 0)
+     * - "edge": Repeat edge values
+     * - "reflect": Mirror without repeating edge values
+     * @param {NDArray} arg
+     * @param {number | number[] | number[][]} pad_width - [before, after] for each dimension
+     * @param {PadOptions?} options
      * @returns {NDArray}
      */
-    normal(dtype){
-        dtype ??= "f32";
+    pad(arg, pad_width, options){
+        const { mode, constant_values } = options ?? {};
+        const ndim = arg.shape.length;
 
-        if(this.#rng?.dtype === dtype){
-            const rng = this.#rng;
-            this.#rng = null;
-            return rng;
+        if(typeof pad_width === "number"){
+            pad_width = [pad_width, pad_width];
+        }
+        if(typeof pad_width[0] === "number"){
+            pad_width = Array(ndim).fill(pad_width);
+        }
+        if(pad_width.length === 1){
+            pad_width = Array(ndim).fill(pad_width[0]);
+        }
+        if(pad_width.length !== ndim){
+            throw new Error(`pad_width must have same length: ${pad_width.length} !== ${ndim}`);
+        }
+        if(pad_width.flat().some(p => p < 0)){
+            throw new Error(`pad_width must be non-negative`);
         }
 
-        // 0 <= u, v < 1
-        const u = this.next(dtype);
-        const v = this.next(dtype);
+        switch(mode ?? "constant"){
+        case "constant":
+            {
+                const out = this.full(constant_values ?? 0, {
+                    shape: arg.shape.map((s, d) => pad_width[d][0] + s + pad_width[d][1]),
+                    dtype: arg.dtype,
+                });
+                this.copy(arg, out.slice(...pad_width.map(([start], d) => {
+                    return { start, stop: start + arg.shape[d] };
+                })));
+                return out;
+            }
+        case "edge":
+        case "reflect":
+            break;
+        default:
+            throw new Error(`Unknown mode: ${mode}`);
+        }
 
-        const b = this.backend;
+        const fix = (mode === "edge") ?
+              ((i, s) => Math.min(Math.max(i, 0), s - 1)) :
+              ((i, s) => {
+                  if(s === 1){
+                      return 0;
+                  }
+                  const period = 2 * (s - 1);
+                  const j = ((i % period) + period) % period;
+                  return (j < s) ? j : period - j;
+              });
+
+        // Pad each axis one by one by gathering.
+        let out = arg;
+        pad_width.forEach(([before, after], d) => {
+            const s = arg.shape[d];
+            if((before === 0) && (after === 0)){
+                return;
+            }
+            if(s === 0){
+                throw new Error(`Cannot pad empty axis with mode "${mode}"`);
+            }
 
-        const r1 = b.Array({ shape: u.shape, dtype });
-        const r2 = b.Array({ shape: u.shape, dtype });
+            const indices = this.asarray(
+                Uint32Array.from({ length: before + s + after }, (_, i) => fix(i - before, s)),
+            );
+            const next = this.take(out, indices, { axis: d });
+            this._destroyOnDone(indices, (out !== arg) ? out : undefined);
+            out = next;
+        });
 
-        const shader = b.createShader(
-            box_muller(
-                b.sizeX,
-                {binding: 0, type: u.dtype},
-                {binding: 1, type: v.dtype},
-                {binding: 2, type: r1.dtype},
-                {binding: 3, type: r2.dtype},
+        return (out !== arg) ? out : this.copy(arg);
+    }
+
+    /**
+     * Flat storage indices with index arrays
+     * @param {number} offset
+     * @param {number[]} shape - Shape of iteration
+     * @param {number[][]} dims - [stride, ...index strides] for each dimension
+     * @param {Array<{array: NDArray, length: number, stride: number}>} indices
+     * @param {IndexMode?} mode
+     * @returns {NDArray} - "u32"
+     */
+    #flatIndex(offset, shape, dims, indices, mode){
+        if(!["clip", "wrap", undefined].includes(mode)){
+            throw new Error(`Unknown mode: ${mode}`);
+        }
+        if(indices.length > 6){
+            throw new Error(`Too many index arrays: ${indices.length} > 6`);
+        }
+        for(const { array } of indices){
+            if(!(array instanceof NDArray) || !["i32", "u32"].includes(array.dtype)){
+                throw new Error(`Index must be NDArray of "i32" or "u32"`);
+            }
+        }
+
+        const info = this.#stridesBuffer([
+            offset,
+            ...indices.flatMap(({ array, length, stride }) => [length, stride, array.offset]),
+            ...shape.flatMap((si, d) => [si, ...dims[d]]),
+        ]);
+        const index = this.Array({ shape: shape.reduce((a, s) => a * s, 1), dtype: "u32" });
+
+        const K = indices.length;
+        const shader = this.createShader(
+            flat_index(
+                this.sizeX, mode ?? "clip",
+                indices.map(({ array }, k) => { return {binding: k, type: array.dtype}; }),
+                {binding: K},
+                {binding: K+1},
             ),
         );
-
-        b.execute(
+        this.execute(
             shader,
             [
-                {array: u, mode: "read-only"},
-                {array: v, mode: "read-only"},
-                {array: r1, mode: "write-only"},
-                {array: r2, mode: "write-only"},
+                ...indices.map(({ array }) => { return {array, mode: "read-only"}; }),
+                {array: info, mode: "read-only"},
+                {array: index, mode: "write-only"},
             ],
-            [Math.ceil(u.length / b.sizeX)],
+            [Math.ceil(index.length / this.sizeX)],
         );
+        this._destroyOnDone(info);
 
-        this.#rng = r2;
-
-        b._destroyOnDone(u, v);
-        return r1;
+        return index;
     }
-};
 
-class Xoshiro128pp extends PRNG {
     /**
-     * @param {GPUBackend} backend
-     * @param {PRNGOptions?} options
+     * Arguments of #gather / #scatter along axis
+     * @param {NDArray} arg
+     * @param {NDArray} indices
+     * @param {number} axis
      */
-    constructor(backend, options){
-        super();
+    #alongAxis(arg, indices, axis){
+        if(indices.shape.length !== arg.shape.length){
+            throw new Error(`indices must have same dimensions: ${indices.shape.length} !== ${arg.shape.length}`);
+        }
 
-        let { seed, size } = options ?? {};
+        const [ax] = normalizeAxis(axis, arg.shape.length);
 
-        /** @type {GPUBackend} */
-        this.backend = backend;
+        // Axis dimension is taken from indices.
+        const _arg = {
+            shape: arg.shape.map((s, d) => (d === ax) ? 1 : s),
+            strides: arg.strides.map((s, d) => (d === ax) ? 0 : s),
+        };
+        const shape = broadcastShapes(_arg.shape, indices.shape);
+        const arg_strides = broadcastStrides(_arg, shape);
+        const indices_strides = broadcastStrides(indices, shape);
 
-        /** @type {number} */
-        this.size = size ?? 64;
+        return {
+            shape,
+            dims: shape.map((_, d) => [arg_strides[d], indices_strides[d]]),
+            indices: [{ array: indices, length: arg.shape[ax], stride: arg.strides[ax] }],
+        };
+    }
 
-        seed ??= crypto.getRandomValues(new BigUint64Array(1))[0];
+    /**
+     * Gather elements with index arrays
+     * @param {NDArray} arg
+     * @param {number[]} shape - Shape of out
+     * @param {number[][]} dims - [arg stride, ...index strides] for each dimension of out
+     * @param {Array<{array: NDArray, length: number, stride: number}>} indices
+     * @param {TakeOptions?} options
+     * @returns {NDArray}
+     */
+    #gather(arg, shape, dims, indices, options){
+        const { mode, out: _out } = options ?? {};
 
-        // SplitMix64
-        seed = BigInt(seed) & ((2n ** 64n) -1n);
-        const state = Array.from({length: 4}, () => {
-            let z = (seed += 0x9e3779b97f4a7c15n);
-            z = (z ^ (z >> 30n)) * 0xbf58476d1ce4e5b9n;
-            z = (z ^ (z >> 27n)) * 0x94d049bb133111ebn;
-            return Number((z ^ (z >> 31n)) & ((2n ** 32n) -1n));
-        });
+        const out = _out ?? this.Array({ shape, dtype: arg.dtype });
+        if(out.custom_strides){
+            // Compute into contiguous array, then copy into out.
+            const tmp = this.Array({ shape: out.shape, dtype: out.dtype });
+            this.#gather(arg, shape, dims, indices, { ...options, out: tmp });
+            this.copy(tmp, out);
+            this._destroyOnDone(tmp);
+            return out;
+        }
+        if(!equalShapes(out.shape, shape)){
+            const s1 = out.shape.join(",");
+            const s2 = shape.join(",");
+            throw new Error(`Incompatible Shape: out [${s1}] !== [${s2}]`);
+        }
 
-        /** @type {NDArray} */
-        this.state = this.backend.Array({ shape: [this.size, 4], dtype: "u32" });
-        this.state.cpu.set(state);
-        this.state.cpu_dirty = true;
+        const fromIndex = this.#flatIndex(arg.offset, shape, dims, indices, mode);
 
-        const shader = this.backend.createShader(xoshiro128pp_init({binding: 0}));
-        this.backend.execute(shader, [{array: this.state, mode: "read-write"}], [1]);
+        const shader = this.createShader(
+            gather(
+                this.sizeX,
+                {binding: 0, type: arg.dtype},
+                {binding: 1},
+                {binding: 2, type: out.dtype, conv: (arg.dtype === out.dtype) ? "" : out.dtype},
+            ),
+        );
+        this.execute(
+            shader,
+            [
+                {array: arg, mode: "read-only"},
+                {array: fromIndex, mode: "read-only"},
+                {array: out, mode: "write-only"},
+            ],
+            [Math.ceil(out.length / this.sizeX)],
+        );
+        this._destroyOnDone(fromIndex);
+
+        return out;
     }
 
     /**
-     * @param {"u32" | "f32"} dtype
+     * Scatter values with index arrays
+     *
+     * op: undefined (assign), "add", "max", "min"
+     * For assignment, the last value wins at duplicated indices.
+     * @param {NDArray} arg - Updated in-place
+     * @param {NDArray | number} values - Broadcasted to shape
+     * @param {number[]} shape - Shape of iteration
+     * @param {number[][]} dims - [arg stride, ...index strides] for each dimension
+     * @param {Array<{array: NDArray, length: number, stride: number}>} indices
+     * @param {string?} op
+     * @param {ScatterOptions?} options
      * @returns {NDArray}
      */
-    next(dtype){
-        dtype ??= "u32";
-        if(!["u32", "f32"].includes(dtype)){
-            throw new Error(`Incompatible dtype: ${dtype}`);
+    #scatter(arg, values, shape, dims, indices, op, options){
+        const { mode } = options ?? {};
+
+        if((op !== undefined) && ["f16", "c64"].includes(arg.dtype)){
+            throw new Error(`scatter_${op}() doesn't support "${arg.dtype}"`);
+        }
+        const scalar = !(values instanceof NDArray);
+        if(scalar){
+            values = this.full(values, { shape: 1, dtype: arg.dtype });
         }
 
-        const out = this.backend.Array({ shape: this.size, dtype });
+        const toIndex = this.#flatIndex(arg.offset, shape, dims, indices, mode);
+        const valueIndex = this.#flatIndex(
+            values.offset, shape, broadcastStrides(values, shape).map(s => [s]), [],
+        );
+        const size = [Math.ceil(toIndex.length / this.sizeX)];
 
-        const size = Math.min(this.size, this.backend.sizeX);
-        const shader = this.backend.createShader(xoshiro128pp(
-            size,
-            {binding: 0},
-            {binding: 1, type: out.dtype},
-        ));
+        if(op === undefined){
+            // Select the last writer for each destination.
+            const winner = this.full(0, { shape: (arg.base ?? arg).length, dtype: "u32" });
+            const winner_shader = this.createShader(
+                scatter_winner(this.sizeX, {binding: 0}, {binding: 1}),
+            );
+            this.execute(
+                winner_shader,
+                [
+                    {array: toIndex, mode: "read-only"},
+                    {array: winner, mode: "read-write"},
+                ],
+                size,
+            );
 
-        this.backend.execute(
+            const shader = this.createShader(
+                scatter(
+                    this.sizeX,
+                    {binding: 0, type: values.dtype},
+                    {binding: 1},
+                    {binding: 2},
+                    {binding: 3},
+                    {binding: 4, type: arg.dtype, conv: (arg.dtype === values.dtype) ? "" : arg.dtype},
+                ),
+            );
+            this.execute(
+                shader,
+                [
+                    {array: values, mode: "read-only"},
+                    {array: valueIndex, mode: "read-only"},
+                    {array: toIndex, mode: "read-only"},
+                    {array: winner, mode: "read-only"},
+                    {array: arg, mode: "read-write"},
+                ],
+                size,
+            );
+            this._destroyOnDone(winner);
+        } else {
+            const shader = this.createShader(
+                scatter_atomic(
+                    this.sizeX, op,
+                    {binding: 0, type: values.dtype},
+                    {binding: 1},
+                    {binding: 2},
+                    {binding: 3, type: arg.dtype},
+                ),
+            );
+            this.execute(
+                shader,
+                [
+                    {array: values, mode: "read-only"},
+                    {array: valueIndex, mode: "read-only"},
+                    {array: toIndex, mode: "read-only"},
+                    {array: arg, mode: "read-write"},
+                ],
+                size,
+            );
+        }
+        this._destroyOnDone(toIndex, valueIndex, ...(scalar ? [values] : []));
+
+        return arg;
+    }
+
+    /**
+     * Take elements along axis (same as NumPy's `take`)
+     *
+     * If axis is omitted, arg is flattened.
+     * Out of range indices are fixed by mode ("clip" (default) or "wrap").
+     * @param {NDArray} arg
+     * @param {NDArray} indices - "i32" or "u32"
+     * @param {TakeOptions?} options
+     * @returns {NDArray}
+     */
+    take(arg, indices, options){
+        const { axis } = options ?? {};
+
+        if(axis === undefined){
+            const flat = arg.contiguous();
+            const out = this.#gather(
+                flat,
+                indices.shape,
+                indices.strides.map(s => [0, s]),
+                [{ array: indices, length: flat.length, stride: 1 }],
+                options,
+            );
+            if(flat !== arg){
+                this._destroyOnDone(flat);
+            }
+            return out;
+        }
+
+        const [ax] = normalizeAxis(axis, arg.shape.length);
+        const shape = [
+            ...arg.shape.slice(0, ax),
+            ...indices.shape,
+            ...arg.shape.slice(ax+1),
+        ];
+        const dims = [
+            ...arg.strides.slice(0, ax).map(s => [s, 0]),
+            ...indices.strides.map(s => [0, s]),
+            ...arg.strides.slice(ax+1).map(s => [s, 0]),
+        ];
+
+        return this.#gather(
+            arg, shape, dims,
+            [{ array: indices, length: arg.shape[ax], stride: arg.strides[ax] }],
+            options,
+        );
+    }
+
+    /**
+     * Take elements along axis with same dimensional indices
+     * (same as NumPy's `take_along_axis`)
+     *
+     * If axis is omitted, arg is flattened.
+     * Out of range indices are fixed by mode ("clip" (default) or "wrap").
+     * @param {NDArray} arg
+     * @param {NDArray} indices - "i32" or "u32"
+     * @param {TakeOptions?} options
+     * @returns {NDArray}
+     */
+    take_along_axis(arg, indices, options){
+        const { axis } = options ?? {};
+
+        if(axis === undefined){
+            if(indices.shape.length !== 1){
+                throw new Error(`indices must be 1D when axis is omitted`);
+            }
+            return this.take(arg, indices, options);
+        }
+
+        const { shape, dims, indices: _indices } = this.#alongAxis(arg, indices, axis);
+        return this.#gather(arg, shape, dims, _indices, options);
+    }
+
+    /**
+     * Integer Array (Fancy) Indexing
+     *
+     * out = arg[indices[0], indices[1], ...]
+     *
+     * Index arrays are broadcasted each other,
+     * and they index the leading dimensions of arg.
+     * Out of range indices are fixed by mode ("clip" (default) or "wrap").
+     * @param {NDArray} arg
+     * @param {NDArray[]} indices - "i32" or "u32"
+     * @param {TakeOptions?} options
+     * @returns {NDArray}
+     */
+    index(arg, indices, options){
+        if(indices.length > arg.shape.length){
+            throw new Error(`Too many indices: ${indices.length} > ${arg.shape.length}`);
+        }
+
+        const K = indices.length;
+        const bshape = broadcastShapes(...indices.map(idx => idx.shape));
+        const bstrides = indices.map(idx => broadcastStrides(idx, bshape));
+
+        const shape = [...bshape, ...arg.shape.slice(K)];
+        const dims = [
+            ...bshape.map((_, d) => [0, ...bstrides.map(st => st[d])]),
+            ...arg.strides.slice(K).map(s => [s, ...indices.map(() => 0)]),
+        ];
+
+        return this.#gather(
+            arg, shape, dims,
+            indices.map((array, k) => {
+                return { array, length: arg.shape[k], stride: arg.strides[k] };
+            }),
+            options,
+        );
+    }
+
+    /**
+     * @param {NDArray} arg
+     * @param {NDArray} indices
+     * @param {NDArray | number} values
+     * @param {string?} op
+     * @param {ScatterOptions?} options
+     * @returns {NDArray}
+     */
+    #scatterAlongAxis(arg, indices, values, op, options){
+        const { axis } = options ?? {};
+
+        if(axis === undefined){
+            if(!arg.is_contiguous){
+                throw new Error(`Scatter without axis is not supported with non-contiguous strides`);
+            }
+            return this.#scatter(
+                arg, values,
+                indices.shape,
+                indices.strides.map(s => [0, s]),
+                [{ array: indices, length: arg.length, stride: 1 }],
+                op, options,
+            );
+        }
+
+        const { shape, dims, indices: _indices } = this.#alongAxis(arg, indices, axis);
+        return this.#scatter(arg, values, shape, dims, _indices, op, options);
+    }
+
+    /**
+     * Put values at flattened indices (similar to NumPy's `put`)
+     *
+     * arg is updated in-place. values are broadcasted to indices.
+     * The last value wins at duplicated indices.
+     * @param {NDArray} arg
+     * @param {NDArray} indices - "i32" or "u32"
+     * @param {NDArray | number} values
+     * @param {ScatterOptions?} options
+     * @returns {NDArray} - arg
+     */
+    put(arg, indices, values, options){
+        return this.#scatterAlongAxis(arg, indices, values, undefined, { mode: options?.mode });
+    }
+
+    /**
+     * Scatter values along axis (inverse of `take_along_axis`)
+     *
+     * arg is updated in-place. If axis is omitted, arg is flattened.
+     * The last value wins at duplicated indices.
+     * @param {NDArray} arg
+     * @param {NDArray} indices - "i32" or "u32"
+     * @param {NDArray | number} values
+     * @param {ScatterOptions?} options
+     * @returns {NDArray} - arg
+     */
+    scatter(arg, indices, values, options){
+        return this.#scatterAlongAxis(arg, indices, values, undefined, options);
+    }
+
+    /**
+     * Scatter and accumulate values along axis
+     *
+     * arg is updated in-place. If axis is omitted, arg is flattened.
+     * Duplicated indices are accumulated with atomic operations.
+     * @param {NDArray} arg - "i32", "u32" or "f32"
+     * @param {NDArray} indices - "i32" or "u32"
+     * @param {NDArray | number} values
+     * @param {ScatterOptions?} options
+     * @returns {NDArray} - arg
+     */
+    scatter_add(arg, indices, values, options){
+        return this.#scatterAlongAxis(arg, indices, values, "add", options);
+    }
+
+    /**
+     * Scatter and take maximum along axis
+     * @param {NDArray} arg - "i32", "u32" or "f32"
+     * @param {NDArray} indices - "i32" or "u32"
+     * @param {NDArray | number} values
+     * @param {ScatterOptions?} options
+     * @returns {NDArray} - arg
+     */
+    scatter_max(arg, indices, values, options){
+        return this.#scatterAlongAxis(arg, indices, values, "max", options);
+    }
+
+    /**
+     * Scatter and take minimum along axis
+     * @param {NDArray} arg - "i32", "u32" or "f32"
+     * @param {NDArray} indices - "i32" or "u32"
+     * @param {NDArray | number} values
+     * @param {ScatterOptions?} options
+     * @returns {NDArray} - arg
+     */
+    scatter_min(arg, indices, values, options){
+        return this.#scatterAlongAxis(arg, indices, values, "min", options);
+    }
+
+    /**
+     * In-place Scan over contiguous segments
+     * @param {NDArray} data - Contiguous
+     * @param {(a: string, b: string) => string} combine
+     * @param {string} identity
+     * @param {number} L - Segment length
+     * @param {bool} exclusive
+     */
+    #scan(data, combine, identity, L = data.length, exclusive = false){
+        if(data.length === 0){ return; }
+
+        const size = this.sizeReduce;
+        const E = this.sizeScan;
+        const W = (data.length / L) * Math.ceil(L / (size * E));
+        const dispatch = foldDispatch(W);
+
+        const info = this.#stridesBuffer([L]);
+        const sums = this.Array({ shape: W, dtype: data.dtype });
+        const shader = this.createShader(
+            scan(
+                combine, identity, exclusive, size, E, data.dtype,
+                {binding: 0, type: data.dtype},
+                {binding: 1, type: data.dtype},
+                {binding: 2},
+            ),
+        );
+        this.execute(
             shader,
             [
-                {array: this.state, mode: "read-write"},
+                {array: data, mode: "read-write"},
+                {array: sums, mode: "write-only"},
+                {array: info, mode: "read-only"},
+            ],
+            dispatch,
+        );
+
+        const K = Math.ceil(L / (size * E));
+        if(K > 1){
+            this.#scan(sums, combine, identity, K);
+
+            const add_shader = this.createShader(
+                scan_add(
+                    combine, size, E, data.dtype,
+                    {binding: 0, type: data.dtype},
+                    {binding: 1, type: data.dtype},
+                    {binding: 2},
+                ),
+            );
+            this.execute(
+                add_shader,
+                [
+                    {array: data, mode: "read-write"},
+                    {array: sums, mode: "read-only"},
+                    {array: info, mode: "read-only"},
+                ],
+                dispatch,
+            );
+        }
+        this._destroyOnDone(sums, info);
+    }
+
+    /**
+     * Cumulative operation along axis
+     * @param {(a: string, b: string) => string} combine
+     * @param {(dtype: string) => string} identity
+     * @param {NDArray} arg
+     * @param {ScanOptions?} options
+     * @returns {NDArray}
+     */
+    #cumulative(combine, identity, arg, options){
+        assertReal("Scan", arg);
+        const { axis, exclusive = false, out } = options ?? {};
+        const dtype = options?.dtype ?? arg.dtype;
+
+        let data;
+        let ax;
+        if(axis === undefined){
+            // Flattened
+            data = this.Array({ shape: [arg.shape.reduce((a, s) => a * s, 1)], dtype });
+            this.copy(arg, data.reshape(arg.shape));
+            ax = 0;
+        } else {
+            if(Array.isArray(axis)){
+                throw new Error(`axis must be a single integer: [${axis.join(",")}]`);
+            }
+            [ax] = normalizeAxis(axis, arg.shape.length);
+            const moved = arg.moveaxis(ax, -1);
+            data = this.copy(moved, this.Array({ shape: moved.shape, dtype }));
+        }
+        const L = data.shape[data.shape.length - 1] ?? 1;
+
+        this.#scan(data, combine, identity(dtype), L, exclusive);
+
+        const ndim = data.shape.length;
+        if((ax === ndim - 1) && (out === undefined)){
+            return data;
+        }
+
+        const result = (ax === ndim - 1) ? data : data.moveaxis(-1, ax);
+        const r = this.copy(result, out);
+        this._destroyOnDone(data);
+        return r;
+    }
+
+    /**
+     * Cumulative sum
+     * @param {NDArray} arg
+     * @param {ScanOptions?} options
+     * @returns {NDArray}
+     */
+    cumsum(arg, options){
+        return this.#cumulative((a, b) => `${a} + ${b}`, () => "0", arg, options);
+    }
+
+    /**
+     * Cumulative product
+     * @param {NDArray} arg
+     * @param {ScanOptions?} options
+     * @returns {NDArray}
+     */
+    cumprod(arg, options){
+        return this.#cumulative((a, b) => `${a} * ${b}`, () => "1", arg, options);
+    }
+
+    /**
+     * Cumulative maximum
+     * @param {NDArray} arg
+     * @param {ScanOptions?} options
+     * @returns {NDArray}
+     */
+    cummax(arg, options){
+        return this.#cumulative((a, b) => `max(${a}, ${b})`, (t) => lowest[t], arg, options);
+    }
+
+    /**
+     * Cumulative minimum
+     * @param {NDArray} arg
+     * @param {ScanOptions?} options
+     * @returns {NDArray}
+     */
+    cummin(arg, options){
+        return this.#cumulative((a, b) => `min(${a}, ${b})`, (t) => highest[t], arg, options);
+    }
+
+    /**
+     * Positions of non-zero elements
+     *
+     * pos is inclusive scan of non-zero flags over shape, and count is the total.
+     * @param {NDArray} mask - Broadcasted to shape
+     * @param {number[]} shape
+     * @returns {Promise<{pos: NDArray, count: number}>}
+     */
+    async #nonzeroPosition(mask, shape){
+        const maskIndex = this.#flatIndex(
+            mask.offset, shape, broadcastStrides(mask, shape).map(s => [s]), [],
+        );
+        const pos = this.Array({ shape: maskIndex.length, dtype: "u32" });
+        if(pos.length === 0){
+            this._destroyOnDone(maskIndex);
+            return { pos, count: 0 };
+        }
+
+        const shader = this.createShader(
+            nonzero_flag(
+                this.sizeX,
+                {binding: 0, type: mask.dtype},
+                {binding: 1},
+                {binding: 2},
+            ),
+        );
+        this.execute(
+            shader,
+            [
+                {array: mask, mode: "read-only"},
+                {array: maskIndex, mode: "read-only"},
+                {array: pos, mode: "write-only"},
+            ],
+            [Math.ceil(pos.length / this.sizeX)],
+        );
+        this._destroyOnDone(maskIndex);
+
+        this.#scan(pos, (a, b) => `${a} + ${b}`, "0");
+        const count = await this.#lastValue(pos);
+
+        return { pos, count };
+    }
+
+    /**
+     * Load only the last element of contiguous u32 array
+     * @param {NDArray} array
+     * @returns {Promise<number>}
+     */
+    async #lastValue(array){
+        const total = this.Array({ shape: 1, dtype: "u32" });
+        const cmd = this.device.createCommandEncoder();
+        cmd.copyBufferToBuffer(array.gpu, 4 * (array.length - 1), total.gpu, 0, 4);
+        this.device.queue.submit([cmd.finish()]);
+        total.gpu_dirty = true;
+
+        const value = await total.get(0);
+        total.gpu.destroy();
+        return value;
+    }
+
+    /**
+     * Select elements with mask (same as NumPy's `arg[mask]`)
+     *
+     * mask is broadcasted to arg, and the result is 1D.
+     * @param {NDArray} mask
+     * @param {NDArray} arg
+     * @returns {Promise<NDArray>}
+     */
+    async compress(mask, arg){
+        const { pos, count } = await this.#nonzeroPosition(mask, arg.shape);
+        const out = this.Array({ shape: count, dtype: arg.dtype });
+        if(count === 0){
+            pos.gpu.destroy();
+            return out;
+        }
+
+        const argIndex = this.#flatIndex(
+            arg.offset, arg.shape, arg.strides.map(s => [s]), [],
+        );
+        const shader = this.createShader(
+            compress(
+                this.sizeX,
+                {binding: 0, type: arg.dtype},
+                {binding: 1},
+                {binding: 2},
+                {binding: 3, type: out.dtype},
+            ),
+        );
+        this.execute(
+            shader,
+            [
+                {array: arg, mode: "read-only"},
+                {array: argIndex, mode: "read-only"},
+                {array: pos, mode: "read-only"},
                 {array: out, mode: "write-only"},
             ],
-            [Math.ceil(this.size / size)],
+            [Math.ceil(pos.length / this.sizeX)],
         );
+        this._destroyOnDone(argIndex, pos);
 
         return out;
     }
+
+    /**
+     * Indices of non-zero elements (same as NumPy's `nonzero`)
+     * @param {NDArray} arg
+     * @returns {Promise<NDArray[]>} - "u32" indices for each dimension
+     */
+    async nonzero(arg){
+        const { pos, count } = await this.#nonzeroPosition(arg, arg.shape);
+        if(count === 0){
+            pos.gpu.destroy();
+            return arg.shape.map(() => this.Array({ shape: 0, dtype: "u32" }));
+        }
+
+        const out = this.Array({ shape: [arg.shape.length, count], dtype: "u32" });
+        const shape = this.#stridesBuffer(arg.shape);
+        const shader = this.createShader(
+            nonzero(this.sizeX, {binding: 0}, {binding: 1}, {binding: 2}),
+        );
+        this.execute(
+            shader,
+            [
+                {array: pos, mode: "read-only"},
+                {array: shape, mode: "read-only"},
+                {array: out, mode: "write-only"},
+            ],
+            [Math.ceil(pos.length / this.sizeX)],
+        );
+        this._destroyOnDone(pos, shape);
+
+        return arg.shape.map((_, d) => out.slice(d));
+    }
+
+    /**
+     * Sorted unique elements of flattened array
+     * @param {NDArray} arg
+     * @param {UniqueOptions?} options
+     * @returns {Promise<NDArray | {values: NDArray, inverse: NDArray?, counts: NDArray?}>}
+     */
+    async unique(arg, options){
+        const { return_inverse = false, return_counts = false } = options ?? {};
+        const { keys, index, L } = this.#bitonicSort(arg, { axis: null });
+
+        let values;
+        let inverse;
+        let counts;
+        if(L === 0){
+            values = this.Array({ shape: 0, dtype: arg.dtype });
+            inverse = this.Array({ shape: arg.shape, dtype: "u32" });
+            counts = this.Array({ shape: 0, dtype: "u32" });
+            this._destroyOnDone(keys, index);
+        } else {
+            // Group IDs (+1) of sorted elements
+            const pos = this.Array({ shape: L, dtype: "u32" });
+            const flag_shader = this.createShader(
+                unique_flag(this.sizeX, {binding: 0, type: keys.dtype}, {binding: 1}),
+            );
+            this.execute(
+                flag_shader,
+                [
+                    {array: keys, mode: "read-only"},
+                    {array: pos, mode: "write-only"},
+                ],
+                [Math.ceil(L / this.sizeX)],
+            );
+            this.#scan(pos, (a, b) => `${a} + ${b}`, "0");
+            const count = await this.#lastValue(pos);
+
+            values = this.Array({ shape: count, dtype: arg.dtype });
+            const iota = this.arange({ stop: L }, { dtype: "u32" });
+            const shader = this.createShader(
+                compress(
+                    this.sizeX,
+                    {binding: 0, type: keys.dtype},
+                    {binding: 1},
+                    {binding: 2},
+                    {binding: 3, type: values.dtype},
+                ),
+            );
+            this.execute(
+                shader,
+                [
+                    {array: keys, mode: "read-only"},
+                    {array: iota, mode: "read-only"},
+                    {array: pos, mode: "read-only"},
+                    {array: values, mode: "write-only"},
+                ],
+                [Math.ceil(L / this.sizeX)],
+            );
+
+            const group = this.sub(pos, 1, pos);
+            if(return_inverse){
+                inverse = this.Array({ shape: L, dtype: "u32" });
+                this.put(inverse, index.slice(`0:${L}`), group);
+                inverse = inverse.reshape(arg.shape);
+            }
+            if(return_counts){
+                counts = this.full(0, { shape: count, dtype: "u32" });
+                this.scatter_add(counts, group, 1);
+            }
+            this._destroyOnDone(keys, index, iota, pos);
+        }
+
+        if(!return_inverse && !return_counts){
+            return values;
+        }
+        return {
+            values,
+            inverse: return_inverse ? inverse : undefined,
+            counts: return_counts ? counts : undefined,
+        };
+    }
+
+    /**
+     * Count occurrences of non-negative integers
+     * @param {NDArray} arg - "i32" or "u32"
+     * @param {BincountOptions?} options
+     * @returns {Promise<NDArray>} - "u32", or "f32" with weights
+     */
+    async bincount(arg, options){
+        const { weights, minlength = 0 } = options ?? {};
+        assertInteger("bincount", arg);
+        if((weights !== undefined) && !equalShapes(weights.shape, arg.shape)){
+            const s1 = weights.shape.join(",");
+            const s2 = arg.shape.join(",");
+            throw new Error(`Incompatible Shape: weights [${s1}] !== [${s2}]`);
+        }
+
+        let length = minlength;
+        if(arg.length > 0){
+            const lo = this.minimum(arg);
+            const hi = this.maximum(arg);
+            const [min, max] = await Promise.all([lo.get(0), hi.get(0)]);
+            lo.gpu.destroy();
+            hi.gpu.destroy();
+            if(min < 0){
+                throw new Error(`bincount requires non-negative values: ${min}`);
+            }
+            length = Math.max(max + 1, minlength);
+        }
+
+        const out = this.full(0, { shape: length, dtype: (weights === undefined) ? "u32" : "f32" });
+        if(arg.length > 0){
+            this.scatter_add(out, arg, weights ?? 1);
+        }
+        return out;
+    }
+
+    /**
+     * Histogram of flattened array
+     *
+     * Values outside of the range are ignored.
+     * @param {NDArray} arg
+     * @param {HistogramOptions?} options
+     * @returns {Promise<{hist: NDArray, bin_edges: NDArray}>} - "u32" hist and "f32" bin_edges
+     */
+    async histogram(arg, options){
+        const { bins = 10 } = options ?? {};
+        let edges;
+        if(Array.isArray(bins)){
+            if((bins.length < 2) || bins.some((b, i) => (i > 0) && (bins[i - 1] > b))){
+                throw new Error(`bins must be monotonically increasing: [${bins.join(",")}]`);
+            }
+            edges = bins;
+        } else {
+            if(!Number.isInteger(bins) || (bins < 1)){
+                throw new Error(`bins must be a positive integer: ${bins}`);
+            }
+
+            let range = options?.range;
+            if(range === undefined){
+                range = [0, 1];
+                if(arg.length > 0){
+                    const lo = this.minimum(arg);
+                    const hi = this.maximum(arg);
+                    range = await Promise.all([lo.get(0), hi.get(0)]);
+                    lo.gpu.destroy();
+                    hi.gpu.destroy();
+                }
+            }
+            let [min, max] = range;
+            if(min > max){
+                throw new Error(`max must be larger than min: [${min}, ${max}]`);
+            }
+            if(min === max){
+                min -= 0.5;
+                max += 0.5;
+            }
+            edges = Array.from({ length: bins + 1 },
+                               (_, i) => (i === bins) ? max : min + (max - min) * i / bins);
+        }
+
+        const bin_edges = this.asarray(edges, { dtype: "f32" });
+        const hist = this.full(0, { shape: edges.length - 1, dtype: "u32" });
+        if(arg.length === 0){
+            return { hist, bin_edges };
+        }
+
+        const argIndex = this.#flatIndex(
+            arg.offset, arg.shape, arg.strides.map(s => [s]), [],
+        );
+        const shader = this.createShader(
+            histogram(
+                this.sizeX,
+                {binding: 0, type: arg.dtype},
+                {binding: 1},
+                {binding: 2, type: "f32"},
+                {binding: 3},
+            ),
+        );
+        this.execute(
+            shader,
+            [
+                {array: arg, mode: "read-only"},
+                {array: argIndex, mode: "read-only"},
+                {array: bin_edges, mode: "read-only"},
+                {array: hist, mode: "read-write"},
+            ],
+            [Math.ceil(argIndex.length / this.sizeX)],
+        );
+        this._destroyOnDone(argIndex);
+
+        return { hist, bin_edges };
+    }
+
+    /**
+     * Bitonic sort along axis
+     *
+     * Sorted keys and indices are padded to power of 2 at the last axis.
+     * @param {NDArray} arg
+     * @param {SortOptions?} options
+     * @returns {{keys: NDArray, index: NDArray, L: number, ax: number}}
+     */
+    #bitonicSort(arg, options){
+        assertReal("Sort", arg);
+        const { axis = -1, descending = false } = options ?? {};
+        if(Array.isArray(axis)){
+            throw new Error(`axis must be a single integer: [${axis.join(",")}]`);
+        }
+
+        let src = arg;
+        if(axis === null){
+            src = this.copy(arg);
+            src = src.reshape([src.length]);
+        }
+        const [ax] = normalizeAxis(axis ?? 0, src.shape.length);
+        const moved = src.moveaxis(ax, -1);
+
+        const batch = moved.shape.slice(0, -1);
+        const L = moved.shape[batch.length];
+        const P = 2 ** Math.ceil(Math.log2(Math.max(L, 1)));
+
+        const keys = this.Array({ shape: [...batch, P], dtype: arg.dtype });
+        this.copy(moved, keys.slice(...batch.map(() => null), `0:${L}`));
+        if(src !== arg){
+            this._destroyOnDone(src);
+        }
+
+        const iota = this.arange({ stop: P }, { dtype: "u32" });
+        const index = this.copy(iota.broadcast_to([...batch, P]));
+        this._destroyOnDone(iota);
+
+        if((L <= 1) || (keys.length === 0)){
+            return { keys, index, L, ax };
+        }
+
+        const size = this.sizeReduce;
+        const B = 2 * size;
+        const buffers = (info) => [
+            {array: keys, mode: "read-write"},
+            {array: index, mode: "read-write"},
+            {array: info, mode: "read-only"},
+        ];
+        const step_shader = this.createShader(
+            bitonic_step(
+                size, descending, arg.dtype,
+                {binding: 0, type: arg.dtype},
+                {binding: 1, type: "u32"},
+                {binding: 2},
+            ),
+        );
+        const step = (k, j) => {
+            const info = this.#stridesBuffer([L, P, k, j]);
+            this.execute(step_shader, buffers(info),
+                         foldDispatch(Math.ceil(keys.length / 2 / size)));
+            this._destroyOnDone(info);
+        };
+
+        if(P < B){
+            for(let k = 2; k <= P; k <<= 1){
+                for(let j = k / 2; j > 0; j >>= 1){
+                    step(k, j);
+                }
+            }
+            return { keys, index, L, ax };
+        }
+
+        // Steps with j < B run on workgroup memory.
+        const local_shader = this.createShader(
+            bitonic_local(
+                size, descending, arg.dtype,
+                {binding: 0, type: arg.dtype},
+                {binding: 1, type: "u32"},
+                {binding: 2},
+            ),
+        );
+        const local = (k) => {
+            const info = this.#stridesBuffer([L, P, k]);
+            this.execute(local_shader, buffers(info), foldDispatch(keys.length / B));
+            this._destroyOnDone(info);
+        };
+
+        local(0);
+        for(let k = 2 * B; k <= P; k <<= 1){
+            for(let j = k / 2; j >= B; j >>= 1){
+                step(k, j);
+            }
+            local(k);
+        }
+
+        return { keys, index, L, ax };
+    }
+
+    /**
+     * Copy the first n elements at the last axis of sorted array into axis
+     * @param {NDArray} sorted
+     * @param {number} n
+     * @param {number} ax
+     * @param {NDArray?} out
+     * @returns {NDArray}
+     */
+    #fromSorted(sorted, n, ax, out){
+        const head = sorted.slice(...sorted.shape.slice(0, -1).map(() => null), `0:${n}`);
+        const r = this.copy(head.moveaxis(-1, ax), out);
+        this._destroyOnDone(sorted);
+        return r;
+    }
+
+    /**
+     * Sort along axis
+     * @param {NDArray} arg
+     * @param {SortOptions?} options
+     * @returns {NDArray}
+     */
+    sort(arg, options){
+        const { keys, index, L, ax } = this.#bitonicSort(arg, options);
+        this._destroyOnDone(index);
+        return this.#fromSorted(keys, L, ax, options?.out);
+    }
+
+    /**
+     * Indices which sort along axis. Ties keep original order (stable).
+     * @param {NDArray} arg
+     * @param {SortOptions?} options
+     * @returns {NDArray} - u32 array
+     */
+    argsort(arg, options){
+        const { keys, index, L, ax } = this.#bitonicSort(arg, options);
+        this._destroyOnDone(keys);
+        return this.#fromSorted(index, L, ax, options?.out);
+    }
+
+    /**
+     * k largest (or smallest) elements along axis in sorted order
+     * @param {NDArray} arg
+     * @param {number} k
+     * @param {TopkOptions?} options
+     * @returns {{values: NDArray, indices: NDArray}}
+     */
+    topk(arg, k, options){
+        const { axis = -1, largest = true } = options ?? {};
+        if(axis === null){
+            throw new Error("topk requires axis");
+        }
+        const [a] = normalizeAxis(axis, arg.shape.length);
+        if(!Number.isInteger(k) || (k < 0) || (k > arg.shape[a])){
+            throw new Error(`k must be in [0, ${arg.shape[a]}]: ${k}`);
+        }
+
+        const { keys, index, ax } = this.#bitonicSort(arg, { axis, descending: largest });
+        return {
+            values: this.#fromSorted(keys, k, ax),
+            indices: this.#fromSorted(index, k, ax),
+        };
+    }
+
+    /**
+     * Matrix Multiplication (same as NumPy's `@`)
+     * @param {NDArray} lhs
+     * @param {NDArray} rhs
+     * @param {NDArray?} out
+     * @returns {NDArray}
+     */
+    matmul(lhs, rhs, out){
+        if(!(lhs instanceof NDArray) || !(rhs instanceof NDArray)){
+            throw new Error(`matmul() doesn't support scalar`);
+        }
+        assertReal("matmul()", lhs, rhs);
+
+        const dtype = promoteType(lhs.dtype, rhs.dtype);
+
+        // 1D array is promoted to matrix. The added dimension is removed at out.
+        const lhs_vec = (lhs.shape.length === 1);
+        const rhs_vec = (rhs.shape.length === 1);
+
+        const lhs_shape = lhs_vec ? [1, ...lhs.shape] : lhs.shape;
+        const lhs_strides = lhs_vec ? [0, ...lhs.strides] : lhs.strides;
+        const rhs_shape = rhs_vec ? [...rhs.shape, 1] : rhs.shape;
+        const rhs_strides = rhs_vec ? [...rhs.strides, 0] : rhs.strides;
+
+        const [M, K] = lhs_shape.slice(-2);
+        const [rhs_K, N] = rhs_shape.slice(-2);
+        if(K !== rhs_K){
+            const s1 = lhs.shape.join(",");
+            const s2 = rhs.shape.join(",");
+            throw new Error(`Incompatible Shape: [${s1}] @ [${s2}]`);
+        }
+
+        const batch = broadcastShapes(lhs_shape.slice(0, -2), rhs_shape.slice(0, -2));
+        const batch_strides = (shape, strides) => broadcastStrides(
+            { shape: shape.slice(0, -2), strides: strides.slice(0, -2) },
+            batch,
+        );
+
+        const shape = [...batch];
+        if(!lhs_vec){ shape.push(M); }
+        if(!rhs_vec){ shape.push(N); }
+        if(shape.length === 0){ shape.push(1); }
+
+        out ??= this.Array({ shape, dtype });
+        if(out.custom_strides){
+            // Compute into contiguous array, then copy into out.
+            const tmp = this.Array({ shape: out.shape, dtype: out.dtype });
+            this.matmul(lhs, rhs, tmp);
+            this.copy(tmp, out);
+            this._destroyOnDone(tmp);
+            return out;
+        }
+        if(!equalShapes(out.shape, shape)){
+            const s1 = out.shape.join(",");
+            const s2 = shape.join(",");
+            throw new Error(`Incompatible Shape: out [${s1}] !== [${s2}]`);
+        }
+
+        const shape_buffer = this.#stridesBuffer([...batch, M, N, K]);
+        const lhs_buffer = this.#stridesBuffer([
+            ...batch_strides(lhs_shape, lhs_strides), ...lhs_strides.slice(-2), lhs.offset,
+        ]);
+        const rhs_buffer = this.#stridesBuffer([
+            ...batch_strides(rhs_shape, rhs_strides), ...rhs_strides.slice(-2), rhs.offset,
+        ]);
+
+        const tile = this.sizeTile;
+        const shader = this.createShader(
+            matmul(
+                tile, dtype,
+                {binding: 0, type: lhs.dtype, conv: (dtype === lhs.dtype) ? "" : dtype},
+                {binding: 1, type: rhs.dtype, conv: (dtype === rhs.dtype) ? "" : dtype},
+                {binding: 2, type: out.dtype, conv: (dtype === out.dtype) ? "" : out.dtype},
+                {binding: 3},
+                {binding: 4},
+                {binding: 5},
+            ),
+        );
+
+        this.execute(
+            shader,
+            [
+                {array: lhs, mode: "read-only"},
+                {array: rhs, mode: "read-only"},
+                {array: out, mode: "write-only"},
+                {array: shape_buffer, mode: "read-only"},
+                {array: lhs_buffer, mode: "read-only"},
+                {array: rhs_buffer, mode: "read-only"},
+            ],
+            [
+                Math.ceil(N / tile),
+                Math.ceil(M / tile),
+                batch.reduce((a, b) => a * b, 1),
+            ],
+        );
+        this._destroyOnDone(shape_buffer, lhs_buffer, rhs_buffer);
+
+        return out;
+    }
+
+    /**
+     * Per-axis option of 2D image as [y, x]
+     * @param {number | number[] | undefined} value
+     * @param {number | number[]} fallback
+     * @param {string} name
+     * @param {number} min
+     * @returns {number[]}
+     */
+    #pair(value, fallback, name, min = 0){
+        value ??= fallback;
+        const v = (typeof value === "number") ? [value, value] : value;
+        if((v?.length !== 2) || v.some(vi => !Number.isInteger(vi) || (vi < min))){
+            throw new Error(`${name} must be integer(s) >= ${min}: ${value}`);
+        }
+        return v;
+    }
+
+    /**
+     * @param {NDArray} x
+     * @param {"NCHW" | "NHWC" | undefined} data_format
+     * @returns {{N: number, C: number, H: number, W: number, axes: number[]}} - axes of (n, c, y, x)
+     */
+    #image(x, data_format){
+        data_format ??= "NCHW";
+        if(!["NCHW", "NHWC"].includes(data_format)){
+            throw new Error(`Unknown data_format: ${data_format}`);
+        }
+        if(x.shape.length !== 4){
+            throw new Error(`Input must be 4D (${data_format}): [${x.shape.join(",")}]`);
+        }
+        const axes = (data_format === "NCHW") ? [0, 1, 2, 3] : [0, 3, 1, 2];
+        const [N, C, H, W] = axes.map(d => x.shape[d]);
+        return { N, C, H, W, axes };
+    }
+
+    /**
+     * Output array and info buffer of conv2d / pool2d
+     * @param {NDArray} x
+     * @param {Object} img - Returned by #image()
+     * @param {number} OC
+     * @param {number[]} output - [OH, OW]
+     * @param {number[]} kernel - [KH, KW]
+     * @param {number[]} stride
+     * @param {number[]} padding
+     * @param {number[]} dilation
+     * @param {number} groups
+     * @param {string} dtype
+     * @param {number[]} extra - Appended to info
+     * @returns {{out: NDArray, info: Object}}
+     */
+    #imageOut(x, img, OC, output, kernel, stride, padding, dilation, groups, dtype, extra){
+        if(output.some(o => o < 1)){
+            throw new Error(`Output size must be positive: [${output.join(",")}]`);
+        }
+
+        const shape = [];
+        [img.N, OC, ...output].forEach((si, i) => { shape[img.axes[i]] = si; });
+        const out = this.Array({ shape, dtype });
+
+        const info = this.#stridesBuffer([
+            img.N, img.C, img.H, img.W, OC, ...output, ...kernel,
+            ...stride, ...padding, ...dilation, groups,
+            ...img.axes.map(d => x.strides[d]), x.offset,
+            ...img.axes.map(d => out.strides[d]), out.offset,
+            ...extra,
+        ]);
+        return { out, info };
+    }
+
+    /**
+     * @param {bool} transpose
+     * @param {NDArray} x
+     * @param {NDArray} weight
+     * @param {NDArray?} bias
+     * @param {Object} img - Returned by #image()
+     * @param {number} OC
+     * @param {number[]} output - [OH, OW]
+     * @param {number[]} stride
+     * @param {number[]} padding
+     * @param {number[]} dilation
+     * @param {number} groups
+     * @returns {NDArray}
+     */
+    #conv2d(transpose, x, weight, bias, img, OC, output, stride, padding, dilation, groups){
+        const dtype = resultType(x, weight, ...((bias !== undefined) ? [bias] : []));
+        if((bias !== undefined) && !equalShapes(bias.shape, [OC])){
+            throw new Error(`bias must be [${OC}]: [${bias.shape.join(",")}]`);
+        }
+
+        const w = weight.contiguous();
+        const bs = bias?.contiguous() ?? this.full(0, { shape: [OC], dtype });
+        const { out, info } = this.#imageOut(
+            x, img, OC, output, weight.shape.slice(2), stride, padding, dilation, groups, dtype,
+            [w.offset, bs.offset],
+        );
+
+        const tile = this.sizeTile;
+        const shader = this.createShader(
+            conv2d(
+                tile, transpose, dtype,
+                {binding: 0, type: x.dtype, conv: (x.dtype === dtype) ? "" : dtype},
+                {binding: 1, type: w.dtype, conv: (w.dtype === dtype) ? "" : dtype},
+                {binding: 2, type: bs.dtype, conv: (bs.dtype === dtype) ? "" : dtype},
+                {binding: 3, type: dtype, conv: ""},
+                {binding: 4},
+            ),
+        );
+
+        // Pixel tiles exceeding the dispatch limit are folded into z.
+        const [Y, fold] = foldDispatch(Math.ceil(img.N * output[0] * output[1] / tile));
+        this.execute(
+            shader,
+            [
+                {array: x, mode: "read-only"},
+                {array: w, mode: "read-only"},
+                {array: bs, mode: "read-only"},
+                {array: out, mode: "write-only"},
+                {array: info, mode: "read-only"},
+            ],
+            [Math.ceil(OC / groups / tile), Y, groups * fold],
+        );
+        this._destroyOnDone(info, ...[w, bs].filter((a, i) => a !== [weight, bias][i]));
+        return out;
+    }
+
+    /**
+     * 2D Convolution (Cross-correlation, same as PyTorch's `conv2d`)
+     * @param {NDArray} x - [N, C, H, W] ("NCHW") or [N, H, W, C] ("NHWC")
+     * @param {NDArray} weight - [OC, C / groups, KH, KW]
+     * @param {ConvOptions?} options
+     * @returns {NDArray} - [N, OC, OH, OW] or [N, OH, OW, OC]
+     */
+    conv2d(x, weight, options){
+        const { bias, groups = 1, data_format } = options ?? {};
+        assertReal("conv2d()", x, weight, bias);
+
+        const img = this.#image(x, data_format);
+        const stride = this.#pair(options?.stride, 1, "stride", 1);
+        const padding = this.#pair(options?.padding, 0, "padding");
+        const dilation = this.#pair(options?.dilation, 1, "dilation", 1);
+
+        if(weight.shape.length !== 4){
+            throw new Error(`weight must be 4D: [${weight.shape.join(",")}]`);
+        }
+        const [OC, CG, ...kernel] = weight.shape;
+        if(!Number.isInteger(groups) || (groups < 1) ||
+           (img.C % groups) || (OC % groups) || (CG !== img.C / groups)){
+            throw new Error(`Incompatible weight [${weight.shape.join(",")}] for ${img.C} channels with ${groups} groups`);
+        }
+
+        const output = [img.H, img.W].map((L, i) => Math.floor(
+            (L + 2 * padding[i] - dilation[i] * (kernel[i] - 1) - 1) / stride[i],
+        ) + 1);
+        return this.#conv2d(false, x, weight, bias, img, OC, output, stride, padding, dilation, groups);
+    }
+
+    /**
+     * 2D Transposed Convolution (same as PyTorch's `conv_transpose2d`)
+     * @param {NDArray} x - [N, C, H, W] ("NCHW") or [N, H, W, C] ("NHWC")
+     * @param {NDArray} weight - [C, OC / groups, KH, KW]
+     * @param {ConvTransposeOptions?} options
+     * @returns {NDArray} - [N, OC, OH, OW] or [N, OH, OW, OC]
+     */
+    conv_transpose2d(x, weight, options){
+        const { bias, groups = 1, data_format } = options ?? {};
+        assertReal("conv_transpose2d()", x, weight, bias);
+
+        const img = this.#image(x, data_format);
+        const stride = this.#pair(options?.stride, 1, "stride", 1);
+        const padding = this.#pair(options?.padding, 0, "padding");
+        const dilation = this.#pair(options?.dilation, 1, "dilation", 1);
+        const output_padding = this.#pair(options?.output_padding, 0, "output_padding");
+        if(output_padding.some((o, i) => (o >= stride[i]) && (o >= dilation[i]))){
+            throw new Error(`output_padding must be smaller than stride or dilation: ${output_padding}`);
+        }
+
+        if(weight.shape.length !== 4){
+            throw new Error(`weight must be 4D: [${weight.shape.join(",")}]`);
+        }
+        const [C, OCG, ...kernel] = weight.shape;
+        if(!Number.isInteger(groups) || (groups < 1) || (img.C % groups) || (C !== img.C)){
+            throw new Error(`Incompatible weight [${weight.shape.join(",")}] for ${img.C} channels with ${groups} groups`);
+        }
+
+        const output = [img.H, img.W].map((L, i) => (L - 1) * stride[i] - 2 * padding[i] +
+                                          dilation[i] * (kernel[i] - 1) + output_padding[i] + 1);
+        return this.#conv2d(true, x, weight, bias, img, OCG * groups, output,
+                            stride, padding, dilation, groups);
+    }
+
+    /**
+     * 1D Convolution (same as PyTorch's `conv1d`)
+     *
+     * Computed as conv2d with height 1.
+     * @param {NDArray} x - [N, C, L] ("NCL") or [N, L, C] ("NLC")
+     * @param {NDArray} weight - [OC, C / groups, K]
+     * @param {Conv1dOptions?} options
+     * @returns {NDArray} - [N, OC, OL] or [N, OL, OC]
+     */
+    conv1d(x, weight, options){
+        const { data_format = "NCL" } = options ?? {};
+        if(!["NCL", "NLC"].includes(data_format)){
+            throw new Error(`Unknown data_format: ${data_format}`);
+        }
+        if((x.shape.length !== 3) || (weight.shape.length !== 3)){
+            throw new Error(`conv1d() requires 3D x and weight: [${x.shape.join(",")}], [${weight.shape.join(",")}]`);
+        }
+
+        const h = (data_format === "NCL") ? 2 : 1;
+        const y = this.conv2d(x.expand_dims(h), weight.expand_dims(2), {
+            ...options,
+            stride: [1, options?.stride ?? 1],
+            padding: [0, options?.padding ?? 0],
+            dilation: [1, options?.dilation ?? 1],
+            data_format: (data_format === "NCL") ? "NCHW" : "NHWC",
+        });
+        return y.reshape(y.shape.filter((_, i) => i !== h));
+    }
+
+    /**
+     * @param {bool} average
+     * @param {NDArray} x
+     * @param {PoolOptions} options
+     * @returns {NDArray}
+     */
+    #pool2d(average, x, options){
+        const { data_format, count_include_pad = true } = options ?? {};
+        assertReal(average ? "avg_pool2d()" : "max_pool2d()", x);
+
+        const img = this.#image(x, data_format);
+        const kernel = this.#pair(options?.kernel_size, undefined, "kernel_size", 1);
+        const stride = this.#pair(options?.stride, kernel, "stride", 1);
+        const padding = this.#pair(options?.padding, 0, "padding");
+        const dilation = average ? [1, 1] : this.#pair(options?.dilation, 1, "dilation", 1);
+        if(padding.some((p, i) => 2 * p > kernel[i])){
+            throw new Error(`padding must be at most half of kernel_size: ${padding}`);
+        }
+
+        const output = [img.H, img.W].map((L, i) => Math.floor(
+            (L + 2 * padding[i] - dilation[i] * (kernel[i] - 1) - 1) / stride[i],
+        ) + 1);
+        const dtype = (average && ["i32", "u32"].includes(x.dtype)) ? "f32" : x.dtype;
+
+        // Largest square output tile whose input region fits in workgroup memory
+        const tile = this.sizeTile;
+        const region = 4 * tile * tile;
+        const size = (T) => [0, 1].reduce(
+            (a, i) => a * ((T - 1) * stride[i] + (kernel[i] - 1) * dilation[i] + 1), 1,
+        );
+        let T = tile;
+        while((T > 1) && (size(T) > region)){ T--; }
+        const tiled = size(T) <= region;
+        if(!tiled){ T = tile; }
+
+        const { out, info } = this.#imageOut(
+            x, img, img.C, output, kernel, stride, padding, dilation, 1, dtype,
+            [count_include_pad ? 1 : 0, T, T],
+        );
+
+        const shader = this.createShader(
+            pool2d(
+                tile, region, tiled, average, average ? "0" : lowest[dtype], dtype,
+                {binding: 0, type: x.dtype, conv: (x.dtype === dtype) ? "" : dtype},
+                {binding: 1, type: dtype, conv: ""},
+                {binding: 2},
+            ),
+        );
+
+        const W = img.N * img.C * Math.ceil(output[0] / T) * Math.ceil(output[1] / T);
+        this.execute(
+            shader,
+            [
+                {array: x, mode: "read-only"},
+                {array: out, mode: "write-only"},
+                {array: info, mode: "read-only"},
+            ],
+            foldDispatch(W),
+        );
+        this._destroyOnDone(info);
+        return out;
+    }
+
+    /**
+     * 2D Max Pooling (same as PyTorch's `max_pool2d`)
+     * @param {NDArray} x - [N, C, H, W] ("NCHW") or [N, H, W, C] ("NHWC")
+     * @param {PoolOptions} options
+     * @returns {NDArray}
+     */
+    max_pool2d(x, options){
+        return this.#pool2d(false, x, options);
+    }
+
+    /**
+     * 2D Average Pooling (same as PyTorch's `avg_pool2d`)
+     * @param {NDArray} x - [N, C, H, W] ("NCHW") or [N, H, W, C] ("NHWC")
+     * @param {PoolOptions} options
+     * @returns {NDArray}
+     */
+    avg_pool2d(x, options){
+        return this.#pool2d(true, x, options);
+    }
+
+    /**
+     * @param {PRNGOptions?} options
+     * @returns {Xoshiro128pp}
+     */
+    Xoshiro128pp(options){
+        return new Xoshiro128pp(this, options);
+    }
+};
+
+
+
+class NDArray {
+    /** @type {Promise<undefined>?} */
+    #load_promise
+
+    /** @type {bool} */
+    #cpu_dirty = false
+
+    /** @type {bool} */
+    #gpu_dirty = false
+
+    /**
+     * @constructor
+     * @param {GPUBackend} backend
+     * @param {ArrayOptions?} options
+     * @param {ViewOptions?} view
+     */
+    constructor(backend, options, view){
+        /** @type {GPUBackend} */
+        this.backend = backend;
+
+        /** @type {GPUDevice} */
+        this.device = backend.device;
+
+        /** @type {NDArray?} Owner of the data, if this is a view */
+        this.base = view?.base ?? null;
+
+        /** @type {number} Element offset at the data */
+        this.offset = view?.offset ?? 0;
+
+        let { shape, dtype, strides } = options ?? {};
+
+        // shape
+        this.shape = this.#ensure_shape(shape);
+
+        // strides
+        /** @type {bool} */
+        this.custom_strides = (strides !== undefined) || (this.base !== null);
+
+        strides ??= contiguousStrides(this.shape);
+        if(typeof strides === "number"){
+            strides = [strides];
+        }
+        if(strides.length !== this.shape.length){
+            throw new Error(`strides must have same length: ${strides.length}`);
+        }
+        this.strides = strides.map(s => s | 0);
+
+        // dtype
+        /** @type {str} */
+        this.dtype = dtype ?? "f32";
+
+        /** @type {number} */
+        this.itemsize = 4;
+
+        /** @type {ArrayLike} */
+        this.cpu;
+
+        this.#load_promise = null;
+
+        if(this.base !== null){
+            // View shares the data with its base.
+            /** @type {number} */
+            this.length = this.shape.reduce((a, v) => a * v, 1);
+            this.itemsize = this.base.itemsize;
+            this.cpu = this.base.cpu;
+            this.gpu = this.base.gpu;
+            return;
+        }
+
+        /** @type {number} */
+        this.length = (this.custom_strides && !this.shape.includes(0)) ?
+            this.shape.reduce((a, v, i) => a + (v-1)*this.strides[i], 1) :
+            this.shape.reduce((a, v) => a * v, 1);
+
+        switch(this.dtype){
+        case "f16":
+            this.itemsize = 2;
+            this.cpu = new Float16Array(this.length);
+            break;
+        case "f32":
+            this.cpu = new Float32Array(this.length);
+            break;
+        case "u32":
+            this.cpu = new Uint32Array(this.length);
+            break;
+        case "i32":
+            this.cpu = new Int32Array(this.length);
+            break;
+        case "c64":
+            this.itemsize = 8;
+            this.cpu = new Complex64Array(this.length);
+            break;
+        default:
+            throw new Error(`Unknown dtype: ${dtype}`);
+        }
+
+        const _size = this.length * this.itemsize;
+        if(_size % 4){
+            throw new Error(`Data Size must be multiple of 4 bytes, but ${this.itemsize} bytes x ${this.length} items = ${_size} bytes`);
+        }
+
+        /** @type {GPUBuffer} */
+        this.gpu = this.device.createBuffer({
+            size: this.length * this.itemsize,
+            usage: GPUBufferUsage.STORAGE |
+                GPUBufferUsage.COPY_SRC |
+                GPUBufferUsage.COPY_DST,
+        });
+    }
+
+    /**
+     * @returns {bool}
+     */
+    get cpu_dirty(){
+        return (this.base === null) ? this.#cpu_dirty : this.base.cpu_dirty;
+    }
+
+    /**
+     * @param {bool} dirty
+     */
+    set cpu_dirty(dirty){
+        if(this.base === null){
+            this.#cpu_dirty = dirty;
+        } else {
+            this.base.cpu_dirty = dirty;
+        }
+    }
+
+    /**
+     * @returns {bool}
+     */
+    get gpu_dirty(){
+        return (this.base === null) ? this.#gpu_dirty : this.base.gpu_dirty;
+    }
+
+    /**
+     * @param {bool} dirty
+     */
+    set gpu_dirty(dirty){
+        if(this.base === null){
+            this.#gpu_dirty = dirty;
+        } else {
+            this.base.gpu_dirty = dirty;
+        }
+    }
+
+    #ensure_shape(shape){
+        shape ??= [1];
+        if(typeof shape === "number"){
+            shape = [shape];
+        }
+        if(shape.some(s => s < 0)){
+            throw new Error(`shape must be non-negative: [${shape.join()}]`);
+        }
+        return shape.map(s => s | 0);
+    }
+
+    /**
+     * Reshape View sharing GPU buffer
+     *
+     * One dimension can be -1, which is inferred from the others.
+     * @param {number | number[] | undefined} shape
+     * @returns {NDArray}
+     */
+    reshape(shape){
+        if(typeof shape === "number"){
+            shape = [shape];
+        }
+        shape = shape ?? [1];
+
+        const size = this.shape.reduce((a, s) => a * s, 1);
+        const unknown = shape.filter(s => s === -1).length;
+        if(unknown > 1){
+            throw new Error(`Only one dimension can be -1: [${shape.join(",")}]`);
+        }
+        if(unknown === 1){
+            const known = shape.reduce((a, s) => (s === -1) ? a : a * s, 1);
+            shape = shape.map(s => (s === -1) ? ((known === 0) ? 0 : size / known) : s);
+        }
+        shape = this.#ensure_shape(shape);
+
+        if(shape.reduce((a, s) => a * s, 1) !== size){
+            const s1 = this.shape.join(",");
+            const s2 = shape.join(",");
+            throw new Error(`Reshape with incompatible shape: [${s1}] -> [${s2}]`);
+        }
+
+        if(this.custom_strides && !this.is_contiguous){
+            throw new Error(`reshape() is not supported with non-contiguous strides. Use contiguous() first`);
+        }
+
+        return this.#view(shape, contiguousStrides(shape), this.offset);
+    }
+
+    /**
+     * Whether elements are placed in C-order without gaps
+     * @returns {bool}
+     */
+    get is_contiguous(){
+        const strides = contiguousStrides(this.shape);
+        return this.shape.every((si, i) => (si === 1) || (this.strides[i] === strides[i]));
+    }
+
+    /**
+     * View sharing GPU buffer
+     * @param {number[]} shape
+     * @param {number[]} strides
+     * @param {number} offset
+     * @returns {NDArray}
+     */
+    #view(shape, strides, offset){
+        if(shape.length === 0){
+            shape = [1];
+            strides = [1];
+        }
+
+        return new NDArray(
+            this.backend,
+            { shape, dtype: this.dtype, strides },
+            { base: this.base ?? this, offset },
+        );
+    }
+
+    /**
+     * Transpose View (same as NumPy's `transpose`)
+     * @param {number[]} axes - Permutation of axes. (Default: reversed)
+     * @returns {NDArray}
+     */
+    transpose(...axes){
+        if((axes.length === 1) && Array.isArray(axes[0])){
+            axes = axes[0];
+        }
+        const ndim = this.shape.length;
+        axes = (axes.length === 0) ?
+            this.shape.map((_, i) => ndim - 1 - i) :
+            normalizeAxis(axes, ndim, false);
+        if(axes.length !== ndim){
+            throw new Error(`axes don't match array: [${axes.join(",")}]`);
+        }
+
+        return this.#view(
+            axes.map(a => this.shape[a]),
+            axes.map(a => this.strides[a]),
+            this.offset,
+        );
+    }
+
+    /**
+     * Transpose View (Alias of `transpose()`)
+     * @returns {NDArray}
+     */
+    get T(){
+        return this.transpose();
+    }
+
+    /**
+     * Interchange two axes
+     * @param {number} axis1
+     * @param {number} axis2
+     * @returns {NDArray}
+     */
+    swapaxes(axis1, axis2){
+        const ndim = this.shape.length;
+        const [a1] = normalizeAxis(axis1, ndim);
+        const [a2] = normalizeAxis(axis2, ndim);
+
+        const axes = this.shape.map((_, i) => i);
+        axes[a1] = a2;
+        axes[a2] = a1;
+        return this.transpose(axes);
+    }
+
+    /**
+     * Diagonal View of the last 2 axes
+     * @returns {NDArray} - [...batch, min(M, N)]
+     */
+    diagonal(){
+        const ndim = this.shape.length;
+        if(ndim < 2){
+            throw new Error(`diagonal requires at least 2D array: ${ndim}D`);
+        }
+
+        const shape = this.shape.slice(0, -1);
+        const strides = this.strides.slice(0, -1);
+        shape[ndim - 2] = Math.min(this.shape[ndim - 2], this.shape[ndim - 1]);
+        strides[ndim - 2] += this.strides[ndim - 1];
+        return this.#view(shape, strides, this.offset);
+    }
+
+    /**
+     * Move axes to new positions (same as NumPy's `moveaxis`)
+     * @param {number | number[]} source
+     * @param {number | number[]} destination
+     * @returns {NDArray}
+     */
+    moveaxis(source, destination){
+        const ndim = this.shape.length;
+        source = normalizeAxis(source, ndim, false);
+        destination = normalizeAxis(destination, ndim, false);
+        if(source.length !== destination.length){
+            throw new Error(`source and destination must have same length: ${source.length} !== ${destination.length}`);
+        }
+
+        const rest = this.shape.map((_, i) => i).filter(i => !source.includes(i));
+        const axes = [];
+        destination.map((d, i) => [d, source[i]])
+            .sort((a, b) => a[0] - b[0])
+            .forEach(([d, src]) => { axes[d] = src; });
+        for(let i = 0; i < ndim; i++){
+            axes[i] ??= rest.shift();
+        }
+        return this.transpose(axes);
+    }
+
+    /**
+     * Remove axes of length one
+     * @param {number | number[] | undefined} axis - (Default: all length one axes)
+     * @returns {NDArray}
+     */
+    squeeze(axis){
+        const ndim = this.shape.length;
+        if(axis === undefined){
+            axis = this.shape.map((_, i) => i).filter(i => this.shape[i] === 1);
+        }
+        axis = normalizeAxis(axis, ndim);
+        for(const a of axis){
+            if(this.shape[a] !== 1){
+                throw new Error(`Cannot squeeze ${a}-th axis of length ${this.shape[a]}`);
+            }
+        }
+
+        return this.#view(
+            this.shape.filter((_, i) => !axis.includes(i)),
+            this.strides.filter((_, i) => !axis.includes(i)),
+            this.offset,
+        );
+    }
+
+    /**
+     * Insert axes of length one
+     * @param {number | number[]} axis - Positions at the expanded array
+     * @returns {NDArray}
+     */
+    expand_dims(axis){
+        const ndim = this.shape.length + ((typeof axis === "number") ? 1 : axis.length);
+        axis = normalizeAxis(axis, ndim);
+
+        const shape = [...this.shape];
+        const strides = [...this.strides];
+        for(const a of axis){
+            shape.splice(a, 0, 1);
+            strides.splice(a, 0, 0);
+        }
+        return this.#view(shape, strides, this.offset);
+    }
+
+    /**
+     * Broadcast View (Read-only usage is expected)
+     * @param {number | number[]} shape
+     * @returns {NDArray}
+     */
+    broadcast_to(shape){
+        shape = this.#ensure_shape(shape);
+        if(!equalShapes(broadcastShapes(this.shape, shape), shape)){
+            const s1 = this.shape.join(",");
+            const s2 = shape.join(",");
+            throw new Error(`Cannot broadcast: [${s1}] -> [${s2}]`);
+        }
+        return this.#view(shape, broadcastStrides(this, shape), this.offset);
+    }
+
+    /**
+     * Copy into a new contiguous array
+     * @returns {NDArray}
+     */
+    copy(){
+        return this.backend.copy(this);
+    }
+
+    /**
+     * Cast to dtype on GPU
+     *
+     * casting (Default: "unsafe", which never throws even for lossy casts)
+     * - "no": No cast is allowed.
+     * - "safe": Only casts which preserve values ("f16" -> "f32")
+     * - "same_kind": Safe casts or casts within unsigned / signed / float,
+     *                or to a later kind of them ("u32" -> "i32", "i32" -> "f32")
+     * - "unsafe": Any casts
+     * @param {DType} dtype
+     * @param {AstypeOptions?} options
+     * @returns {NDArray}
+     */
+    astype(dtype, options){
+        const { copy, casting } = options ?? {};
+
+        if(!canCast(this.dtype, dtype, casting ?? "unsafe")){
+            throw new Error(`Cannot cast from ${this.dtype} to ${dtype} with casting "${casting}"`);
+        }
+
+        if((dtype === this.dtype) && (copy === false)){
+            return this;
+        }
+
+        return this.backend.copy(this, this.backend.Array({ shape: this.shape, dtype }));
+    }
+
+    /**
+     * Contiguous array. (Copied only if necessary)
+     * @returns {NDArray}
+     */
+    contiguous(){
+        return (this.custom_strides && !this.is_contiguous) ? this.copy() : this;
+    }
+
+    /**
+     * Slice View sharing GPU buffer
+     *
+     * Each range is one of the followings;
+     * - number: Integer index. The dimension is dropped.
+     * - string: "start:stop:step" like Python. (e.g. "1:", "::-1")
+     * - SliceOptions: { start, stop, step }
+     * - null / undefined: Whole range
+     *
+     * Missing trailing ranges are treated as whole ranges.
+     * @param {Array<number | string | SliceOptions | null | undefined>} ranges
+     * @returns {NDArray}
+     */
+    slice(...ranges){
+        if(ranges.length > this.shape.length){
+            throw new Error(`Too many indices: ${ranges.length} > ${this.shape.length}`);
+        }
+
+        let offset = this.offset;
+        const shape = [];
+        const strides = [];
+        this.shape.forEach((si, i) => {
+            let r = ranges[i];
+            if((typeof r === "string") && !r.includes(":")){
+                r = Number(r);
+            }
+
+            if(typeof r === "number"){
+                offset += normalizeIndex(r, si) * this.strides[i];
+                return;
+            }
+
+            const { start, step, length } = parseSlice(r, si);
+            offset += start * this.strides[i];
+            shape.push(length);
+            strides.push(step * this.strides[i]);
+        });
+
+        return this.#view(shape, strides, offset);
+    }
+
+    /**
+     * Select elements with mask (same as NumPy's `this[cond]`)
+     * @param {NDArray} cond - Broadcasted to this
+     * @returns {Promise<NDArray>} - 1D
+     */
+    mask(cond){
+        return this.backend.compress(cond, this);
+    }
+
+    /**
+     * Slice View sharing GPU buffer. (Alias of `slice()`)
+     * @param {Array<number | string | SliceOptions | null | undefined>} ranges
+     * @returns {NDArray}
+     */
+    view(...ranges){
+        return this.slice(...ranges);
+    }
+
+    /**
+     * Load Data from GPU if necessary
+     * @returns {Promise<undefined>}
+     */
+    load(){
+        if(this.base !== null){
+            return this.base.load();
+        }
+
+        if(!this.gpu_dirty){
+            return;
+        }
+
+        if(this.#load_promise !== null){
+            return this.#load_promise;
+        }
+
+        const staging = this.device.createBuffer({
+            size: this.gpu.size,
+            usage: GPUBufferUsage.MAP_READ |
+                GPUBufferUsage.COPY_DST,
+        });
+
+        const cmd = this.device.createCommandEncoder();
+        cmd.copyBufferToBuffer(this.gpu, 0, staging, 0, this.gpu.size);
+        this.device.queue.submit([cmd.finish()]);
+
+        // Note: mapAsync ensures submitted work done before.
+        this.#load_promise = staging.mapAsync(GPUMapMode.READ, 0, this.gpu.size).then(
+            () => {
+                const b = new Uint8Array(staging.getMappedRange(0, this.gpu.size));
+                (new Uint8Array(this.cpu.buffer)).set(b);
+
+                staging.unmap();
+                staging.destroy();
+
+                this.gpu_dirty = false;
+                this.#load_promise = null;
+            }
+        );
+
+        return this.#load_promise;
+    }
+
+    /**
+     * Send Data to GPU if necessary
+     */
+    send(){
+        if(this.base !== null){
+            return this.base.send();
+        }
+
+        if(!this.cpu_dirty){
+            return;
+        }
+
+        // Float16Array ponyfill cannot be passed directly.
+        this.device.queue.writeBuffer(this.gpu, 0, this.cpu.buffer);
+        this.cpu_dirty = false;
+    }
+
+    /**
+     * @param {number[]} index
+     * @returns {number}
+     */
+    #calcIndex(...index){
+        if(index.length !== this.shape.length){
+            throw new Error(`Index mismatch: ${index.length} !== ${this.shape.length}`);
+        }
+        return index.reduce(
+            (a, idx, i) => a + this.strides[i] * normalizeIndex(idx, this.shape[i]),
+            this.offset,
+        );
+    }
+
+    /**
+     * Data Indices of Elements in C-order
+     * @returns {Generator<number>}
+     */
+    *#indices(){
+        const index = this.shape.map(() => 0);
+        for(let n = 0; n < this.length; n++){
+            yield index.reduce((a, idx, i) => a + this.strides[i] * idx, this.offset);
+
+            for(let i = index.length - 1; i >= 0; i--){
+                index[i]++;
+                if(index[i] < this.shape[i]){ break; }
+                index[i] = 0;
+            }
+        }
+    }
+
+    /**
+     * Values of Elements in C-order
+     * @returns {Generator<number>}
+     */
+    *#values(){
+        for(const i of this.#indices()){
+            yield this.cpu[i];
+        }
+    }
+
+    /**
+     * Get Value
+     *
+     * When fewer indices than dimensions are passed,
+     * the sub-array is returned as nested Array.
+     * (Use `slice()` to get the sub-array as `NDArray`.)
+     * @param {number[]} index
+     * @returns {Promise<number | Complex | Array>}
+     */
+    async get(...index){
+        await this.load();
+        return this.get_without_load(...index);
+    }
+
+    /**
+     * Get Value without Load
+     * @param {number[]} index
+     * @returns {number | Complex | Array}
+     */
+    get_without_load(...index){
+        if(index.length > this.shape.length){
+            throw new Error(`Too many indices: ${index.length} > ${this.shape.length}`);
+        }
+
+        if(index.length === this.shape.length){
+            return this.cpu.at(this.#calcIndex(...index));
+        }
+
+        // Sub-array as nested Array
+        const sub = this.slice(...index);
+        const nest = (values, shape) => {
+            if(shape.length <= 1){
+                return values;
+            }
+            const n = values.length / shape[0];
+            return Array.from(
+                { length: shape[0] },
+                (_, i) => nest(values.slice(i * n, (i+1) * n), shape.slice(1)),
+            );
+        };
+        return nest(Array.from(sub.#values()), sub.shape);
+    }
+
+    /**
+     * Set Value
+     *
+     * When fewer indices than dimensions are passed,
+     * the value is broadcasted to the selected sub-array.
+     * @param {number | Complex | Array | TypedArray | NDArray} value
+     * @param {number[]} index
+     */
+    set(value, ...index){
+        if((index.length === 0) && !(value instanceof NDArray) && (value.length === this.length)){
+            if(this.base === null){
+                this.cpu.set(value);
+            } else {
+                let n = 0;
+                for(const i of this.#indices()){
+                    this.cpu[i] = value[n++];
+                }
+            }
+            this.cpu_dirty = true;
+            return;
+        }
+
+        if(index.length > this.shape.length){
+            throw new Error(`Too many indices: ${index.length} > ${this.shape.length}`);
+        }
+
+        if(index.length === this.shape.length){
+            this.cpu[this.#calcIndex(...index)] = value;
+            this.cpu_dirty = true;
+            return;
+        }
+
+        const sub = (index.length === 0) ? this : this.slice(...index);
+
+        const { shape, values } = flattenValue(value);
+        const strides = broadcastStrides(
+            {
+                shape,
+                strides: shape.reduce((a, si) => {
+                    a = a.map(ai => ai * si);
+                    a.push(1);
+                    return a;
+                }, []),
+            },
+            sub.shape,
+        );
+
+        const idx = sub.shape.map(() => 0);
+        for(const i of sub.#indices()){
+            this.cpu[i] = values[idx.reduce((a, v, d) => a + v * strides[d], 0)];
+
+            for(let d = idx.length - 1; d >= 0; d--){
+                idx[d]++;
+                if(idx[d] < sub.shape[d]){ break; }
+                idx[d] = 0;
+            }
+        }
+        this.cpu_dirty = true;
+    }
+
+    [Symbol.iterator](){
+        if(this.gpu_dirty){
+            console.warn(`There are unloaded data at GPU`);
+        }
+
+        if(this.base === null){
+            return this.cpu[Symbol.iterator]();
+        }
+
+        return this.#values();
+    }
+};
+
+
+class PRNG {
+    #rng
+
+    /**
+     * @param {"f32" | "f16"} dtype
+     * @returns {NDArray}
+     */
+    normal(dtype){
+        dtype ??= "f32";
+
+        if(this.#rng?.dtype === dtype){
+            const rng = this.#rng;
+            this.#rng = null;
+            return rng;
+        }
+
+        // 0 <= u, v < 1
+        const u = this.next(dtype);
+        const v = this.next(dtype);
+
+        const b = this.backend;
+
+        const r1 = b.Array({ shape: u.shape, dtype });
+        const r2 = b.Array({ shape: u.shape, dtype });
+
+        const shader = b.createShader(
+            box_muller(
+                b.sizeX,
+                {binding: 0, type: u.dtype},
+                {binding: 1, type: v.dtype},
+                {binding: 2, type: r1.dtype},
+                {binding: 3, type: r2.dtype},
+            ),
+        );
+
+        b.execute(
+            shader,
+            [
+                {array: u, mode: "read-only"},
+                {array: v, mode: "read-only"},
+                {array: r1, mode: "write-only"},
+                {array: r2, mode: "write-only"},
+            ],
+            [Math.ceil(u.length / b.sizeX)],
+        );
+
+        this.#rng = r2;
+
+        b._destroyOnDone(u, v);
+        return r1;
+    }
+};
+
+class Xoshiro128pp extends PRNG {
+    /**
+     * @param {GPUBackend} backend
+     * @param {PRNGOptions?} options
+     */
+    constructor(backend, options){
+        super();
+
+        let { seed, size } = options ?? {};
+
+        /** @type {GPUBackend} */
+        this.backend = backend;
+
+        /** @type {number} */
+        this.size = size ?? 64;
+
+        seed ??= crypto.getRandomValues(new BigUint64Array(1))[0];
+
+        // SplitMix64
+        seed = BigInt(seed) & ((2n ** 64n) -1n);
+        const state = Array.from({length: 4}, () => {
+            let z = (seed += 0x9e3779b97f4a7c15n);
+            z = (z ^ (z >> 30n)) * 0xbf58476d1ce4e5b9n;
+            z = (z ^ (z >> 27n)) * 0x94d049bb133111ebn;
+            return Number((z ^ (z >> 31n)) & ((2n ** 32n) -1n));
+        });
+
+        /** @type {NDArray} */
+        this.state = this.backend.Array({ shape: [this.size, 4], dtype: "u32" });
+        this.state.cpu.set(state);
+        this.state.cpu_dirty = true;
+
+        const shader = this.backend.createShader(xoshiro128pp_init({binding: 0}));
+        this.backend.execute(shader, [{array: this.state, mode: "read-write"}], [1]);
+    }
+
+    /**
+     * @param {"u32" | "f32"} dtype
+     * @returns {NDArray}
+     */
+    next(dtype){
+        dtype ??= "u32";
+        if(!["u32", "f32"].includes(dtype)){
+            throw new Error(`Incompatible dtype: ${dtype}`);
+        }
+
+        const out = this.backend.Array({ shape: this.size, dtype });
+
+        const size = Math.min(this.size, this.backend.sizeX);
+        const shader = this.backend.createShader(xoshiro128pp(
+            size,
+            {binding: 0},
+            {binding: 1, type: out.dtype},
+        ));
+
+        this.backend.execute(
+            shader,
+            [
+                {array: this.state, mode: "read-write"},
+                {array: out, mode: "write-only"},
+            ],
+            [Math.ceil(this.size / size)],
+        );
+
+        return out;
+    }
+};
+
+
+/**
+ * Batched Dense Linear Algebra (`gpu.linalg`)
+ *
+ * Matrices are the last 2 dimensions, and the others are batch dimensions.
+ * Computation is done in f32.
+ *
+ * One workgroup processes one matrix.
+ * LU, Cholesky and QR decompositions are blocked; a workgroup factors a panel,
+ * then the trailing matrix is updated by tiled matmul.
+ */
+class Linalg {
+    /**
+     * @param {GPUBackend} backend
+     */
+    constructor(backend){
+        /** @type {GPUBackend} */
+        this.backend = backend;
+
+        /** @type {number} Maximum number of sweeps for Jacobi method */
+        this.sweeps = 30;
+
+        /** @type {number} Panel width of blocked decompositions */
+        this.block = 32;
+    }
+
+    /**
+     * @param {NDArray} a
+     * @param {bool} square
+     * @returns {{batch: number[], M: number, N: number, B: number}}
+     */
+    #matrix(a, square){
+        const ndim = a.shape.length;
+        if(ndim < 2){
+            throw new Error(`Linear algebra requires at least 2D array: ${ndim}D`);
+        }
+        const batch = a.shape.slice(0, -2);
+        const [M, N] = a.shape.slice(-2);
+        if(square && (M !== N)){
+            throw new Error(`Last 2 dimensions must be square: [${a.shape.join(",")}]`);
+        }
+        return { batch, M, N, B: batch.reduce((p, s) => p * s, 1) };
+    }
+
+    /**
+     * Contiguous f32 copy (broadcasted to shape)
+     * @param {NDArray} a
+     * @param {number[]?} shape
+     * @returns {NDArray}
+     */
+    #f32(a, shape){
+        const b = this.backend;
+        shape ??= a.shape;
+        return b.copy(a.broadcast_to(shape), b.Array({ shape, dtype: "f32" }));
+    }
+
+    /**
+     * Block View of the last 2 dimensions
+     * @param {NDArray} a
+     * @param {string} rows - "start:stop"
+     * @param {string} cols - "start:stop"
+     * @returns {NDArray}
+     */
+    #block(a, rows, cols){
+        return a.slice(...a.shape.slice(0, -2).map(() => null), rows, cols);
+    }
+
+    /**
+     * Trailing Update (c -= lhs @ rhs)
+     * @param {NDArray} c - View
+     * @param {NDArray} lhs
+     * @param {NDArray} rhs
+     */
+    #update(c, lhs, rhs){
+        const b = this.backend;
+        const t = b.matmul(lhs, rhs);
+        b.sub(c, t, c);
+        b._destroyOnDone(t);
+    }
+
+    /**
+     * LU Decomposition of contiguous f32 array in-place
+     * @param {NDArray} a - [...batch, N, N]
+     * @returns {{perm: NDArray, sign: NDArray}}
+     */
+    #luFactor(a){
+        const b = this.backend;
+        const { batch, N, B } = this.#matrix(a, true);
+        const perm = b.Array({ shape: [...batch, N], dtype: "u32" });
+        const sign = b.Array({ shape: (batch.length > 0) ? batch : [1], dtype: "f32" });
+
+        const shader = b.createShader(
+            lu_factor(
+                b.sizeX, this.block,
+                {binding: 0, type: "f32"},
+                {binding: 1, type: "u32"},
+                {binding: 2, type: "f32"},
+            ),
+        );
+        for(let k = 0; k < N; k += this.block){
+            const k1 = Math.min(k + this.block, N);
+            b.execute(
+                shader,
+                [
+                    {array: a, mode: "read-write"},
+                    {array: perm, mode: "read-write"},
+                    {array: sign, mode: "read-write"},
+                ],
+                foldDispatch(B),
+                { N, K0: k, NB: k1 - k },
+            );
+            if(k1 < N){
+                this.#update(
+                    this.#block(a, `${k1}:`, `${k1}:`),
+                    this.#block(a, `${k1}:`, `${k}:${k1}`),
+                    this.#block(a, `${k}:${k1}`, `${k1}:`),
+                );
+            }
+        }
+        return { perm, sign };
+    }
+
+    /**
+     * Solve with LU Decomposition
+     * @param {NDArray} lu - [...batch, N, N]
+     * @param {NDArray} perm - [...batch, N]
+     * @param {NDArray} rhs - Contiguous f32 [...batch, N, K]
+     * @returns {NDArray} - [...batch, N, K]
+     */
+    #luSolve(lu, perm, rhs){
+        const b = this.backend;
+        const { B, N } = this.#matrix(lu, true);
+        const K = rhs.shape[rhs.shape.length - 1];
+        const x = b.Array({ shape: rhs.shape, dtype: "f32" });
+
+        const shader = b.createShader(
+            lu_solve(
+                b.sizeX,
+                {binding: 0, type: "f32"},
+                {binding: 1, type: "u32"},
+                {binding: 2, type: "f32"},
+                {binding: 3, type: "f32"},
+            ),
+        );
+        b.execute(
+            shader,
+            [
+                {array: lu, mode: "read-only"},
+                {array: perm, mode: "read-only"},
+                {array: rhs, mode: "read-only"},
+                {array: x, mode: "write-only"},
+            ],
+            foldDispatch((N * K > 0) ? B : 0),
+            { N, K },
+        );
+        return x;
+    }
+
+    /**
+     * Solve a x = rhs
+     *
+     * rhs is treated as a vector only if it is 1D, otherwise as [..., N, K].
+     * Batch dimensions are broadcasted.
+     * @param {NDArray} a - [..., N, N]
+     * @param {NDArray} rhs - [N] or [..., N, K]
+     * @returns {NDArray} - [..., N] or [..., N, K]
+     */
+    solve(a, rhs){
+        const b = this.backend;
+        const { batch: abatch, N } = this.#matrix(a, true);
+        const vector = (rhs.shape.length === 1);
+        const r = vector ? rhs.expand_dims(1) : rhs;
+        const { batch: rbatch, M, N: K } = this.#matrix(r, false);
+        if(M !== N){
+            throw new Error(`Incompatible Shape: a [${a.shape.join(",")}], b [${rhs.shape.join(",")}]`);
+        }
+
+        const batch = broadcastShapes(abatch, rbatch);
+        const lu = this.#f32(a, [...batch, N, N]);
+        const rr = this.#f32(r, [...batch, N, K]);
+        const { perm, sign } = this.#luFactor(lu);
+        const x = this.#luSolve(lu, perm, rr);
+        b._destroyOnDone(lu, rr, perm, sign);
+
+        return vector ? x.reshape([...batch, N]) : x;
+    }
+
+    /**
+     * Inverse Matrix
+     * @param {NDArray} a - [..., N, N]
+     * @returns {NDArray}
+     */
+    inv(a){
+        const b = this.backend;
+        const { N } = this.#matrix(a, true);
+        const eye = b.Array({ shape: [N, N], dtype: "f32" });
+        for(let i = 0; i < N; i++){
+            eye.set(1, i, i);
+        }
+        const x = this.solve(a, eye);
+        b._destroyOnDone(eye);
+        return x;
+    }
+
+    /**
+     * LU Decomposition (a = P L U)
+     * @param {NDArray} a - [..., N, N]
+     * @returns {{P: NDArray, L: NDArray, U: NDArray}}
+     */
+    lu(a){
+        const b = this.backend;
+        this.#matrix(a, true);
+        const lu = this.#f32(a);
+        const { perm, sign } = this.#luFactor(lu);
+
+        const P = b.Array({ shape: a.shape, dtype: "f32" });
+        const L = b.Array({ shape: a.shape, dtype: "f32" });
+        const U = b.Array({ shape: a.shape, dtype: "f32" });
+        const shader = b.createShader(
+            lu_unpack(
+                b.sizeX,
+                {binding: 0, type: "f32"},
+                {binding: 1, type: "u32"},
+                {binding: 2, type: "f32"},
+                {binding: 3, type: "f32"},
+                {binding: 4, type: "f32"},
+            ),
+        );
+        const W = Math.ceil(lu.length / b.sizeX);
+        b.execute(
+            shader,
+            [
+                {array: lu, mode: "read-only"},
+                {array: perm, mode: "read-only"},
+                {array: P, mode: "write-only"},
+                {array: L, mode: "write-only"},
+                {array: U, mode: "write-only"},
+            ],
+            foldDispatch(W),
+            { N: a.shape[a.shape.length - 1] },
+        );
+        b._destroyOnDone(lu, perm, sign);
+
+        return { P, L, U };
+    }
+
+    /**
+     * Determinant
+     * @param {NDArray} a - [..., N, N]
+     * @returns {NDArray} - [...]
+     */
+    det(a){
+        const b = this.backend;
+        this.#matrix(a, true);
+        const lu = this.#f32(a);
+        const { perm, sign } = this.#luFactor(lu);
+
+        const d = b.prod(lu.diagonal(), { axis: -1 });
+        b.mul(d, sign, d);
+        b._destroyOnDone(lu, perm, sign);
+        return d;
+    }
+
+    /**
+     * Sign and natural logarithm of absolute value of determinant
+     * @param {NDArray} a - [..., N, N]
+     * @returns {{sign: NDArray, logabsdet: NDArray}}
+     */
+    slogdet(a){
+        const b = this.backend;
+        this.#matrix(a, true);
+        const lu = this.#f32(a);
+        const { perm, sign: parity } = this.#luFactor(lu);
+        const diag = lu.diagonal();
+
+        const s = b.sign(diag);
+        const sign = b.prod(s, { axis: -1 });
+        b.mul(sign, parity, sign);
+
+        const l = b.abs(diag);
+        b.log(l, l);
+        const logabsdet = b.sum(l, { axis: -1 });
+
+        b._destroyOnDone(lu, perm, parity, s, l);
+        return { sign, logabsdet };
+    }
+
+    /**
+     * Cholesky Decomposition (a = L L^T)
+     *
+     * Only lower triangle of a is used.
+     * Not positive-definite matrices result in NaN.
+     * @param {NDArray} a - [..., N, N]
+     * @returns {NDArray} - L
+     */
+    cholesky(a){
+        const b = this.backend;
+        const { N, B } = this.#matrix(a, true);
+        const L = this.#f32(a);
+
+        const shader = b.createShader(cholesky(b.sizeX, this.block, {binding: 0, type: "f32"}));
+        for(let k = 0; k < N; k += this.block){
+            const k1 = Math.min(k + this.block, N);
+            b.execute(
+                shader,
+                [{array: L, mode: "read-write"}],
+                foldDispatch(B),
+                { N, K0: k, NB: k1 - k },
+            );
+            if(k1 < N){
+                const L21 = this.#block(L, `${k1}:`, `${k}:${k1}`);
+                this.#update(this.#block(L, `${k1}:`, `${k1}:`), L21, L21.swapaxes(-1, -2));
+            }
+        }
+        return L;
+    }
+
+    /**
+     * QR Decomposition with Householder reflections
+     *
+     * mode
+     * - "reduced" (default): Q [..., M, K], R [..., K, N] (K = min(M, N))
+     * - "complete": Q [..., M, M], R [..., M, N]
+     * - "r": Only R [..., K, N]
+     * @param {NDArray} a - [..., M, N]
+     * @param {QROptions?} options
+     * @returns {{Q: NDArray, R: NDArray} | NDArray}
+     */
+    qr(a, options){
+        const { mode = "reduced" } = options ?? {};
+        if(!["reduced", "complete", "r"].includes(mode)){
+            throw new Error(`Unknown mode: ${mode}`);
+        }
+
+        const b = this.backend;
+        const { batch, M, N, B } = this.#matrix(a, false);
+        const K = Math.min(M, N);
+        const KQ = (mode === "complete") ? M : K;
+        const KR = (mode === "complete") ? M : K;
+
+        const work = this.#f32(a);
+        const u = b.Array({ shape: [...batch, K, M], dtype: "f32" });
+        const Q = b.Array({ shape: [...batch, M, KQ], dtype: "f32" });
+        const R = b.Array({ shape: [...batch, KR, N], dtype: "f32" });
+
+        // Reflect panels, and keep compact WY factors to accumulate Q.
+        const shader = b.createShader(
+            qr(
+                b.sizeX, this.block,
+                {binding: 0, type: "f32"},
+                {binding: 1, type: "f32"},
+                {binding: 2, type: "f32"},
+            ),
+        );
+        const panels = [];
+        for(let k = 0; k < K; k += this.block){
+            const k1 = Math.min(k + this.block, K);
+            const y = b.Array({ shape: [...batch, k1 - k, k1 - k], dtype: "f32" });
+            b.execute(
+                shader,
+                [
+                    {array: work, mode: "read-write"},
+                    {array: u, mode: "read-write"},
+                    {array: y, mode: "write-only"},
+                ],
+                foldDispatch(B),
+                { M, N, K, K0: k, NB: k1 - k },
+            );
+
+            // a[k:, k1:] -= Y y^T Y^T a[k:, k1:] (Y = u[k:k1, k:]^T)
+            const Yt = this.#block(u, `${k}:${k1}`, `${k}:`);
+            panels.push({ k, Yt, y });
+            if(k1 < N){
+                const A2 = this.#block(work, `${k}:`, `${k1}:`);
+                const W = b.matmul(Yt, A2);
+                const yW = b.matmul(y.swapaxes(-1, -2), W);
+                this.#update(A2, Yt.swapaxes(-1, -2), yW);
+                b._destroyOnDone(W, yW);
+            }
+        }
+
+        const unpack = b.createShader(qr_unpack(b.sizeX, {binding: 0, type: "f32"}, {binding: 1, type: "f32"}));
+        b.execute(
+            unpack,
+            [
+                {array: work, mode: "read-only"},
+                {array: R, mode: "write-only"},
+            ],
+            foldDispatch(Math.ceil(R.length / b.sizeX)),
+            { M, N, KR },
+        );
+
+        // Q = H_0 ... H_{K-1} I, applied from the last panel.
+        if(mode !== "r"){
+            const eye = b.Array({ shape: [M, KQ], dtype: "f32" });
+            for(let i = 0; i < Math.min(M, KQ); i++){
+                eye.set(1, i, i);
+            }
+            b.copy(eye.broadcast_to(Q.shape), Q);
+            b._destroyOnDone(eye);
+
+            for(const { k, Yt, y } of panels.reverse()){
+                const Q2 = this.#block(Q, `${k}:`, ":");
+                const W = b.matmul(Yt, Q2);
+                const yW = b.matmul(y, W);
+                this.#update(Q2, Yt.swapaxes(-1, -2), yW);
+                b._destroyOnDone(W, yW);
+            }
+        }
+        b._destroyOnDone(work, u, ...panels.map(({ y }) => y));
+
+        if(mode === "r"){
+            b._destroyOnDone(Q);
+            return R;
+        }
+        return { Q, R };
+    }
+
+    /**
+     * Least-Squares Solution of a x = rhs with QR Decomposition
+     *
+     * a must have full column rank (M >= N).
+     * @param {NDArray} a - [..., M, N]
+     * @param {NDArray} rhs - [M] or [..., M, K]
+     * @returns {NDArray} - [..., N] or [..., N, K]
+     */
+    lstsq(a, rhs){
+        const b = this.backend;
+        const { M, N } = this.#matrix(a, false);
+        if(M < N){
+            throw new Error(`lstsq requires M >= N: [${a.shape.join(",")}]`);
+        }
+        const vector = (rhs.shape.length === 1);
+        const r = vector ? rhs.expand_dims(1) : rhs;
+        if(r.shape[r.shape.length - 2] !== M){
+            throw new Error(`Incompatible Shape: a [${a.shape.join(",")}], b [${rhs.shape.join(",")}]`);
+        }
+
+        // R x = Q^T rhs
+        const { Q, R } = this.qr(a);
+        const c = b.matmul(Q.swapaxes(-1, -2), r);
+        const { batch } = this.#matrix(c, false);
+        const K = c.shape[c.shape.length - 1];
+
+        const Rb = this.#f32(R, [...batch, N, N]);
+        const iota = b.arange({ stop: N }, { dtype: "u32" });
+        const perm = b.copy(iota.broadcast_to([...batch, N]));
+        const x = this.#luSolve(Rb, perm, c);
+        b._destroyOnDone(Q, R, c, Rb, iota, perm);
+
+        return vector ? x.reshape([...batch, N]) : x;
+    }
+
+    /**
+     * Tolerance of Jacobi rotations, relative to matrix (or column) norm
+     * @param {number} n - Length of accumulated vectors
+     * @returns {number}
+     */
+    #jacobiEPS(n){
+        return 4 * 2 ** -23 * Math.sqrt(Math.max(n, 1));
+    }
+
+    /**
+     * Eigen Decomposition of Symmetric Matrix with Jacobi method
+     *
+     * Only lower triangle of a is used.
+     * @param {NDArray} a - [..., N, N]
+     * @returns {{eigenvalues: NDArray, eigenvectors: NDArray}} - Ascending eigenvalues [..., N] and column eigenvectors [..., N, N]
+     */
+    eigh(a){
+        const b = this.backend;
+        const { batch, N, B } = this.#matrix(a, true);
+
+        const work = this.#f32(a);
+        const v = b.Array({ shape: [B, N, N], dtype: "f32" });
+        const cs = b.Array({ shape: [B, N + N % 2], dtype: "f32" });
+        const eigenvalues = b.Array({ shape: [...batch, N], dtype: "f32" });
+        const eigenvectors = b.Array({ shape: a.shape, dtype: "f32" });
+
+        const shader = b.createShader(
+            eigh_jacobi(
+                b.sizeX, this.sweeps,
+                {binding: 0, type: "f32"},
+                {binding: 1, type: "f32"},
+                {binding: 2, type: "f32"},
+                {binding: 3, type: "f32"},
+                {binding: 4, type: "f32"},
+            ),
+        );
+        b.execute(
+            shader,
+            [
+                {array: work, mode: "read-write"},
+                {array: v, mode: "read-write"},
+                {array: cs, mode: "read-write"},
+                {array: eigenvalues, mode: "write-only"},
+                {array: eigenvectors, mode: "write-only"},
+            ],
+            foldDispatch((N > 0) ? B : 0),
+            { N, EPS: this.#jacobiEPS(N) },
+        );
+        b._destroyOnDone(work, v, cs);
+
+        return { eigenvalues, eigenvectors };
+    }
+
+    /**
+     * Singular Value Decomposition (a = U diag(S) Vh) with one-sided Jacobi method
+     *
+     * If full_matrices is true (default), U is [..., M, M] and Vh is [..., N, N],
+     * otherwise, U is [..., M, K] and Vh is [..., K, N] (K = min(M, N)).
+     * @param {NDArray} a - [..., M, N]
+     * @param {SVDOptions?} options
+     * @returns {{U: NDArray, S: NDArray, Vh: NDArray}} - S is descending [..., K]
+     */
+    svd(a, options){
+        const { full_matrices = true } = options ?? {};
+        const b = this.backend;
+        const { batch, M, N, B } = this.#matrix(a, false);
+
+        if(M < N){
+            // a^T = U' S Vh' -> a = Vh'^T S U'^T
+            const { U, S, Vh } = this.svd(a.swapaxes(-1, -2), options);
+            const r = {
+                U: b.copy(Vh.swapaxes(-1, -2)),
+                S,
+                Vh: b.copy(U.swapaxes(-1, -2)),
+            };
+            b._destroyOnDone(U, Vh);
+            return r;
+        }
+
+        const work = this.#f32(a);
+        const v = b.Array({ shape: [B, N, N], dtype: "f32" });
+        const cs = b.Array({ shape: [B, N + N % 2], dtype: "f32" });
+        const u = b.Array({ shape: [...batch, M, N], dtype: "f32" });
+        const S = b.Array({ shape: [...batch, N], dtype: "f32" });
+        const Vh = b.Array({ shape: [...batch, N, N], dtype: "f32" });
+
+        const shader = b.createShader(
+            svd_jacobi(
+                b.sizeX, this.sweeps,
+                {binding: 0, type: "f32"},
+                {binding: 1, type: "f32"},
+                {binding: 2, type: "f32"},
+                {binding: 3, type: "f32"},
+                {binding: 4, type: "f32"},
+                {binding: 5, type: "f32"},
+            ),
+        );
+        b.execute(
+            shader,
+            [
+                {array: work, mode: "read-write"},
+                {array: v, mode: "read-write"},
+                {array: cs, mode: "read-write"},
+                {array: u, mode: "write-only"},
+                {array: S, mode: "write-only"},
+                {array: Vh, mode: "write-only"},
+            ],
+            foldDispatch((N > 0) ? B : 0),
+            { M, N, EPS: this.#jacobiEPS(M) },
+        );
+        b._destroyOnDone(work, v, cs);
+
+        // Columns of u for zero singular values are zero.
+        // QR completes them (and extra columns for full_matrices) to orthonormal basis,
+        // and the others are kept by fixing signs (R_ii = +/-1).
+        const { Q, R } = this.qr(u, { mode: full_matrices ? "complete" : "reduced" });
+        const sign = b.step(0, R.diagonal());
+        b.sub(b.mul(sign, 2, sign), 1, sign);
+        const cols = Q.slice(...batch.map(() => null), null, `0:${N}`);
+        b.mul(cols, sign.expand_dims(-2), cols);
+        b._destroyOnDone(u, R, sign);
+
+        return { U: Q, S, Vh };
+    }
+};
+
+
+/**
+ * Fast Fourier Transform (`gpu.fft`)
+ *
+ * Complex arrays are f32 NDArrays whose last dimension is 2 (real, imaginary),
+ * and `axis` / `axes` index the other dimensions.
+ * "c64" arrays are also accepted, and then results are "c64".
+ */
+class FFT {
+    /**
+     * @param {GPUBackend} backend
+     */
+    constructor(backend){
+        /** @type {GPUBackend} */
+        this.backend = backend;
+    }
+
+    /**
+     * @param {number} n
+     * @param {"backward" | "ortho" | "forward" | undefined} norm
+     * @param {bool} inverse
+     * @returns {number}
+     */
+    #scale(n, norm, inverse){
+        switch(norm ?? "backward"){
+        case "backward":
+            return inverse ? 1 / n : 1;
+        case "ortho":
+            return 1 / Math.sqrt(n);
+        case "forward":
+            return inverse ? 1 : 1 / n;
+        default:
+            throw new Error(`Unknown norm: ${norm}`);
+        }
+    }
+
+    /**
+     * Complex constants scale * exp(i angle(k)) computed in f64 on CPU
+     * @param {number} n
+     * @param {(k: number) => number?} angle - Returns null for 0
+     * @param {number?} scale
+     * @returns {NDArray} - [n, 2]
+     */
+    #constants(n, angle, scale = 1){
+        const values = new Float32Array(2 * n);
+        for(let k = 0; k < n; k++){
+            const t = angle(k);
+            if(t !== null){
+                values[2 * k] = scale * Math.cos(t);
+                values[2 * k + 1] = scale * Math.sin(t);
+            }
+        }
+        return this.backend.asarray(values).reshape([n, 2]);
+    }
+
+    /**
+     * Radix-2 Stockham FFT
+     * @param {NDArray} x - Contiguous [B, N, 2] (N: power of 2, N > 1)
+     * @param {bool} inverse
+     * @returns {NDArray} - Unnormalized
+     */
+    #stockham(x, inverse){
+        const b = this.backend;
+        const N = x.shape[1];
+        const twiddle = this.#constants(N / 2, (k) => -2 * Math.PI * k / N);
+        const shader = b.createShader(
+            fft_stockham(
+                b.sizeX,
+                {binding: 0, type: "vec2<f32>"},
+                {binding: 1, type: "vec2<f32>"},
+                {binding: 2, type: "vec2<f32>"},
+                {binding: 3},
+            ),
+        );
+
+        // Ping-pong between 2 buffers
+        const buffers = [0, 1].map(() => b.Array({ shape: x.shape, dtype: "f32" }));
+        let src = x;
+        for(let s = 1, i = 0; s < N; s *= 2, i++){
+            const dst = buffers[i % 2];
+            const info = b.asarray([N, s, inverse ? 1 : 0], { dtype: "u32" });
+            b.execute(
+                shader,
+                [
+                    {array: src, mode: "read-only"},
+                    {array: dst, mode: "write-only"},
+                    {array: twiddle, mode: "read-only"},
+                    {array: info, mode: "read-only"},
+                ],
+                foldDispatch(Math.ceil(x.length / 4 / b.sizeX)),
+            );
+            b._destroyOnDone(info);
+            src = dst;
+        }
+        b._destroyOnDone(twiddle, ...buffers.filter(a => a !== src));
+        return src;
+    }
+
+    /**
+     * y[:, j] = x[:, j] * c[j] with crop or zero-padding
+     * @param {NDArray} x - [B, Lx, 2]
+     * @param {NDArray} c - [Lc, 2]
+     * @param {number} Ly
+     * @returns {NDArray} - [B, Ly, 2]
+     */
+    #chirp(x, c, Ly){
+        const b = this.backend;
+        const y = b.Array({ shape: [x.shape[0], Ly, 2], dtype: "f32" });
+        const info = b.asarray([x.shape[1], Ly, c.shape[0]], { dtype: "u32" });
+        const shader = b.createShader(
+            fft_chirp(
+                b.sizeX,
+                {binding: 0, type: "vec2<f32>"},
+                {binding: 1, type: "vec2<f32>"},
+                {binding: 2, type: "vec2<f32>"},
+                {binding: 3},
+            ),
+        );
+        b.execute(
+            shader,
+            [
+                {array: x, mode: "read-only"},
+                {array: c, mode: "read-only"},
+                {array: y, mode: "write-only"},
+                {array: info, mode: "read-only"},
+            ],
+            foldDispatch(Math.ceil(y.length / 2 / b.sizeX)),
+        );
+        b._destroyOnDone(info);
+        return y;
+    }
+
+    /**
+     * Unnormalized FFT of rows
+     *
+     * Lengths which are not power of 2 are computed with Bluestein's algorithm,
+     * which rewrites DFT as a convolution with chirp exp(-pi i k^2 / N),
+     * and computes the convolution with power of 2 FFTs.
+     * @param {NDArray} x - Contiguous [B, N, 2]
+     * @param {bool} inverse
+     * @returns {NDArray}
+     */
+    #transform(x, inverse){
+        const b = this.backend;
+        const N = x.shape[1];
+        if((N & (N - 1)) === 0){
+            return (N === 1) ? b.copy(x) : this.#stockham(x, inverse);
+        }
+
+        const M = 2 ** Math.ceil(Math.log2(2 * N - 1));
+        const sign = inverse ? 1 : -1;
+
+        // k^2 mod 2N keeps angles small.
+        const angle = (k) => sign * Math.PI * ((k * k) % (2 * N)) / N;
+        const chirp = this.#constants(N, angle);
+        // conj(chirp) at k and M - k, with 1/M of the inverse FFT
+        const kernel = this.#constants(M, (k) => {
+            if(k < N){ return -angle(k); }
+            return (k > M - N) ? -angle(M - k) : null;
+        }, 1 / M);
+
+        const K = this.#stockham(kernel.reshape([1, M, 2]), false).reshape([M, 2]);
+
+        const a = this.#chirp(x, chirp, M);
+        const A = this.#stockham(a, false);
+        const P = this.#chirp(A, K, M);
+        const conv = this.#stockham(P, true);
+        const y = this.#chirp(conv, chirp, N);
+
+        b._destroyOnDone(chirp, kernel, K, a, A, P, conv);
+        return y;
+    }
+
+    /**
+     * FFT along axis of complex array
+     * @param {NDArray} a - [..., 2]
+     * @param {number} axis
+     * @param {number?} n - Cropped or zero-padded length
+     * @param {bool} inverse
+     * @param {string?} norm
+     * @returns {NDArray}
+     */
+    #fft(a, axis, n, inverse, norm){
+        const b = this.backend;
+        const ndim = a.shape.length - 1;
+        if((ndim < 1) || (a.shape[ndim] !== 2)){
+            throw new Error(`Complex array must be [..., 2]: [${a.shape.join(",")}]`);
+        }
+        const [ax] = normalizeAxis(axis, ndim);
+
+        const moved = a.moveaxis(ax, -2);
+        const L = moved.shape[ndim - 1];
+        n ??= L;
+        if(!Number.isInteger(n) || (n < 1)){
+            throw new Error(`Invalid number of data points: ${n}`);
+        }
+
+        const shape = moved.shape.slice();
+        shape[ndim - 1] = n;
+        const x = b.full(0, { shape, dtype: "f32" });
+        const head = (v) => v.slice(...shape.slice(0, -2).map(() => null), `0:${Math.min(L, n)}`);
+        b.copy(head(moved), head(x));
+
+        let y = this.#transform(x.reshape([x.length / (2 * n), n, 2]), inverse);
+        const scale = this.#scale(n, norm, inverse);
+        if(scale !== 1){
+            b.mul(y, scale, y);
+        }
+        b._destroyOnDone(x);
+
+        y = y.reshape(shape);
+        if(ax === ndim - 1){
+            return y;
+        }
+        const r = b.copy(y.moveaxis(-2, ax));
+        b._destroyOnDone(y);
+        return r;
+    }
+
+    /**
+     * Run f with [..., 2] pairs. "c64" is converted from / to pairs.
+     * @param {NDArray} a
+     * @param {(p: NDArray) => NDArray} f
+     * @returns {NDArray}
+     */
+    #pairs(a, f){
+        if(a.dtype !== "c64"){
+            return f(a);
+        }
+
+        const b = this.backend;
+        const p = b._bitcast(a, [...a.shape, 2], "f32");
+        const y = f(p);
+        const c = b._bitcast(y, y.shape.slice(0, -1), "c64");
+        b._destroyOnDone(p, y);
+        return c;
+    }
+
+    /**
+     * Complex array from real (and imaginary) parts
+     * @param {NDArray} real
+     * @param {NDArray?} imag
+     * @returns {NDArray} - [..., 2]
+     */
+    complex(real, imag){
+        const b = this.backend;
+        const c = b.full(0, { shape: [...real.shape, 2], dtype: "f32" });
+        const part = (i) => c.slice(...real.shape.map(() => null), i);
+        b.copy(real, part(0));
+        if(imag !== undefined){
+            b.copy(imag.broadcast_to(real.shape), part(1));
+        }
+        return c;
+    }
+
+    /**
+     * View of real part
+     * @param {NDArray} c - [..., 2]
+     * @returns {NDArray}
+     */
+    real(c){
+        return c.slice(...c.shape.slice(0, -1).map(() => null), 0);
+    }
+
+    /**
+     * View of imaginary part
+     * @param {NDArray} c - [..., 2]
+     * @returns {NDArray}
+     */
+    imag(c){
+        return c.slice(...c.shape.slice(0, -1).map(() => null), 1);
+    }
+
+    /**
+     * @param {NDArray} a - Complex [..., 2] or "c64"
+     * @param {FFTOptions?} options
+     * @returns {NDArray} - Complex [..., 2]
+     */
+    fft(a, options){
+        const { n, axis = -1, norm } = options ?? {};
+        return this.#pairs(a, (p) => this.#fft(p, axis, n, false, norm));
+    }
+
+    /**
+     * @param {NDArray} a - Complex [..., 2] or "c64"
+     * @param {FFTOptions?} options
+     * @returns {NDArray} - Complex [..., 2]
+     */
+    ifft(a, options){
+        const { n, axis = -1, norm } = options ?? {};
+        return this.#pairs(a, (p) => this.#fft(p, axis, n, true, norm));
+    }
+
+    /**
+     * FFT of real array. Only non-negative frequencies (n/2 + 1) are returned.
+     * @param {NDArray} a - Real
+     * @param {FFTOptions?} options
+     * @returns {NDArray} - Complex [..., 2]
+     */
+    rfft(a, options){
+        const { n, axis = -1, norm } = options ?? {};
+        const b = this.backend;
+        const c = this.complex(a);
+        const f = this.#fft(c, axis, n, false, norm);
+        b._destroyOnDone(c);
+
+        const [ax] = normalizeAxis(axis, a.shape.length);
+        const half = Math.floor(f.shape[ax] / 2) + 1;
+        const r = b.copy(f.slice(...f.shape.slice(0, ax).map(() => null), `0:${half}`));
+        b._destroyOnDone(f);
+        return r;
+    }
+
+    /**
+     * Inverse of rfft. Input is treated as Hermitian symmetric.
+     * @param {NDArray} a - Complex [..., 2] or "c64"
+     * @param {FFTOptions?} options - n is output length (default: 2 * (m - 1))
+     * @returns {NDArray} - Real
+     */
+    irfft(a, options){
+        const b = this.backend;
+        if(a.dtype === "c64"){
+            const p = b._bitcast(a, [...a.shape, 2], "f32");
+            const r = this.irfft(p, options);
+            b._destroyOnDone(p);
+            return r;
+        }
+
+        const { axis = -1, norm } = options ?? {};
+        const ndim = a.shape.length - 1;
+        const [ax] = normalizeAxis(axis, ndim);
+        const m = a.shape[ax];
+        const n = options?.n ?? 2 * (m - 1);
+        if(!Number.isInteger(n) || (n < 1)){
+            throw new Error(`Invalid number of data points: ${n}`);
+        }
+
+        // Full spectrum: X[n - k] = conj(X[k])
+        const shape = a.shape.slice();
+        shape[ax] = n;
+        const full = b.full(0, { shape, dtype: "f32" });
+        const range = (v, r, part) => v.slice(...v.shape.slice(0, ax).map(() => null), r,
+                                               ...v.shape.slice(ax + 1, -1).map(() => null),
+                                               part);
+        const half = Math.floor(n / 2);
+        const h = Math.min(half + 1, m);
+        b.copy(range(a, `0:${h}`), range(full, `0:${h}`));
+
+        const mirror = Math.min(n - half - 1, m - 1);
+        if(mirror > 0){
+            // full[n - k] for k = mirror, ..., 1
+            const dst = `${n - mirror}:`;
+            const src = `${mirror}:0:-1`;
+            b.copy(range(a, src, 0), range(full, dst, 0));
+            b.mul(range(a, src, 1), -1, range(full, dst, 1));
+        }
+
+        const c = this.#fft(full, ax, n, true, norm);
+        const r = b.copy(this.real(c));
+        b._destroyOnDone(full, c);
+        return r;
+    }
+
+    /**
+     * N-dimensional FFT
+     * @param {NDArray} a - Complex [..., 2] or "c64"
+     * @param {FFTNOptions?} options - axes default to all
+     * @returns {NDArray} - Complex [..., 2]
+     */
+    fftn(a, options){
+        return this.#fftn(a, options?.axes, false, options?.norm);
+    }
+
+    /**
+     * N-dimensional inverse FFT
+     * @param {NDArray} a - Complex [..., 2] or "c64"
+     * @param {FFTNOptions?} options - axes default to all
+     * @returns {NDArray} - Complex [..., 2]
+     */
+    ifftn(a, options){
+        return this.#fftn(a, options?.axes, true, options?.norm);
+    }
+
+    /**
+     * 2-dimensional FFT
+     * @param {NDArray} a - Complex [..., 2] or "c64"
+     * @param {FFTNOptions?} options - axes default to [-2, -1]
+     * @returns {NDArray} - Complex [..., 2]
+     */
+    fft2(a, options){
+        return this.#fftn(a, options?.axes ?? [-2, -1], false, options?.norm);
+    }
+
+    /**
+     * 2-dimensional inverse FFT
+     * @param {NDArray} a - Complex [..., 2] or "c64"
+     * @param {FFTNOptions?} options - axes default to [-2, -1]
+     * @returns {NDArray} - Complex [..., 2]
+     */
+    ifft2(a, options){
+        return this.#fftn(a, options?.axes ?? [-2, -1], true, options?.norm);
+    }
+
+    /**
+     * FFT along each of axes
+     * @param {NDArray} a - [..., 2]
+     * @param {number[]?} axes
+     * @param {bool} inverse
+     * @param {string?} norm
+     * @returns {NDArray}
+     */
+    #fftn(a, axes, inverse, norm){
+        if(a.dtype === "c64"){
+            return this.#pairs(a, (p) => this.#fftn(p, axes, inverse, norm));
+        }
+
+        const b = this.backend;
+        const ndim = a.shape.length - 1;
+        axes = normalizeAxis(axes, ndim, false);
+
+        let x = a;
+        for(const ax of axes){
+            const y = this.#fft(x, ax, undefined, inverse, norm);
+            if(x !== a){
+                b._destroyOnDone(x);
+            }
+            x = y;
+        }
+        return (x === a) ? b.copy(a) : x;
+    }
 };
 
 
@@ -3,7 +3,7 @@ import {
     TEST,
     assertEqual, assertAlmostEqual,
     assertTruthy, assertFalsy,
-    assertThrow,
+    assertThrow, assertThrowAsync,
 } from "./test.js";
 
 
@@ -78,8 +78,9 @@ TEST("Array Op", [
     ["reshape()", async () => {
         const a = gpu.full(1, { shape: [2, 3] });
         assertEqual(a.shape, [2, 3]);
-        a.reshape([3, 2]);
-        assertEqual(a.shape, [3, 2]);
+        const b = a.reshape([3, 2]);
+        assertEqual(b.shape, [3, 2]);
+        assertEqual(a.shape, [2, 3]);
         assertThrow(() => a.reshape([5, 5]));
     }],
 ]);
@@ -199,6 +200,26 @@ TEST("f(a)", [
         await c.load();
         assertAlmostEqual(c, [1, 1, 1]);
     }],
+    ["floor(view)", async () => {
+        const a = gpu.arange({ start: 0.5, stop: 6 }, { shape: [2, 3], dtype: "f32" });
+        const b = gpu.floor(a.slice(null, "::-1"));
+        await b.load();
+        assertAlmostEqual(b, [2, 1, 0, 5, 4, 3]);
+
+        const c = gpu.floor(a.T);
+        assertEqual(c.shape, [3, 2]);
+        await c.load();
+        assertAlmostEqual(c, [0, 3, 1, 4, 2, 5]);
+    }],
+    ["abs(a) -> c (broadcast)", async () => {
+        const a = gpu.asarray([-1, 2, -3], { dtype: "i32" });
+        const c = gpu.Array({ shape: [2, 3], dtype: "f32" });
+        gpu.abs(a, c);
+        await c.load();
+        assertAlmostEqual(c, [1, 2, 3, 1, 2, 3]);
+
+        assertThrow(() => gpu.abs(gpu.Array({ shape: [2, 3] }), gpu.Array({ shape: 3 })));
+    }],
 ]);
 
 
@@ -218,6 +239,76 @@ TEST("f(a, b)", [
         await c.load();
         assertAlmostEqual(c, [2, 4]);
     }],
+    ["max(a, scalar)", async () => {
+        const a = gpu.asarray([-2, 3, -1], { dtype: "i32" });
+        const b = gpu.max(a, 0);
+        assertEqual(b.dtype, "i32");
+        await b.load();
+        assertEqual(b, [0, 3, 0]);
+
+        const c = gpu.pow(2, gpu.arange({ stop: 3 }, { dtype: "f32" }));
+        await c.load();
+        assertAlmostEqual(c, [1, 2, 4]);
+    }],
+    ["atan2(a, b)", async () => {
+        const a = gpu.asarray([1, -1, 1]);
+        const b = gpu.asarray([1, 1, -1], { shape: [3, 1] });
+        const c = gpu.atan2(a, b);
+        assertEqual(c.shape, [3, 3]);
+        await c.load();
+        assertAlmostEqual(
+            c.slice(0),
+            [Math.atan2(1, 1), Math.atan2(-1, 1), Math.atan2(1, 1)],
+            { rtol: 1e-4 },
+        );
+        assertAlmostEqual(await c.get(2, 0), Math.atan2(1, -1), { rtol: 1e-4 });
+    }],
+    ["step(edge, x)", async () => {
+        const x = gpu.asarray([-1, 0.5, 2]);
+        const c = gpu.step(0.5, x);
+        await c.load();
+        assertAlmostEqual(c, [0, 1, 1]);
+    }],
+]);
+
+
+TEST("f(a, b, c)", [
+    ["clamp(x, lo, hi)", async () => {
+        const x = gpu.asarray([-2, 0.5, 3, 1.5]);
+        const c = gpu.clamp(x, 0, 1);
+        await c.load();
+        assertAlmostEqual(c, [0, 0.5, 1, 1]);
+
+        const i = gpu.asarray([-5, 2, 9], { dtype: "i32" });
+        const hi = gpu.asarray([1, 1, 4], { dtype: "i32" });
+        const d = gpu.clamp(i, -1, hi);
+        assertEqual(d.dtype, "i32");
+        await d.load();
+        assertEqual(d, [-1, 1, 4]);
+    }],
+    ["fma(a, b, c)", async () => {
+        const a = gpu.asarray([1, 2, 3]);
+        const b = gpu.asarray([2], { shape: [1] });
+        const c = gpu.asarray([1, 0, 1, 0, 1, 0], { shape: [2, 3] });
+        const d = gpu.fma(a, b, c);
+        assertEqual(d.shape, [2, 3]);
+        await d.load();
+        assertAlmostEqual(d, [3, 4, 7, 2, 5, 6]);
+    }],
+    ["mix(a, b, t)", async () => {
+        const a = gpu.asarray([0, 10]);
+        const b = gpu.asarray([10, 20]);
+        const c = gpu.mix(a.slice("::-1"), b, 0.25);
+        await c.load();
+        assertAlmostEqual(c, [10, 5]);
+    }],
+    ["smoothstep(low, high, x) -> out", async () => {
+        const x = gpu.asarray([-1, 0.5, 2]);
+        const out = gpu.full(-1, { shape: [2, 3] });
+        gpu.smoothstep(0, 1, x, out.slice(1));
+        await out.load();
+        assertAlmostEqual(out, [-1, -1, -1, 0, 0.5, 1]);
+    }],
 ]);
 
 
@@ -287,6 +378,18 @@ TEST("Reduction Op", [
         await b.load();
         assertAlmostEqual(b, [16]);
     }],
+    ["sum (multiple workgroups)", async () => {
+        const a = gpu.ones({ shape: [1 << 20] });
+        const b = gpu.sum(a);
+        await b.load();
+        assertAlmostEqual(b, [1 << 20]);
+    }],
+    ["sum (u32, multiple workgroups with axis)", async () => {
+        const a = gpu.ones({ shape: [3, 100000], dtype: "u32" });
+        const b = gpu.sum(a, { axis: 1 });
+        await b.load();
+        assertEqual(b, [100000, 100000, 100000]);
+    }],
 ]);
 
 
@@ -303,6 +406,12 @@ TEST("Reduce Func", [
         await b.load();
         assertAlmostEqual(b, [199]);
     }],
+    ["minimum (multiple workgroups)", async () => {
+        const a = gpu.arange({ start: 300000, stop: 0, step: -1 }, { dtype: "i32" });
+        const b = gpu.minimum(a);
+        await b.load();
+        assertEqual(b, [1]);
+    }],
 ]);
 
 
@@ -397,3 +506,2136 @@ TEST("where", [
         assertAlmostEqual(w, [2, 1]);
     }],
 ]);
+
+
+TEST("matmul", [
+    ["2D @ 2D", async () => {
+        const a = gpu.arange({ stop: 6 }, { shape: [2, 3], dtype: "f32" });
+        const b = gpu.arange({ stop: 6 }, { shape: [3, 2], dtype: "f32" });
+        const c = gpu.matmul(a, b);
+        await c.load();
+        assertEqual(c.shape, [2, 2]);
+        assertAlmostEqual(c, [10, 13, 28, 40]);
+    }],
+    ["2D @ 1D", async () => {
+        const a = gpu.arange({ stop: 6 }, { shape: [2, 3], dtype: "f32" });
+        const b = gpu.ones({ shape: 3 });
+        const c = gpu.matmul(a, b);
+        await c.load();
+        assertEqual(c.shape, [2]);
+        assertAlmostEqual(c, [3, 12]);
+    }],
+    ["1D @ 2D", async () => {
+        const a = gpu.ones({ shape: 2 });
+        const b = gpu.arange({ stop: 6 }, { shape: [2, 3], dtype: "f32" });
+        const c = gpu.matmul(a, b);
+        await c.load();
+        assertEqual(c.shape, [3]);
+        assertAlmostEqual(c, [3, 5, 7]);
+    }],
+    ["1D @ 1D", async () => {
+        const a = gpu.arange({ stop: 3 }, { dtype: "f32" });
+        const c = gpu.matmul(a, a);
+        await c.load();
+        assertEqual(c.shape, [1]);
+        assertAlmostEqual(c, [5]);
+    }],
+    ["batch (broadcast)", async () => {
+        const a = gpu.arange({ stop: 8 }, { shape: [2, 2, 2], dtype: "f32" });
+        const b = gpu.arange({ stop: 4 }, { shape: [2, 2], dtype: "f32" });
+        const c = gpu.matmul(a, b);
+        await c.load();
+        assertEqual(c.shape, [2, 2, 2]);
+        assertAlmostEqual(c, [2, 3, 6, 11, 10, 19, 14, 27]);
+    }],
+    ["large (multiple tiles)", async () => {
+        const N = 40;
+        const a = gpu.ones({ shape: [N, N] });
+        const b = gpu.full(2, { shape: [N, N] });
+        const c = gpu.matmul(a, b);
+        await c.load();
+        assertAlmostEqual(c, Array.from({ length: N * N }, () => 2 * N));
+    }],
+    ["i32 @ f32 -> c (assign)", async () => {
+        const a = gpu.arange({ stop: 4 }, { shape: [2, 2] });
+        const b = gpu.ones({ shape: [2, 2] });
+        const c = gpu.Array({ shape: [2, 2], dtype: "i32" });
+        gpu.matmul(a, b, c);
+        await c.load();
+        assertAlmostEqual(c, [1, 1, 5, 5]);
+    }],
+    ["incompatible", async () => {
+        const a = gpu.ones({ shape: [2, 3] });
+        const b = gpu.ones({ shape: [2, 3] });
+        assertThrow(() => gpu.matmul(a, b));
+    }],
+]);
+
+
+TEST("Reduction with axis", [
+    ["sum: axis", async () => {
+        const a = gpu.arange({ stop: 6 }, { shape: [2, 3], dtype: "f32" });
+        const b = gpu.sum(a, { axis: 0 });
+        await b.load();
+        assertEqual(b.shape, [3]);
+        assertAlmostEqual(b, [3, 5, 7]);
+
+        const c = gpu.sum(a, { axis: 1 });
+        await c.load();
+        assertEqual(c.shape, [2]);
+        assertAlmostEqual(c, [3, 12]);
+    }],
+    ["sum: negative axis / keepdims", async () => {
+        const a = gpu.arange({ stop: 6 }, { shape: [2, 3], dtype: "f32" });
+        const b = gpu.sum(a, { axis: -1, keepdims: true });
+        await b.load();
+        assertEqual(b.shape, [2, 1]);
+        assertAlmostEqual(b, [3, 12]);
+    }],
+    ["sum: multiple axes", async () => {
+        const a = gpu.arange({ stop: 24 }, { shape: [2, 3, 4], dtype: "f32" });
+        const b = gpu.sum(a, { axis: [0, 2] });
+        await b.load();
+        assertEqual(b.shape, [3]);
+        assertAlmostEqual(b, [60, 92, 124]);
+
+        const c = gpu.sum(a, { keepdims: true });
+        await c.load();
+        assertEqual(c.shape, [1, 1, 1]);
+        assertAlmostEqual(c, [276]);
+    }],
+    ["sum: strided / broadcast", async () => {
+        // Transposed view of [[0, 1, 2], [3, 4, 5]]
+        const a = gpu.arange({ stop: 6 }, { shape: [3, 2], strides: [1, 3], dtype: "f32" });
+        const b = gpu.sum(a, { axis: 1 });
+        await b.load();
+        assertAlmostEqual(b, [3, 5, 7]);
+
+        const c = gpu.arange({ stop: 3 }, { shape: [4, 3], strides: [0, 1], dtype: "f32" });
+        const d = gpu.sum(c, { axis: 0 });
+        await d.load();
+        assertAlmostEqual(d, [0, 4, 8]);
+
+        const e = gpu.sum(c);
+        await e.load();
+        assertAlmostEqual(e, [12]);
+    }],
+    ["empty reduction", async () => {
+        const a = gpu.Array({ shape: [2, 0] });
+        const b = gpu.sum(a, { axis: 1 });
+        const c = gpu.prod(a, { axis: 1 });
+        const d = gpu.all(a, { axis: 1 });
+        const e = gpu.any(a);
+        const f = gpu.sum(a, { axis: 0 });
+        await Promise.all([b.load(), c.load(), d.load(), e.load(), f.load()]);
+        assertEqual(b.shape, [2]);
+        assertAlmostEqual(b, [0, 0]);
+        assertAlmostEqual(c, [1, 1]);
+        assertEqual(d, [1, 1]);
+        assertEqual(e, [0]);
+        assertEqual(f.shape, [0]);
+
+        assertThrow(() => gpu.maximum(a, { axis: 1 }));
+        assertThrow(() => gpu.minimum(a));
+    }],
+    ["prod: axis -> out", async () => {
+        const a = gpu.arange({ start: 1, stop: 7 }, { shape: [2, 3], dtype: "f32" });
+        const out = gpu.Array({ shape: [2] });
+        const b = gpu.prod(a, { axis: 1, out });
+        assertTruthy(Object.is(b, out));
+        await b.load();
+        assertAlmostEqual(b, [6, 120]);
+    }],
+    ["minimum / maximum: axis", async () => {
+        const a = gpu.asarray([3, 1, 4, 1, 5, 9], { shape: [2, 3] });
+        const b = gpu.minimum(a, { axis: 1 });
+        const c = gpu.maximum(a, { axis: 0 });
+        await Promise.all([b.load(), c.load()]);
+        assertAlmostEqual(b, [1, 1]);
+        assertAlmostEqual(c, [3, 5, 9]);
+    }],
+    ["invalid axis", async () => {
+        const a = gpu.ones({ shape: [2, 3] });
+        assertThrow(() => gpu.sum(a, { axis: 2 }));
+        assertThrow(() => gpu.sum(a, { axis: [0, -2] }));
+    }],
+]);
+
+
+TEST("Slice", [
+    ["slice()", async () => {
+        const a = gpu.arange({ stop: 12 }, { shape: [3, 4] });
+        const b = a.slice(1);
+        assertTruthy(Object.is(b.gpu, a.gpu));
+        assertEqual(b.shape, [4]);
+        assertEqual(b.offset, 4);
+        assertEqual(b, [4, 5, 6, 7]);
+
+        const c = a.slice("1:", "::2");
+        assertEqual(c.shape, [2, 2]);
+        assertEqual(c, [4, 6, 8, 10]);
+
+        const d = a.slice({ start: -1 }, { step: -1 });
+        assertEqual(d.shape, [1, 4]);
+        assertEqual(d, [11, 10, 9, 8]);
+
+        const e = a.view(null, -1);
+        assertEqual(e.shape, [3]);
+        assertEqual(e, [3, 7, 11]);
+    }],
+    ["slice of slice", async () => {
+        const a = gpu.arange({ stop: 10 });
+        const b = a.slice("1:9").slice("::-3");
+        assertTruthy(Object.is(b.base, a));
+        assertEqual(b, [8, 5, 2]);
+    }],
+    ["get / set", async () => {
+        const a = gpu.arange({ stop: 6 }, { shape: [2, 3] });
+        const b = a.slice(null, "1:");
+        assertEqual(await b.get(1, 0), 4);
+        assertEqual(await b.get(-1, -1), 5);
+
+        b.set(-1, 0, 1);
+        assertTruthy(a.cpu_dirty);
+        assertEqual(await a.get(0, 2), -1);
+
+        b.set([10, 20, 30, 40]);
+        assertEqual(a, [0, 10, 20, 3, 30, 40]);
+    }],
+    ["invalid", async () => {
+        const a = gpu.arange({ stop: 6 }, { shape: [2, 3] });
+        assertThrow(() => a.slice(0, 0, 0));
+        assertThrow(() => a.slice(2));
+        assertThrow(() => a.slice("::0"));
+    }],
+    ["empty", async () => {
+        const a = gpu.arange({ stop: 6 }, { shape: [2, 3] });
+        assertEqual(a.slice("2:").shape, [0, 3]);
+        assertEqual(a.slice(null, "1:1").length, 0);
+
+        const b = gpu.Array({ shape: [0, 3], strides: [4, 1] });
+        assertEqual(b.length, 0);
+    }],
+    ["a + b (view)", async () => {
+        const a = gpu.arange({ stop: 6 }, { shape: [2, 3], dtype: "f32" });
+        const b = gpu.add(a.slice(1), a.slice(0, "::-1"));
+        await b.load();
+        assertEqual(b.shape, [3]);
+        assertAlmostEqual(b, [5, 5, 5]);
+    }],
+    ["f(a, b) (view)", async () => {
+        const a = gpu.arange({ stop: 6 }, { shape: [2, 3], dtype: "f32" });
+        const b = gpu.max(a.slice(null, 2), a.slice(null, 0));
+        await b.load();
+        assertAlmostEqual(b, [2, 5]);
+    }],
+    ["where (view)", async () => {
+        const c = gpu.arange({ stop: 4 }, { dtype: "u32" });
+        const T = gpu.full(1, { shape: [4] });
+        const F = gpu.full(2, { shape: [4] });
+        const w = gpu.where(c.slice("::-2"), T.slice("1:3"), F.slice(":2"));
+        await w.load();
+        assertAlmostEqual(w, [1, 1]);
+    }],
+    ["sum (view)", async () => {
+        const a = gpu.arange({ stop: 12 }, { shape: [3, 4], dtype: "f32" });
+        const b = gpu.sum(a.slice("1:", "1:3"));
+        await b.load();
+        assertAlmostEqual(b, [30]);
+
+        const c = gpu.sum(a.slice("::2"), { axis: 1 });
+        await c.load();
+        assertAlmostEqual(c, [6, 38]);
+    }],
+    ["matmul (view)", async () => {
+        const a = gpu.arange({ stop: 12 }, { shape: [3, 4], dtype: "f32" });
+        const b = gpu.matmul(a.slice("1:", ":2"), a.slice(2, "::-2"));
+        await b.load();
+        assertAlmostEqual(b, [4*11 + 5*9, 8*11 + 9*9]);
+    }],
+    ["GPU update is visible from view", async () => {
+        const a = gpu.Array({ shape: [2, 2] });
+        const v = a.slice(1);
+        gpu.add(gpu.ones({ shape: [2, 2] }), 1, a);
+        assertTruthy(v.gpu_dirty);
+        assertAlmostEqual(await v.get(0), 2);
+        assertFalsy(a.gpu_dirty);
+    }],
+    ["out with custom strides", async () => {
+        // Out-of-shape threads would read [[4], [6]] of a's base.
+        const a = gpu.arange({ stop: 8 }, { shape: [4, 2], dtype: "f32" }).slice(":2", ":1");
+        const outs = [0, 1, 2, 3].map(() => gpu.full(-1, { shape: [2, 1], strides: [3, 1] }));
+        gpu.add(a, 10, outs[0]);
+        gpu.abs(a, outs[1]);
+        gpu.max(a, 1, outs[2]);
+        gpu.where(a, gpu.ones({ shape: [2, 1] }), gpu.full(0, { shape: [1] }), outs[3]);
+        await Promise.all(outs.map(o => o.load()));
+        assertAlmostEqual(outs[0].cpu, [10, -1, -1, 12]);
+        assertAlmostEqual(outs[1].cpu, [0, -1, -1, 2]);
+        assertAlmostEqual(outs[2].cpu, [1, -1, -1, 2]);
+        assertAlmostEqual(outs[3].cpu, [0, -1, -1, 1]);
+    }],
+]);
+
+
+TEST("Partial Index", [
+    ["get()", async () => {
+        const a = gpu.arange({ stop: 12 }, { shape: [2, 3, 2] });
+        const b = await a.get(1);
+        assertEqual(b.length, 3);
+        assertEqual(b[0], [6, 7]);
+        assertEqual(b[1], [8, 9]);
+        assertEqual(b[2], [10, 11]);
+
+        assertEqual(await a.get(0, -1), [4, 5]);
+        assertEqual(a.get_without_load(1, 0), [6, 7]);
+    }],
+    ["get() of 1D", async () => {
+        const a = gpu.arange({ stop: 3 });
+        assertEqual(await a.get(), [0, 1, 2]);
+    }],
+    ["set() row", async () => {
+        const a = gpu.Array({ shape: [2, 3], dtype: "i32" });
+        a.set([1, 2, 3], 1);
+        assertTruthy(a.cpu_dirty);
+        assertEqual(a, [0, 0, 0, 1, 2, 3]);
+    }],
+    ["set() scalar broadcast", async () => {
+        const a = gpu.Array({ shape: [2, 2, 2], dtype: "i32" });
+        a.set(7, 0);
+        assertEqual(a, [7, 7, 7, 7, 0, 0, 0, 0]);
+
+        a.set(5);
+        assertEqual(a, [5, 5, 5, 5, 5, 5, 5, 5]);
+    }],
+    ["set() nested / broadcast", async () => {
+        const a = gpu.Array({ shape: [2, 2, 3], dtype: "i32" });
+        a.set([[1, 2, 3], [4, 5, 6]], 1);
+        assertEqual(await a.get(1), [[1, 2, 3], [4, 5, 6]]);
+
+        a.set([[9], [8]], 0);
+        assertEqual(await a.get(0), [[9, 9, 9], [8, 8, 8]]);
+
+        a.set(new Int32Array([1, 0, 1]), -1, 0);
+        assertEqual(await a.get(1, 0), [1, 0, 1]);
+    }],
+    ["set() from NDArray", async () => {
+        const a = gpu.Array({ shape: [2, 3], dtype: "i32" });
+        const b = gpu.arange({ stop: 6, dtype: "i32" });
+        await b.load();
+        a.set(b.reshape([2, 3]));
+        assertEqual(a, [0, 1, 2, 3, 4, 5]);
+
+        a.set(b.reshape([2, 3]).slice(null, "1:2"));
+        assertEqual(a, [1, 1, 1, 4, 4, 4]);
+
+        const c = gpu.Array({ shape: [2, 3], dtype: "f32" });
+        c.set(b.reshape([2, 3]));
+        assertAlmostEqual(c, [0, 1, 2, 3, 4, 5]);
+    }],
+    ["set() after GPU computation", async () => {
+        const a = gpu.add(gpu.ones({ shape: [2, 2] }), 1);
+        await a.load();
+        a.set([3, 4], 0);
+        const b = gpu.add(a, 0);
+        await b.load();
+        assertAlmostEqual(b, [3, 4, 2, 2]);
+    }],
+    ["set() incompatible", async () => {
+        const a = gpu.Array({ shape: [2, 3] });
+        assertThrow(() => a.set([1, 2], 0));
+        assertThrow(() => a.set([[1, 2], [3]], 0));
+    }],
+]);
+
+
+TEST("take", [
+    ["take()", async () => {
+        const a = gpu.arange({ stop: 6 }, { shape: [2, 3], dtype: "f32" });
+        const i = gpu.asarray([5, 0, 2], { dtype: "u32" });
+        const b = gpu.take(a, i);
+        await b.load();
+        assertEqual(b.shape, [3]);
+        assertAlmostEqual(b, [5, 0, 2]);
+    }],
+    ["take() with axis", async () => {
+        const a = gpu.arange({ stop: 6 }, { shape: [2, 3], dtype: "f32" });
+        const i = gpu.asarray([2, 0, 2, 1], { shape: [2, 2], dtype: "i32" });
+        const b = gpu.take(a, i, { axis: 1 });
+        await b.load();
+        assertEqual(b.shape, [2, 2, 2]);
+        assertAlmostEqual(b, [2, 0, 2, 1, 5, 3, 5, 4]);
+
+        const c = gpu.take(a, gpu.asarray([1], { dtype: "i32" }), { axis: -2 });
+        await c.load();
+        assertEqual(c.shape, [1, 3]);
+        assertAlmostEqual(c, [3, 4, 5]);
+    }],
+    ["take() embedding", async () => {
+        const table = gpu.arange({ stop: 8 }, { shape: [4, 2], dtype: "f32" });
+        const i = gpu.asarray([3, 1, 1], { dtype: "u32" });
+        const b = gpu.take(table, i, { axis: 0 });
+        await b.load();
+        assertEqual(b.shape, [3, 2]);
+        assertAlmostEqual(b, [6, 7, 2, 3, 2, 3]);
+    }],
+    ["take() mode", async () => {
+        const a = gpu.arange({ stop: 4 }, { dtype: "f32" });
+        const i = gpu.asarray([-1, 5, 2], { dtype: "i32" });
+
+        const clip = gpu.take(a, i);
+        await clip.load();
+        assertAlmostEqual(clip, [0, 3, 2]);
+
+        const wrap = gpu.take(a, i, { mode: "wrap" });
+        await wrap.load();
+        assertAlmostEqual(wrap, [3, 1, 2]);
+
+        assertThrow(() => gpu.take(a, i, { mode: "raise" }));
+        assertThrow(() => gpu.take(a, a));
+    }],
+    ["take() from view", async () => {
+        const a = gpu.arange({ stop: 6 }, { shape: [2, 3], dtype: "f32" });
+        const i = gpu.asarray([0, 0, 1], { dtype: "u32" });
+        const b = gpu.take(a.slice(null, "::-1"), i, { axis: 1 });
+        await b.load();
+        assertAlmostEqual(b, [2, 2, 1, 5, 5, 4]);
+    }],
+    ["take_along_axis()", async () => {
+        const a = gpu.asarray([10, 30, 20, 60, 40, 50], { shape: [2, 3] });
+        const i = gpu.asarray([0, 2, 1, 1, 2, 0], { shape: [2, 3], dtype: "u32" });
+        const b = gpu.take_along_axis(a, i, { axis: 1 });
+        await b.load();
+        assertAlmostEqual(b, [10, 20, 30, 40, 50, 60]);
+
+        const j = gpu.asarray([1, 0], { shape: [2, 1], dtype: "i32" });
+        const c = gpu.take_along_axis(a, j, { axis: -1 });
+        await c.load();
+        assertEqual(c.shape, [2, 1]);
+        assertAlmostEqual(c, [30, 60]);
+
+        const k = gpu.asarray([1, 0, 1], { shape: [1, 3], dtype: "i32" });
+        const d = gpu.take_along_axis(a, k, { axis: 0 });
+        await d.load();
+        assertAlmostEqual(d, [60, 30, 50]);
+    }],
+    ["index()", async () => {
+        const a = gpu.arange({ stop: 12 }, { shape: [3, 4], dtype: "f32" });
+        const i = gpu.asarray([0, 2], { dtype: "u32" });
+        const j = gpu.asarray([1, 3], { dtype: "u32" });
+        const b = gpu.index(a, [i, j]);
+        await b.load();
+        assertEqual(b.shape, [2]);
+        assertAlmostEqual(b, [1, 11]);
+
+        const c = gpu.index(a, [gpu.asarray([2, 0], { shape: [2, 1], dtype: "i32" }), j]);
+        await c.load();
+        assertEqual(c.shape, [2, 2]);
+        assertAlmostEqual(c, [9, 11, 1, 3]);
+
+        const d = gpu.index(a, [i]);
+        await d.load();
+        assertEqual(d.shape, [2, 4]);
+        assertAlmostEqual(d, [0, 1, 2, 3, 8, 9, 10, 11]);
+    }],
+]);
+
+
+TEST("scatter", [
+    ["put()", async () => {
+        const a = gpu.Array({ shape: [2, 3], dtype: "f32" });
+        const i = gpu.asarray([4, 0, -1], { dtype: "i32" });
+        gpu.put(a, i, gpu.asarray([1, 2, 3]), { mode: "wrap" });
+        await a.load();
+        assertAlmostEqual(a, [2, 0, 0, 0, 1, 3]);
+
+        gpu.put(a, gpu.asarray([1, 2], { dtype: "u32" }), 7);
+        await a.load();
+        assertAlmostEqual(a, [2, 7, 7, 0, 1, 3]);
+    }],
+    ["put() duplicated", async () => {
+        const a = gpu.Array({ shape: 2, dtype: "i32" });
+        const i = gpu.asarray([0, 1, 0, 1, 0], { dtype: "u32" });
+        gpu.put(a, i, gpu.asarray([1, 2, 3, 4, 5], { dtype: "i32" }));
+        await a.load();
+        assertEqual(a, [5, 4]);
+    }],
+    ["scatter()", async () => {
+        const a = gpu.Array({ shape: [2, 3], dtype: "f32" });
+        const i = gpu.asarray([2, 0], { shape: [2, 1], dtype: "i32" });
+        gpu.scatter(a, i, gpu.asarray([5, 6], { shape: [2, 1] }), { axis: 1 });
+        await a.load();
+        assertAlmostEqual(a, [0, 0, 5, 6, 0, 0]);
+
+        // take_along_axis() inverse
+        const b = gpu.asarray([10, 30, 20, 60, 40, 50], { shape: [2, 3] });
+        const j = gpu.asarray([0, 2, 1, 1, 2, 0], { shape: [2, 3], dtype: "u32" });
+        const c = gpu.take_along_axis(b, j, { axis: 1 });
+        const d = gpu.Array({ shape: [2, 3] });
+        gpu.scatter(d, j, c, { axis: 1 });
+        await d.load();
+        assertAlmostEqual(d, [10, 30, 20, 60, 40, 50]);
+    }],
+    ["scatter() into view", async () => {
+        const a = gpu.Array({ shape: [2, 3], dtype: "u32" });
+        const i = gpu.asarray([1], { shape: [1, 1], dtype: "u32" });
+        gpu.scatter(a.slice(1), gpu.asarray([2], { dtype: "u32" }), 9, { axis: 0 });
+        await a.load();
+        assertEqual(a, [0, 0, 0, 0, 0, 9]);
+        gpu.scatter(a.slice(null, "1:"), i, 4, { axis: 0 });
+        await a.load();
+        assertEqual(a, [0, 0, 0, 0, 4, 4]);
+    }],
+    ["scatter_add()", async () => {
+        const hist = gpu.Array({ shape: 4, dtype: "u32" });
+        const bins = gpu.asarray([0, 3, 3, 1, 3, 0], { dtype: "u32" });
+        gpu.scatter_add(hist, bins, 1);
+        await hist.load();
+        assertEqual(hist, [2, 1, 0, 3]);
+
+        const grad = gpu.ones({ shape: [3, 2], dtype: "f32" });
+        const ids = gpu.asarray([2, 0, 2], { shape: [3, 1], dtype: "i32" });
+        const g = gpu.asarray([1, 2, 3, 4, 5, 6], { shape: [3, 2], dtype: "f32" });
+        gpu.scatter_add(grad, ids, g, { axis: 0 });
+        await grad.load();
+        assertAlmostEqual(grad, [4, 5, 1, 1, 7, 9]);
+    }],
+    ["scatter_add() large", async () => {
+        const N = 10000;
+        const a = gpu.Array({ shape: 1, dtype: "f32" });
+        gpu.scatter_add(a, gpu.Array({ shape: N, dtype: "u32" }), 0.5);
+        const b = gpu.Array({ shape: 1, dtype: "i32" });
+        gpu.scatter_add(b, gpu.Array({ shape: N, dtype: "u32" }), -2);
+        await a.load();
+        await b.load();
+        assertAlmostEqual(a, [N / 2]);
+        assertEqual(b, [-2 * N]);
+    }],
+    ["scatter_max() / scatter_min()", async () => {
+        const i = gpu.asarray([0, 1, 0, 1], { dtype: "u32" });
+
+        const a = gpu.full(-1, { shape: 2, dtype: "f32" });
+        gpu.scatter_max(a, i, gpu.asarray([-3, 2, 4, -5]));
+        await a.load();
+        assertAlmostEqual(a, [4, 2]);
+
+        const b = gpu.full(0, { shape: 2, dtype: "i32" });
+        gpu.scatter_min(b, i, gpu.asarray([-3, 2, 4, -5], { dtype: "i32" }));
+        await b.load();
+        assertEqual(b, [-3, -5]);
+
+        const c = gpu.full(3, { shape: 2, dtype: "u32" });
+        gpu.scatter_max(c, i, gpu.asarray([1, 5, 2, 3], { dtype: "u32" }));
+        await c.load();
+        assertEqual(c, [3, 5]);
+    }],
+]);
+
+
+TEST("Mask", [
+    ["compress()", async () => {
+        const a = gpu.arange({ stop: 6 }, { shape: [2, 3], dtype: "f32" });
+        const m = gpu.asarray([1, 0, 1, 0, 0, 1], { shape: [2, 3], dtype: "u32" });
+        const b = await gpu.compress(m, a);
+        await b.load();
+        assertEqual(b.shape, [3]);
+        assertAlmostEqual(b, [0, 2, 5]);
+    }],
+    ["compress() broadcast", async () => {
+        const a = gpu.arange({ stop: 6 }, { shape: [2, 3], dtype: "i32" });
+        const m = gpu.asarray([0, 1, 1], { dtype: "f32" });
+        const b = await gpu.compress(m, a);
+        await b.load();
+        assertEqual(b, [1, 2, 4, 5]);
+    }],
+    ["compress() empty", async () => {
+        const a = gpu.arange({ stop: 6 }, { dtype: "f32" });
+        const b = await gpu.compress(gpu.Array({ shape: 6, dtype: "u32" }), a);
+        assertEqual(b.shape, [0]);
+        assertEqual(b.length, 0);
+
+        const c = gpu.add(b, b);
+        await c.load();
+        assertEqual(c.length, 0);
+    }],
+    ["mask()", async () => {
+        const a = gpu.arange({ stop: 6 }, { shape: [2, 3], dtype: "f32" });
+        const b = await a.slice(null, "::-1").mask(gpu.asarray([1, 1, 0, 0, 1, 1], { shape: [2, 3], dtype: "i32" }));
+        await b.load();
+        assertAlmostEqual(b, [2, 1, 4, 3]);
+    }],
+    ["mask() large", async () => {
+        const N = 100000;
+        const a = gpu.arange({ stop: N }, { dtype: "u32" });
+        const m = gpu.asarray(Uint32Array.from({ length: N }, (_, i) => (i % 3 === 0) ? 1 : 0));
+        const b = await a.mask(m);
+        await b.load();
+        assertEqual(b.length, Math.ceil(N / 3));
+        assertEqual(b, Uint32Array.from({ length: Math.ceil(N / 3) }, (_, i) => 3 * i));
+    }],
+    ["nonzero()", async () => {
+        const a = gpu.asarray([0, 2, 0, 3, 0, 0], { shape: [3, 2], dtype: "f32" });
+        const [i, j] = await gpu.nonzero(a);
+        await i.load();
+        await j.load();
+        assertEqual(i, [0, 1]);
+        assertEqual(j, [1, 1]);
+
+        const [k] = await gpu.nonzero(gpu.Array({ shape: 4, dtype: "i32" }));
+        assertEqual(k.length, 0);
+    }],
+    ["empty input", async () => {
+        const a = gpu.Array({ shape: [0, 3], dtype: "f32" });
+        const m = gpu.Array({ shape: [0, 3], dtype: "u32" });
+        const b = await gpu.compress(m, a);
+        const c = await a.mask(m);
+        const [i, j] = await gpu.nonzero(a);
+        assertEqual(b.shape, [0]);
+        assertEqual(c.shape, [0]);
+        assertEqual(i.shape, [0]);
+        assertEqual(j.shape, [0]);
+    }],
+]);
+
+
+TEST("View", [
+    ["reshape() with -1", async () => {
+        const a = gpu.arange({ stop: 6 }, { dtype: "f32" });
+        const b = a.reshape([-1, 2]);
+        assertEqual(b.shape, [3, 2]);
+        assertEqual(b.strides, [2, 1]);
+        assertEqual(a.shape, [6]);
+        assertEqual(b.reshape(-1).shape, [6]);
+
+        // View shares data without copy.
+        b.set(10, 1, 0);
+        assertEqual(a.cpu[2], 10);
+        assertThrow(() => a.reshape([-1, -1]));
+        assertThrow(() => a.reshape([-1, 4]));
+    }],
+    ["transpose()", async () => {
+        const a = gpu.arange({ stop: 6 }, { shape: [2, 3], dtype: "f32" });
+        const b = a.transpose();
+        assertEqual(b.shape, [3, 2]);
+        assertAlmostEqual(await b.get(), [[0, 3], [1, 4], [2, 5]]);
+        assertAlmostEqual(await a.T.get(2, 1), 5);
+
+        const c = gpu.arange({ stop: 24 }, { shape: [2, 3, 4], dtype: "i32" });
+        const d = c.transpose([1, -1, 0]);
+        assertEqual(d.shape, [3, 4, 2]);
+        assertEqual(await d.get(2, 1, 1), 21);
+        assertEqual(c.transpose(2, 0, 1).shape, [4, 2, 3]);
+        assertThrow(() => c.transpose([0, 1]));
+        assertThrow(() => c.transpose([0, 1, 1]));
+    }],
+    ["swapaxes() / moveaxis()", async () => {
+        const a = gpu.Array({ shape: [2, 3, 4] });
+        assertEqual(a.swapaxes(0, -1).shape, [4, 3, 2]);
+        assertEqual(a.moveaxis(0, -1).shape, [3, 4, 2]);
+        assertEqual(a.moveaxis(-1, 0).shape, [4, 2, 3]);
+        assertEqual(a.moveaxis([0, 1], [-1, -2]).shape, [4, 3, 2]);
+        assertEqual(a.moveaxis([0, 1], [-1, -2]).strides, [1, 4, 12]);
+    }],
+    ["squeeze() / expand_dims()", async () => {
+        const a = gpu.arange({ stop: 3 }, { shape: [1, 3, 1], dtype: "f32" });
+        assertEqual(a.squeeze().shape, [3]);
+        assertEqual(a.squeeze(0).shape, [3, 1]);
+        assertThrow(() => a.squeeze(1));
+
+        const b = a.squeeze().expand_dims([0, 2]);
+        assertEqual(b.shape, [1, 3, 1]);
+        assertAlmostEqual(await b.get(0, 2, 0), 2);
+        assertEqual(gpu.Array({ shape: 1 }).squeeze().shape, [1]);
+    }],
+    ["broadcast_to()", async () => {
+        const a = gpu.arange({ stop: 3 }, { dtype: "f32" });
+        const b = a.broadcast_to([2, 3]);
+        assertEqual(b.strides, [0, 1]);
+        assertAlmostEqual(await b.get(), [[0, 1, 2], [0, 1, 2]]);
+        assertThrow(() => a.broadcast_to([2, 4]));
+    }],
+    ["copy() / contiguous()", async () => {
+        const a = gpu.arange({ stop: 6 }, { shape: [2, 3], dtype: "f32" });
+        assertEqual(a.contiguous(), a);
+        assertEqual(a.slice(1).contiguous().offset, 3);
+
+        const b = a.T.contiguous();
+        assertFalsy(b.custom_strides);
+        await b.load();
+        assertAlmostEqual(b, [0, 3, 1, 4, 2, 5]);
+
+        const c = a.copy();
+        a.set(7, 0, 0);
+        await c.load();
+        assertAlmostEqual(c, [0, 1, 2, 3, 4, 5]);
+
+        const d = gpu.copy(a.slice(null, "::-2"), gpu.Array({ shape: [2, 2], dtype: "i32" }));
+        await d.load();
+        assertEqual(d, [2, 7, 5, 3]);
+    }],
+    ["Operations with views", async () => {
+        const a = gpu.arange({ stop: 6 }, { shape: [2, 3], dtype: "f32" });
+        const b = gpu.add(a.T, a.T);
+        await b.load();
+        assertAlmostEqual(b, [0, 6, 2, 8, 4, 10]);
+
+        const c = gpu.take(a.T, gpu.asarray([1, 2], { dtype: "u32" }));
+        await c.load();
+        assertAlmostEqual(c, [3, 1]);
+
+        const d = gpu.matmul(a, a.T);
+        await d.load();
+        assertAlmostEqual(d, [5, 14, 14, 50]);
+    }],
+]);
+
+
+TEST("Manipulation", [
+    ["concatenate()", async () => {
+        const a = gpu.arange({ stop: 4 }, { shape: [2, 2], dtype: "f32" });
+        const b = gpu.arange({ start: 4, stop: 6 }, { shape: [1, 2], dtype: "i32" });
+        const c = gpu.concatenate([a, b]);
+        assertEqual(c.shape, [3, 2]);
+        assertEqual(c.dtype, "f32");
+        await c.load();
+        assertAlmostEqual(c, [0, 1, 2, 3, 4, 5]);
+
+        const d = gpu.concatenate([a, a.T], -1);
+        assertEqual(d.shape, [2, 4]);
+        await d.load();
+        assertAlmostEqual(d, [0, 1, 0, 2, 2, 3, 1, 3]);
+
+        assertThrow(() => gpu.concatenate([a, b], 1));
+    }],
+    ["concatenate() with CPU data", async () => {
+        const a = gpu.Array({ shape: 2, dtype: "u32" });
+        const b = gpu.Array({ shape: 2, dtype: "u32" });
+        a.set([1, 2]);
+        b.set([3, 4]);
+        const c = gpu.concatenate([a, b.slice("::-1"), a]);
+        await c.load();
+        assertEqual(c, [1, 2, 4, 3, 1, 2]);
+    }],
+    ["stack()", async () => {
+        const a = gpu.arange({ stop: 3 }, { dtype: "f32" });
+        const b = gpu.full(7, { shape: 3, dtype: "f32" });
+        const c = gpu.stack([a, b]);
+        assertEqual(c.shape, [2, 3]);
+        await c.load();
+        assertAlmostEqual(c, [0, 1, 2, 7, 7, 7]);
+
+        const d = gpu.stack([a, b], -1);
+        assertEqual(d.shape, [3, 2]);
+        await d.load();
+        assertAlmostEqual(d, [0, 7, 1, 7, 2, 7]);
+    }],
+    ["split() / array_split()", async () => {
+        const a = gpu.arange({ stop: 12 }, { shape: [2, 6], dtype: "f32" });
+        const [b, c] = gpu.split(a, 2, 1);
+        assertEqual(b.shape, [2, 3]);
+        assertAlmostEqual(await c.get(), [[3, 4, 5], [9, 10, 11]]);
+        assertThrow(() => gpu.split(a, 4, 1));
+
+        const parts = gpu.array_split(a, 4, 1);
+        assertEqual(parts.map(p => p.shape[1]), [2, 2, 1, 1]);
+        assertAlmostEqual(await parts[2].get(), [[4], [10]]);
+
+        const [d, e, f] = gpu.split(a, [1, 4], -1);
+        assertEqual([d.shape[1], e.shape[1], f.shape[1]], [1, 3, 2]);
+        assertAlmostEqual(await f.get(1), [10, 11]);
+    }],
+    ["tile()", async () => {
+        const a = gpu.arange({ stop: 3 }, { dtype: "i32" });
+        const b = gpu.tile(a, 2);
+        await b.load();
+        assertEqual(b, [0, 1, 2, 0, 1, 2]);
+
+        const c = gpu.tile(a, [2, 2]);
+        assertEqual(c.shape, [2, 6]);
+        await c.load();
+        assertEqual(c, [0, 1, 2, 0, 1, 2, 0, 1, 2, 0, 1, 2]);
+    }],
+    ["repeat()", async () => {
+        const a = gpu.arange({ stop: 4 }, { shape: [2, 2], dtype: "f32" });
+        const b = gpu.repeat(a, 2);
+        assertEqual(b.shape, [8]);
+        await b.load();
+        assertAlmostEqual(b, [0, 0, 1, 1, 2, 2, 3, 3]);
+
+        const c = gpu.repeat(a, 2, 0);
+        assertEqual(c.shape, [4, 2]);
+        await c.load();
+        assertAlmostEqual(c, [0, 1, 0, 1, 2, 3, 2, 3]);
+
+        const d = gpu.repeat(a, [1, 3], -1);
+        assertEqual(d.shape, [2, 4]);
+        await d.load();
+        assertAlmostEqual(d, [0, 1, 1, 1, 2, 3, 3, 3]);
+
+        const e = gpu.repeat(a.T, 2);
+        await e.load();
+        assertAlmostEqual(e, [0, 0, 2, 2, 1, 1, 3, 3]);
+    }],
+    ["pad()", async () => {
+        const a = gpu.arange({ start: 1, stop: 4 }, { dtype: "f32" });
+
+        const b = gpu.pad(a, [1, 2]);
+        await b.load();
+        assertAlmostEqual(b, [0, 1, 2, 3, 0, 0]);
+
+        const c = gpu.pad(a, 2, { mode: "edge" });
+        await c.load();
+        assertAlmostEqual(c, [1, 1, 1, 2, 3, 3, 3]);
+
+        const d = gpu.pad(a, [2, 3], { mode: "reflect" });
+        await d.load();
+        assertAlmostEqual(d, [3, 2, 1, 2, 3, 2, 1, 2]);
+
+        const e = gpu.arange({ stop: 4 }, { shape: [2, 2], dtype: "i32" });
+        const f = gpu.pad(e, [[1, 0], [0, 1]], { constant_values: -1 });
+        assertEqual(f.shape, [3, 3]);
+        await f.load();
+        assertEqual(f, [-1, -1, -1, 0, 1, -1, 2, 3, -1]);
+
+        const g = gpu.pad(e, [[0, 1], [1, 0]], { mode: "reflect" });
+        await g.load();
+        assertEqual(g, [1, 0, 1, 3, 2, 3, 1, 0, 1]);
+
+        assertThrow(() => gpu.pad(e, 1, { mode: "wrap" }));
+    }],
+]);
+
+
+TEST("Strided out", [
+    ["a + b -> view", async () => {
+        const a = gpu.arange({ stop: 6 }, { shape: [2, 3], dtype: "f32" });
+        const b = gpu.full(10, { shape: 3, dtype: "f32" });
+        gpu.add(a.slice(1), b, a.slice(1));
+        await a.load();
+        assertAlmostEqual(a, [0, 1, 2, 13, 14, 15]);
+
+        gpu.mul(a, 2, a.slice(null, "::-1"));
+        await a.load();
+        assertAlmostEqual(a, [4, 2, 0, 30, 28, 26]);
+    }],
+    ["a + b -> transposed", async () => {
+        const a = gpu.arange({ stop: 6 }, { shape: [2, 3], dtype: "i32" });
+        const c = gpu.Array({ shape: [3, 2], dtype: "i32" });
+        gpu.add(a, a, c.T);
+        await c.load();
+        assertEqual(c, [0, 6, 2, 8, 4, 10]);
+    }],
+    ["f(a) -> view", async () => {
+        const a = gpu.arange({ stop: 4 }, { shape: [2, 2], dtype: "f32" });
+        const c = gpu.full(-1, { shape: [2, 3], dtype: "f32" });
+        gpu.sqrt(a, c.slice(null, "1:"));
+        await c.load();
+        assertAlmostEqual(c, [-1, 0, 1, -1, Math.SQRT2, Math.sqrt(3)], { rtol: 1e-4 });
+
+        gpu.max(c, gpu.Array({ shape: 1, dtype: "f32" }), c);
+        await c.load();
+        assertAlmostEqual(c, [0, 0, 1, 0, Math.SQRT2, Math.sqrt(3)], { rtol: 1e-4 });
+
+        gpu.pow(c.slice(null, 1), gpu.full(2, { shape: 1, dtype: "f32" }), c.slice(null, 0));
+        await c.load();
+        assertAlmostEqual(c, [0, 0, 1, 2, Math.SQRT2, Math.sqrt(3)], { rtol: 1e-4 });
+    }],
+    ["where() -> view", async () => {
+        const a = gpu.arange({ stop: 4 }, { dtype: "f32" });
+        const cond = gpu.asarray([1, 0, 1, 0], { dtype: "u32" });
+        gpu.where(cond, gpu.Array({ shape: 1, dtype: "f32" }), a, a);
+        await a.load();
+        assertAlmostEqual(a, [0, 1, 0, 3]);
+
+        const b = gpu.Array({ shape: [2, 4], dtype: "f32" });
+        gpu.where(cond, a, gpu.full(5, { shape: 1, dtype: "f32" }), b.slice(1));
+        await b.load();
+        assertAlmostEqual(b, [0, 0, 0, 0, 0, 5, 0, 5]);
+    }],
+    ["reduction / matmul / take -> view", async () => {
+        const a = gpu.arange({ stop: 6 }, { shape: [2, 3], dtype: "f32" });
+        const c = gpu.Array({ shape: [3, 3], dtype: "f32" });
+        gpu.sum(a, { axis: 1, out: c.slice(0, "1:") });
+        const a2 = a.slice(null, ":2");
+        gpu.matmul(a2.T, a2, c.slice("1:", "::-1").slice(null, "1:"));
+        gpu.take(a, gpu.asarray([2], { dtype: "u32" }), { axis: 1, out: c.slice("1:", "2:") });
+        await c.load();
+        assertAlmostEqual(c, [0, 3, 12, 12, 9, 2, 17, 12, 5]);
+    }],
+]);
+
+
+TEST("Comparison / Logical", [
+    ["eq / ne / lt / le / gt / ge", async () => {
+        const a = gpu.asarray([1, 2, 3]);
+        const b = gpu.asarray([2, 2, 2]);
+        for(const [f, expected] of [
+            ["eq", [0, 1, 0]],
+            ["ne", [1, 0, 1]],
+            ["lt", [1, 0, 0]],
+            ["le", [1, 1, 0]],
+            ["gt", [0, 0, 1]],
+            ["ge", [0, 1, 1]],
+        ]){
+            const c = gpu[f](a, b);
+            assertEqual(c.dtype, "u32");
+            await c.load();
+            assertEqual(c, expected);
+        }
+    }],
+    ["compare with broadcast and scalar", async () => {
+        const a = gpu.arange({ stop: 6 }, { shape: [2, 3], dtype: "i32" });
+        const c = gpu.gt(a, 2);
+        await c.load();
+        assertEqual(c, [0, 0, 0, 1, 1, 1]);
+
+        const d = gpu.eq(a, gpu.asarray([0, 4, 2], { dtype: "i32" }).slice("::-1"));
+        assertEqual(d.dtype, "u32");
+        await d.load();
+        assertEqual(d, [0, 0, 0, 0, 1, 0]);
+
+        const e = gpu.le(1.5, gpu.asarray([1, 2]), gpu.Array({ shape: 2, dtype: "f32" }));
+        await e.load();
+        assertAlmostEqual(e, [0, 1]);
+    }],
+    ["logical_and / or / xor / not", async () => {
+        const a = gpu.asarray([0, 0, 1, 2], { dtype: "i32" });
+        const b = gpu.asarray([0, 0.5, 0, -1]);
+
+        const and = gpu.logical_and(a, b);
+        const or = gpu.logical_or(a, b);
+        const xor = gpu.logical_xor(a, b);
+        const not = gpu.logical_not(b);
+        const and_s = gpu.logical_and(a, 1);
+        await Promise.all([and, or, xor, not, and_s].map(c => c.load()));
+
+        assertEqual(and, [0, 0, 0, 1]);
+        assertEqual(or, [0, 1, 1, 1]);
+        assertEqual(xor, [0, 1, 1, 0]);
+        assertEqual(not, [1, 0, 1, 0]);
+        assertEqual(and_s, [0, 0, 1, 1]);
+    }],
+    ["isnan / isinf / isfinite", async () => {
+        const a = gpu.asarray([NaN, Infinity, -Infinity, 1, 0]);
+        const nan = gpu.isnan(a);
+        const inf = gpu.isinf(a);
+        const fin = gpu.isfinite(a);
+        const i = gpu.isfinite(gpu.asarray([1], { dtype: "i32" }));
+        await Promise.all([nan, inf, fin, i].map(c => c.load()));
+
+        assertEqual(nan, [1, 0, 0, 0, 0]);
+        assertEqual(inf, [0, 1, 1, 0, 0]);
+        assertEqual(fin, [0, 0, 0, 1, 1]);
+        assertEqual(i, [1]);
+    }],
+    ["where(mask)", async () => {
+        const a = gpu.asarray([-1, 2, -3, 4]);
+        const b = gpu.where(gpu.lt(a, 0), gpu.Array({ shape: 1 }), a);
+        await b.load();
+        assertAlmostEqual(b, [0, 2, 0, 4]);
+
+        const c = await a.mask(gpu.ge(a, 0));
+        await c.load();
+        assertAlmostEqual(c, [2, 4]);
+    }],
+]);
+
+
+TEST("Integer", [
+    ["bitwise_and / or / xor", async () => {
+        const a = gpu.asarray([0b1100, 0b1010], { dtype: "u32" });
+        const b = gpu.asarray([0b1010], { dtype: "u32" });
+        const and = gpu.bitwise_and(a, b);
+        const or = gpu.bitwise_or(a, b);
+        const xor = gpu.bitwise_xor(a, 0b0110);
+        await Promise.all([and, or, xor].map(c => c.load()));
+        assertEqual(and, [0b1000, 0b1010]);
+        assertEqual(or, [0b1110, 0b1010]);
+        assertEqual(xor, [0b1010, 0b1100]);
+
+        assertThrow(() => gpu.bitwise_and(gpu.asarray([1]), b));
+    }],
+    ["invert / popcount / reverseBits", async () => {
+        const a = gpu.asarray([0, 7, -1], { dtype: "i32" });
+        const inv = gpu.invert(a);
+        const cnt = gpu.popcount(a);
+        const u = gpu.asarray([1, 0x80000000], { dtype: "u32" });
+        const rev = gpu.reverseBits(u);
+        await Promise.all([inv, cnt, rev].map(c => c.load()));
+        assertEqual(inv, [-1, -8, 0]);
+        assertEqual(cnt, [0, 3, 32]);
+        assertEqual(rev, [0x80000000, 1]);
+
+        assertThrow(() => gpu.popcount(gpu.asarray([1])));
+    }],
+    ["left_shift / right_shift", async () => {
+        const a = gpu.asarray([1, -8, 5], { dtype: "i32" });
+        const s = gpu.asarray([3, 1, 0], { dtype: "i32" });
+        const l = gpu.left_shift(a, s);
+        const r = gpu.right_shift(a, s);
+        const u = gpu.right_shift(gpu.asarray([0xF0000000], { dtype: "u32" }), 28);
+        await Promise.all([l, r, u].map(c => c.load()));
+        assertEqual(l, [8, -16, 5]);
+        assertEqual(r, [0, -4, 5]);
+        assertEqual(u, [15]);
+    }],
+    ["mod / remainder / floor_divide", async () => {
+        const a = gpu.asarray([7, -7, 7, -7], { dtype: "i32" });
+        const b = gpu.asarray([3, 3, -3, -3], { dtype: "i32" });
+        const m = gpu.mod(a, b);
+        const r = gpu.remainder(a, b);
+        const q = gpu.floor_divide(a, b);
+        await Promise.all([m, r, q].map(c => c.load()));
+        assertEqual(m, [1, 2, -2, -1]);
+        assertEqual(r, [1, 2, -2, -1]);
+        assertEqual(q, [2, -3, -3, 2]);
+
+        const f = gpu.asarray([7.5, -7.5]);
+        const fm = gpu.mod(f, 2);
+        const fq = gpu.floor_divide(f, 2);
+        const um = gpu.mod(gpu.asarray([7], { dtype: "u32" }), 4);
+        await Promise.all([fm, fq, um].map(c => c.load()));
+        assertAlmostEqual(fm, [1.5, 0.5]);
+        assertAlmostEqual(fq, [3, -4]);
+        assertEqual(um, [3]);
+    }],
+]);
+
+
+TEST("Type Promotion", [
+    ["i32 + u32", async () => {
+        const a = gpu.asarray([-1, 2], { dtype: "i32" });
+        const b = gpu.asarray([3, 4], { dtype: "u32" });
+        const c = gpu.add(a, b);
+        assertEqual(c.dtype, "i32");
+        await c.load();
+        assertEqual(c, [2, 6]);
+    }],
+    ["int + float", async () => {
+        const a = gpu.asarray([1, 2], { dtype: "u32" });
+        const b = gpu.asarray([0.5, 0.5], { dtype: "f32" });
+        assertEqual(gpu.add(a, b).dtype, "f32");
+    }],
+    ["weak scalar", async () => {
+        const a = gpu.asarray([1, 2], { dtype: "u32" });
+
+        const b = gpu.add(a, 1);
+        assertEqual(b.dtype, "u32");
+
+        const c = gpu.add(a, 1.5);
+        assertEqual(c.dtype, "f32");
+        await c.load();
+        assertAlmostEqual(c, [2.5, 3.5]);
+
+        const d = gpu.mul(gpu.asarray([1], { dtype: "f32" }), 3);
+        assertEqual(d.dtype, "f32");
+
+        assertThrow(() => gpu.add(a, -1));
+        assertThrow(() => gpu.add(gpu.asarray([1], { dtype: "i32" }), 2 ** 31));
+    }],
+    ["astype()", async () => {
+        const a = gpu.asarray([1.5, -2.5, 3]);
+        const b = a.astype("i32");
+        assertEqual(b.dtype, "i32");
+        await b.load();
+        assertEqual(b, [1, -2, 3]);
+
+        const c = b.astype("f32", { casting: "same_kind" });
+        await c.load();
+        assertAlmostEqual(c, [1, -2, 3]);
+
+        const d = a.slice("::-1").astype("f32");
+        assertFalsy(d.custom_strides);
+        await d.load();
+        assertAlmostEqual(d, [3, -2.5, 1.5]);
+
+        assertEqual(a.astype("f32", { copy: false }), a);
+        assertTruthy(a.astype("f32") !== a);
+    }],
+    ["astype() casting", async () => {
+        const a = gpu.asarray([1, 2], { dtype: "i32" });
+        assertThrow(() => a.astype("f32", { casting: "safe" }));
+        assertThrow(() => a.astype("u32", { casting: "no" }));
+        assertThrow(() => gpu.asarray([1.5]).astype("i32", { casting: "same_kind" }));
+        assertThrow(() => a.astype("i32", { casting: "invalid" }));
+
+        assertThrow(() => a.astype("u32", { casting: "same_kind" }));
+        const b = a.astype("u32");
+        assertEqual(b.dtype, "u32");
+        assertEqual(b.astype("i32", { casting: "same_kind" }).dtype, "i32");
+        assertEqual(b.astype("f32", { casting: "same_kind" }).dtype, "f32");
+        a.astype("i32", { casting: "no" });
+    }],
+]);
+
+
+TEST("Statistics", [
+    ["mean", async () => {
+        const a = gpu.arange({ stop: 6 }, { shape: [2, 3], dtype: "i32" });
+        const b = gpu.mean(a);
+        const c = gpu.mean(a, { axis: 0 });
+        const d = gpu.mean(a, { axis: 1, keepdims: true });
+        await Promise.all([b.load(), c.load(), d.load()]);
+        assertEqual(b.dtype, "f32");
+        assertAlmostEqual(b, [2.5]);
+        assertAlmostEqual(c, [1.5, 2.5, 3.5]);
+        assertEqual(d.shape, [2, 1]);
+        assertAlmostEqual(d, [1, 4]);
+    }],
+    ["var / std", async () => {
+        const a = gpu.asarray([1, 2, 3, 4, 5, 6, 7, 9], { shape: [2, 4] });
+        const b = gpu.var(a);
+        const c = gpu.var(a, { axis: 1, ddof: 1 });
+        const d = gpu.std(a, { axis: 0 });
+        await Promise.all([b.load(), c.load(), d.load()]);
+        assertAlmostEqual(b, [6.234375]);
+        assertAlmostEqual(c, [5 / 3, 8.75 / 3]);
+        assertAlmostEqual(d, [2, 2, 2, 2.5]);
+
+        const out = gpu.Array({ shape: [2] });
+        const e = gpu.std(a, { axis: 1, out });
+        assertTruthy(e === out);
+        await e.load();
+        assertAlmostEqual(e, [Math.sqrt(1.25), Math.sqrt(8.75 / 4)]);
+    }],
+    ["var: large offset", async () => {
+        // Naive E[x^2] - E[x]^2 loses all digits in f32.
+        const a = gpu.asarray([1e4 + 1, 1e4 + 2, 1e4 + 3, 1e4 + 4]);
+        const b = gpu.var(a);
+        await b.load();
+        assertAlmostEqual(b, [1.25]);
+    }],
+    ["norm: vector", async () => {
+        const a = gpu.asarray([3, -4]);
+        const b = gpu.norm(a);
+        const c = gpu.norm(a, { ord: 1 });
+        const d = gpu.norm(a, { ord: Infinity });
+        const e = gpu.norm(a, { ord: -Infinity });
+        await Promise.all([b.load(), c.load(), d.load(), e.load()]);
+        assertAlmostEqual(b, [5]);
+        assertAlmostEqual(c, [7]);
+        assertAlmostEqual(d, [4]);
+        assertAlmostEqual(e, [3]);
+
+        const f = gpu.asarray([3, 4, 6, 8], { shape: [2, 2] });
+        const g = gpu.norm(f, { axis: 1 });
+        await g.load();
+        assertAlmostEqual(g, [5, 10]);
+    }],
+    ["norm: matrix", async () => {
+        const a = gpu.asarray([1, -2, 3, 4], { shape: [2, 2] });
+        const b = gpu.norm(a, { ord: "fro" });
+        const c = gpu.norm(a, { ord: 1 });
+        const d = gpu.norm(a, { ord: Infinity });
+        const e = gpu.norm(a, { ord: -1, keepdims: true });
+        await Promise.all([b.load(), c.load(), d.load(), e.load()]);
+        assertEqual(b.shape, [1]);
+        assertEqual(c.shape, [1]);
+        assertEqual(d.shape, [1]);
+        assertAlmostEqual(b, [Math.sqrt(30)]);
+        assertAlmostEqual(c, [6]);
+        assertAlmostEqual(d, [7]);
+        assertEqual(e.shape, [1, 1]);
+        assertAlmostEqual(e, [4]);
+
+        const f = gpu.norm(gpu.ones({ shape: [3, 2, 2] }), { ord: -Infinity, axis: [1, 2] });
+        assertEqual(f.shape, [3]);
+        await f.load();
+        assertAlmostEqual(f, [2, 2, 2]);
+
+        assertThrow(() => gpu.norm(a, { ord: 3 }));
+        assertThrow(() => gpu.norm(gpu.ones({ shape: [2, 2, 2] }), { ord: 1 }));
+    }],
+    ["argmin / argmax", async () => {
+        const a = gpu.asarray([3, 1, 4, 1, 5, 9, 2, 6, 9], { shape: [3, 3] });
+        const b = gpu.argmin(a);
+        const c = gpu.argmax(a);
+        const d = gpu.argmax(a, { axis: 0 });
+        const e = gpu.argmin(a, { axis: 1, keepdims: true });
+        await Promise.all([b.load(), c.load(), d.load(), e.load()]);
+        assertEqual(b.dtype, "u32");
+        assertEqual(b, [1]);
+        assertEqual(c, [5]);
+        assertEqual(d, [0, 2, 1]);
+        assertEqual(e.shape, [3, 1]);
+        assertEqual(e, [1, 0, 0]);
+
+        assertThrow(() => gpu.argmax(a, { axis: [0, 1] }));
+        assertThrow(() => gpu.argmax(gpu.Array({ shape: [0] })));
+    }],
+    ["argmax (large)", async () => {
+        const a = gpu.arange({ stop: 1000 }, { dtype: "i32" });
+        a.set(2000, 777);
+        a.set(2000, 900);
+        await a.send();
+        const b = gpu.argmax(a);
+        const c = gpu.argmin(a.slice("::-1"));
+        await Promise.all([b.load(), c.load()]);
+        assertEqual(b, [777]);
+        assertEqual(c, [999]);
+    }],
+    ["all / any / count_nonzero", async () => {
+        const a = gpu.asarray([1, 0, 2, 3, 4, 5], { shape: [2, 3], dtype: "i32" });
+        const b = gpu.all(a);
+        const c = gpu.all(a, { axis: 0 });
+        const d = gpu.any(a, { axis: 1 });
+        const e = gpu.count_nonzero(a);
+        const f = gpu.count_nonzero(a, { axis: 0 });
+        await Promise.all([b.load(), c.load(), d.load(), e.load(), f.load()]);
+        assertEqual(b, [0]);
+        assertEqual(c, [1, 0, 1]);
+        assertEqual(d, [1, 1]);
+        assertEqual(e, [5]);
+        assertEqual(f, [2, 1, 2]);
+
+        const g = gpu.any(gpu.full(0, { shape: [300] }));
+        await g.load();
+        assertEqual(g, [0]);
+    }],
+]);
+
+
+TEST("Cumulative", [
+    ["cumsum", async () => {
+        const a = gpu.arange({ start: 1, stop: 7 }, { shape: [2, 3], dtype: "i32" });
+        const b = gpu.cumsum(a);
+        const c = gpu.cumsum(a, { axis: 0 });
+        const d = gpu.cumsum(a, { axis: -1 });
+        await Promise.all([b.load(), c.load(), d.load()]);
+        assertEqual(b.shape, [6]);
+        assertEqual(b, [1, 3, 6, 10, 15, 21]);
+        assertEqual(c.shape, [2, 3]);
+        assertEqual(c, [1, 2, 3, 5, 7, 9]);
+        assertEqual(d, [1, 3, 6, 4, 9, 15]);
+    }],
+    ["exclusive", async () => {
+        const a = gpu.arange({ start: 1, stop: 7 }, { shape: [2, 3], dtype: "u32" });
+        const b = gpu.cumsum(a, { axis: 1, exclusive: true });
+        const c = gpu.cumprod(a, { axis: 0, exclusive: true });
+        await Promise.all([b.load(), c.load()]);
+        assertEqual(b, [0, 1, 3, 0, 4, 9]);
+        assertEqual(c, [1, 1, 1, 1, 2, 3]);
+    }],
+    ["cumprod / cummax / cummin", async () => {
+        const a = gpu.asarray([3, 1, 4, 1, 5, 9, 2, 6]);
+        const b = gpu.cumprod(a);
+        const c = gpu.cummax(a);
+        const d = gpu.cummin(a.astype("i32"), { exclusive: true });
+        await Promise.all([b.load(), c.load(), d.load()]);
+        assertAlmostEqual(b, [3, 3, 12, 12, 60, 540, 1080, 6480]);
+        assertAlmostEqual(c, [3, 3, 4, 4, 5, 9, 9, 9]);
+        assertEqual(d, [2147483647, 3, 1, 1, 1, 1, 1, 1]);
+    }],
+    ["cummax / cummin with infinity", async () => {
+        const a = gpu.cummax(gpu.asarray([-Infinity, -Infinity, 2]));
+        const b = gpu.cummin(gpu.asarray([Infinity, Infinity, 2]));
+        const c = gpu.cummax(gpu.asarray([1, 2]), { exclusive: true });
+        await Promise.all([a.load(), b.load(), c.load()]);
+        assertEqual(Array.from(a), [-Infinity, -Infinity, 2]);
+        assertEqual(Array.from(b), [Infinity, Infinity, 2]);
+        assertEqual(Array.from(c), [-Infinity, 1]);
+    }],
+    ["multiple workgroups", async () => {
+        const n = 300000;
+        const a = gpu.ones({ shape: [n], dtype: "u32" });
+        const b = gpu.cumsum(a);
+        const c = gpu.cumsum(a, { exclusive: true });
+        await Promise.all([b.load(), c.load()]);
+        for(const i of [0, 1023, 1024, 262143, 262144, n - 1]){
+            assertEqual(await b.get(i), i + 1);
+            assertEqual(await c.get(i), i);
+        }
+    }],
+    ["multiple segments with blocks", async () => {
+        const a = gpu.ones({ shape: [3000, 3], dtype: "i32" });
+        const b = gpu.cumsum(a, { axis: 0 });
+        await b.load();
+        assertEqual(await b.get(2999, 2), 3000);
+        assertEqual(await b.get(1500, 1), 1501);
+
+        const c = gpu.cummax(gpu.arange({ stop: 5000 }, { dtype: "f32" }).slice("::-1"));
+        await c.load();
+        assertEqual(await c.get(4999), 4999);
+    }],
+    ["dtype / out", async () => {
+        const a = gpu.asarray([1.5, 2.5, 3.5]);
+        const b = gpu.cumsum(a, { dtype: "i32" });
+        assertEqual(b.dtype, "i32");
+        await b.load();
+        assertEqual(b, [1, 3, 6]);
+
+        const c = gpu.asarray([1, 2, 3, 4], { shape: [2, 2] });
+        const out = gpu.Array({ shape: [2, 2] });
+        const d = gpu.cumsum(c, { axis: 0, out });
+        assertTruthy(Object.is(d, out));
+        await d.load();
+        assertAlmostEqual(d, [1, 2, 4, 6]);
+
+        const e = gpu.cumsum(gpu.Array({ shape: [0] }));
+        assertEqual(e.length, 0);
+        assertThrow(() => gpu.cumsum(c, { axis: [0, 1] }));
+    }],
+]);
+
+
+TEST("Sort", [
+    ["sort", async () => {
+        const a = gpu.asarray([3, 1, 4, 1, 5, 9, 2, 6], { shape: [2, 4] });
+        const b = gpu.sort(a);
+        const c = gpu.sort(a, { axis: 0 });
+        const d = gpu.sort(a, { axis: null, descending: true });
+        await Promise.all([b.load(), c.load(), d.load()]);
+        assertEqual(b.shape, [2, 4]);
+        assertAlmostEqual(b, [1, 1, 3, 4, 2, 5, 6, 9]);
+        assertAlmostEqual(c, [3, 1, 2, 1, 5, 9, 4, 6]);
+        assertEqual(d.shape, [8]);
+        assertAlmostEqual(d, [9, 6, 5, 4, 3, 2, 1, 1]);
+    }],
+    ["argsort (stable)", async () => {
+        const a = gpu.asarray([2, 1, 2, 1, 0], { dtype: "i32" });
+        const b = gpu.argsort(a);
+        const c = gpu.argsort(a, { descending: true });
+        await Promise.all([b.load(), c.load()]);
+        assertEqual(b.dtype, "u32");
+        assertEqual(b, [4, 1, 3, 0, 2]);
+        assertEqual(c, [0, 2, 1, 3, 4]);
+    }],
+    ["large (workgroup memory)", async () => {
+        const n = 3000;
+        const a = gpu.arange({ start: n, stop: 0, step: -1 }, { dtype: "i32" });
+        const b = gpu.argsort(a);
+        const c = gpu.sort(a);
+        await Promise.all([b.load(), c.load()]);
+        for(let i = 0; i < n; i++){
+            assertEqual(b.get_without_load(i), n - 1 - i);
+            assertEqual(c.get_without_load(i), i + 1);
+        }
+
+        const d = gpu.asarray(Array.from({ length: 2 * n }, (_, i) => (i * 7919) % 1013), { shape: [2, n] });
+        const e = gpu.sort(d, { descending: true });
+        await e.load();
+        for(let r = 0; r < 2; r++){
+            for(let i = 1; i < n; i++){
+                assertTruthy(e.get_without_load(r, i - 1) >= e.get_without_load(r, i));
+            }
+        }
+    }],
+    ["topk", async () => {
+        const a = gpu.asarray([3, 1, 4, 1, 5, 9, 2, 6], { shape: [2, 4] });
+        const { values, indices } = gpu.topk(a, 2);
+        await Promise.all([values.load(), indices.load()]);
+        assertEqual(values.shape, [2, 2]);
+        assertAlmostEqual(values, [4, 3, 9, 6]);
+        assertEqual(indices, [2, 0, 1, 3]);
+
+        const s = gpu.topk(a, 1, { axis: 0, largest: false });
+        await Promise.all([s.values.load(), s.indices.load()]);
+        assertAlmostEqual(s.values, [3, 1, 2, 1]);
+        assertEqual(s.indices, [0, 0, 1, 0]);
+
+        assertThrow(() => gpu.topk(a, 5));
+    }],
+    ["out / strided", async () => {
+        const a = gpu.asarray([3, 1, 2, 5, 4, 0]).slice("::-1");
+        const out = gpu.Array({ shape: [6] });
+        const b = gpu.sort(a, { out });
+        assertTruthy(Object.is(b, out));
+        await b.load();
+        assertAlmostEqual(b, [0, 1, 2, 3, 4, 5]);
+    }],
+]);
+
+
+TEST("Counting", [
+    ["unique", async () => {
+        const a = gpu.asarray([3, 1, 2, 3, 1, 3], { shape: [2, 3], dtype: "i32" });
+        const b = await gpu.unique(a);
+        await b.load();
+        assertEqual(b.dtype, "i32");
+        assertEqual(b, [1, 2, 3]);
+
+        const { values, inverse, counts } = await gpu.unique(a, {
+            return_inverse: true, return_counts: true,
+        });
+        await Promise.all([values.load(), inverse.load(), counts.load()]);
+        assertEqual(values, [1, 2, 3]);
+        assertEqual(inverse.shape, [2, 3]);
+        assertEqual(inverse, [2, 0, 1, 2, 0, 2]);
+        assertEqual(counts, [2, 1, 3]);
+
+        const c = await gpu.unique(gpu.Array({ shape: [0] }));
+        assertEqual(c.length, 0);
+    }],
+    ["unique (large)", async () => {
+        const a = gpu.asarray(Array.from({ length: 5000 }, (_, i) => (i * 37) % 100));
+        const { values, counts } = await gpu.unique(a, { return_counts: true });
+        await Promise.all([values.load(), counts.load()]);
+        assertEqual(values.length, 100);
+        assertAlmostEqual(values, Array.from({ length: 100 }, (_, i) => i));
+        assertEqual(counts, Array.from({ length: 100 }, () => 50));
+    }],
+    ["bincount", async () => {
+        const a = gpu.asarray([0, 1, 1, 3, 1], { dtype: "u32" });
+        const b = await gpu.bincount(a);
+        await b.load();
+        assertEqual(b.dtype, "u32");
+        assertEqual(b, [1, 3, 0, 1]);
+
+        const w = gpu.asarray([0.5, 1, 1, 2, 0.25]);
+        const c = await gpu.bincount(a, { weights: w, minlength: 6 });
+        await c.load();
+        assertEqual(c.dtype, "f32");
+        assertAlmostEqual(c, [0.5, 2.25, 0, 2, 0, 0]);
+
+        await assertThrowAsync(() => gpu.bincount(gpu.asarray([1, -1], { dtype: "i32" })));
+        await assertThrowAsync(() => gpu.bincount(gpu.asarray([1.5])));
+    }],
+    ["histogram", async () => {
+        const a = gpu.asarray([0, 0.5, 1, 1.5, 2, 2, 4]);
+        const { hist, bin_edges } = await gpu.histogram(a, { bins: 4 });
+        await Promise.all([hist.load(), bin_edges.load()]);
+        assertEqual(hist, [2, 2, 2, 1]);
+        assertAlmostEqual(bin_edges, [0, 1, 2, 3, 4]);
+
+        const r = await gpu.histogram(a, { bins: 2, range: [0, 2] });
+        await r.hist.load();
+        assertEqual(r.hist, [2, 4]);
+
+        const e = await gpu.histogram(a.slice("::2"), { bins: [0, 1, 3] });
+        await e.hist.load();
+        assertEqual(e.hist, [1, 2]);
+
+        await assertThrowAsync(() => gpu.histogram(a, { bins: [1, 0] }));
+    }],
+    ["histogram of PRNG", async () => {
+        const prng = gpu.Xoshiro128pp({ size: 20000, seed: 1 });
+        const a = prng.next("f32");
+        const { hist } = await gpu.histogram(a, { bins: 4, range: [0, 1] });
+        await hist.load();
+        for(const h of hist){
+            assertTruthy(Math.abs(h - 5000) < 500);
+        }
+    }],
+]);
+
+
+TEST("linalg", [
+    ["solve / inv", async () => {
+        const a = gpu.asarray([2, 1, 1, 1, 3, 2, 1, 0, 0], { shape: [3, 3] });
+        const b = gpu.asarray([4, 5, 6]);
+        const x = gpu.linalg.solve(a, b);
+        await x.load();
+        assertEqual(x.shape, [3]);
+        assertAlmostEqual(x, [6, 15, -23], { rtol: 1e-4, atol: 1e-4 });
+
+        const ai = gpu.linalg.inv(a);
+        const e = gpu.matmul(a, ai);
+        await e.load();
+        assertAlmostEqual(e, [1, 0, 0, 0, 1, 0, 0, 0, 1], { atol: 1e-5 });
+    }],
+    ["batched solve", async () => {
+        // Diagonal systems broadcasted to rhs batch
+        const a = gpu.asarray([2, 0, 0, 4, 1, 2, 3, 4], { shape: [2, 2, 2] });
+        const b = gpu.asarray([2, 4, 1, 1, 5, 11], { shape: [3, 1, 2, 1] });
+        const x = gpu.linalg.solve(a, b);
+        await x.load();
+        assertEqual(x.shape, [3, 2, 2, 1]);
+        assertAlmostEqual(x.slice(0, 0), [1, 1], { atol: 1e-5 });
+        assertAlmostEqual(x.slice(2, 1), [1, 2], { atol: 1e-5 });
+
+        assertThrow(() => gpu.linalg.solve(gpu.ones({ shape: [2, 3] }), b));
+    }],
+    ["det / slogdet", async () => {
+        const a = gpu.asarray([1, 2, 3, 4, 0, 1, 2, 3, 1, 0, 0, 2], { shape: [3, 2, 2] });
+        const d = gpu.linalg.det(a);
+        const { sign, logabsdet } = gpu.linalg.slogdet(a);
+        await Promise.all([d.load(), sign.load(), logabsdet.load()]);
+        assertEqual(d.shape, [3]);
+        assertAlmostEqual(d, [-2, -2, 2], { rtol: 1e-5 });
+        assertAlmostEqual(sign, [-1, -1, 1]);
+        assertAlmostEqual(logabsdet, [Math.log(2), Math.log(2), Math.log(2)], { rtol: 1e-5 });
+
+        const s = gpu.linalg.det(gpu.asarray([1, 2, 2, 4], { shape: [2, 2] }));
+        await s.load();
+        assertAlmostEqual(s, [0]);
+    }],
+    ["lu", async () => {
+        const a = gpu.asarray([1, 2, 0, 3, 4, 1, 0, 5, 6], { shape: [3, 3] });
+        const { P, L, U } = gpu.linalg.lu(a);
+        const r = gpu.matmul(P, gpu.matmul(L, U));
+        await Promise.all([r.load(), L.load(), U.load()]);
+        assertAlmostEqual(r, a, { atol: 1e-5 });
+        assertAlmostEqual(L.diagonal(), [1, 1, 1]);
+        assertEqual(L.get_without_load(0, 1), 0);
+        assertEqual(U.get_without_load(2, 0), 0);
+    }],
+    ["cholesky", async () => {
+        const a = gpu.asarray([4, 2, 2, 2, 5, 3, 2, 3, 6], { shape: [3, 3] });
+        const L = gpu.linalg.cholesky(a);
+        const r = gpu.matmul(L, L.T);
+        await Promise.all([r.load(), L.load()]);
+        assertAlmostEqual(r, a, { rtol: 1e-5 });
+        assertAlmostEqual(L.slice(0), [2, 0, 0]);
+    }],
+    ["qr", async () => {
+        const a = gpu.asarray([1, 2, 3, 4, 5, 6, 7, 8, 10, 1, 0, 1], { shape: [4, 3] });
+        const { Q, R } = gpu.linalg.qr(a);
+        assertEqual(Q.shape, [4, 3]);
+        assertEqual(R.shape, [3, 3]);
+        const r = gpu.matmul(Q, R);
+        const e = gpu.matmul(Q.T, Q);
+        await Promise.all([r.load(), e.load(), R.load()]);
+        assertAlmostEqual(r, a, { rtol: 1e-4, atol: 1e-4 });
+        assertAlmostEqual(e, [1, 0, 0, 0, 1, 0, 0, 0, 1], { atol: 1e-5 });
+        assertAlmostEqual(R.get_without_load(2, 0), 0);
+
+        const c = gpu.linalg.qr(a.T, { mode: "complete" });
+        assertEqual(c.Q.shape, [3, 3]);
+        assertEqual(c.R.shape, [3, 4]);
+        const rc = gpu.matmul(c.Q, c.R);
+        await rc.load();
+        assertAlmostEqual(rc, a.T, { rtol: 1e-4, atol: 1e-4 });
+
+        assertEqual(gpu.linalg.qr(a, { mode: "r" }).shape, [3, 3]);
+    }],
+    ["lstsq", async () => {
+        // y = 1 + 2 x
+        const a = gpu.asarray([1, 0, 1, 1, 1, 2, 1, 3], { shape: [4, 2] });
+        const b = gpu.asarray([1.1, 2.9, 5.1, 6.9]);
+        const x = gpu.linalg.lstsq(a, b);
+        await x.load();
+        assertEqual(x.shape, [2]);
+        assertAlmostEqual(x, [1.06, 1.96], { rtol: 1e-4 });
+
+        assertThrow(() => gpu.linalg.lstsq(a.T, b));
+    }],
+    ["blocked decompositions of large matrices", async () => {
+        // 100 = 3 * 32 + 4: multiple panels and a narrower last panel
+        const N = 100;
+        const x = gpu.Xoshiro128pp({ size: 2 * N * N, seed: 3 }).next("f32").reshape([2, N, N]);
+
+        const { P, L, U } = gpu.linalg.lu(x);
+        const lu = gpu.matmul(P, gpu.matmul(L, U));
+        await Promise.all([lu.load(), x.load(), L.load(), U.load()]);
+        assertAlmostEqual(lu, x, { atol: 1e-4 });
+        assertEqual(L.get_without_load(1, 40, 70), 0);
+        assertEqual(U.get_without_load(1, 70, 40), 0);
+
+        const a = gpu.matmul(x, x.swapaxes(-1, -2));
+        gpu.add(a.diagonal(), N, a.diagonal());
+        const C = gpu.linalg.cholesky(a);
+        const cc = gpu.matmul(C, C.swapaxes(-1, -2));
+        await Promise.all([cc.load(), a.load(), C.load()]);
+        assertAlmostEqual(cc, a, { rtol: 1e-4, atol: 1e-3 });
+        assertEqual(C.get_without_load(0, 40, 70), 0);
+        assertEqual(C.get_without_load(1, 0, N - 1), 0);
+
+        const m = x.slice(null, null, ":70");
+        const { Q, R } = gpu.linalg.qr(m);
+        assertEqual(Q.shape, [2, N, 70]);
+        const qr = gpu.matmul(Q, R);
+        const e = gpu.matmul(Q.swapaxes(-1, -2), Q);
+        await Promise.all([qr.load(), m.load(), e.load(), R.load()]);
+        assertAlmostEqual(qr, m, { atol: 1e-4 });
+        assertAlmostEqual(e.diagonal(), Array(2 * 70).fill(1), { atol: 1e-4 });
+        assertAlmostEqual(e.get_without_load(1, 10, 60), 0, { atol: 1e-4 });
+        assertEqual(R.get_without_load(0, 50, 10), 0);
+
+        const c = gpu.linalg.qr(m.swapaxes(-1, -2), { mode: "complete" });
+        assertEqual(c.Q.shape, [2, 70, 70]);
+        assertEqual(c.R.shape, [2, 70, N]);
+        const qrc = gpu.matmul(c.Q, c.R);
+        await qrc.load();
+        assertAlmostEqual(qrc, m.swapaxes(-1, -2), { atol: 1e-4 });
+    }],
+    ["batched (many small systems)", async () => {
+        const n = 1000;
+        const values = [];
+        for(let i = 0; i < n; i++){
+            values.push(i + 2, 1, 1, 2);
+        }
+        const a = gpu.asarray(values, { shape: [n, 2, 2] });
+        const d = gpu.linalg.det(a);
+        await d.load();
+        for(const i of [0, 500, n - 1]){
+            assertAlmostEqual(d.get_without_load(i), 2 * (i + 2) - 1);
+        }
+    }],
+]);
+
+
+TEST("linalg: eigh / svd", [
+    ["eigh", async () => {
+        const a = gpu.asarray([2, 1, 0, 1, 2, 0, 0, 0, 5], { shape: [3, 3] });
+        const { eigenvalues, eigenvectors } = gpu.linalg.eigh(a);
+        await eigenvalues.load();
+        assertAlmostEqual(eigenvalues, [1, 3, 5], { rtol: 1e-5, atol: 1e-5 });
+
+        // A V = V diag(w)
+        const av = gpu.matmul(a, eigenvectors);
+        const vw = gpu.mul(eigenvectors, eigenvalues.expand_dims(0));
+        const e = gpu.matmul(eigenvectors.T, eigenvectors);
+        await Promise.all([av.load(), vw.load(), e.load()]);
+        assertAlmostEqual(av, vw, { atol: 1e-5 });
+        assertAlmostEqual(e, [1, 0, 0, 0, 1, 0, 0, 0, 1], { atol: 1e-5 });
+    }],
+    ["eigh (batched, lower triangle)", async () => {
+        const n = 17;
+        const values = [];
+        for(let i = 0; i < n; i++){
+            for(let j = 0; j < n; j++){
+                // Upper triangle is ignored.
+                values.push((j > i) ? 100 : Math.cos(i + 2 * j) + ((i === j) ? i : 0));
+            }
+        }
+        const a = gpu.asarray([...values, ...values.map(x => 2 * x)], { shape: [2, n, n] });
+        const { eigenvalues, eigenvectors } = gpu.linalg.eigh(a);
+        assertEqual(eigenvalues.shape, [2, n]);
+
+        // V diag(w) V^T reconstructs symmetric A
+        const vw = gpu.mul(eigenvectors, eigenvalues.expand_dims(-2));
+        const r = gpu.matmul(vw, eigenvectors.swapaxes(-1, -2));
+        await Promise.all([r.load(), eigenvalues.load()]);
+        for(let i = 0; i < n; i++){
+            for(let j = 0; j <= i; j++){
+                assertAlmostEqual(r.get_without_load(0, i, j), values[i * n + j], { atol: 1e-4 });
+                assertAlmostEqual(r.get_without_load(0, j, i), values[i * n + j], { atol: 1e-4 });
+            }
+        }
+        for(let i = 1; i < n; i++){
+            assertTruthy(eigenvalues.get_without_load(1, i - 1) <= eigenvalues.get_without_load(1, i));
+        }
+    }],
+    ["svd", async () => {
+        const a = gpu.asarray([3, 2, 2, 2, 3, -2], { shape: [2, 3] });
+        const { U, S, Vh } = gpu.linalg.svd(a);
+        assertEqual(U.shape, [2, 2]);
+        assertEqual(S.shape, [2]);
+        assertEqual(Vh.shape, [3, 3]);
+        await S.load();
+        assertAlmostEqual(S, [5, 3], { rtol: 1e-5 });
+
+        const us = gpu.mul(U, S.expand_dims(0));
+        const r = gpu.matmul(us, Vh.slice(":2"));
+        const e = gpu.matmul(Vh, Vh.T);
+        await Promise.all([r.load(), e.load()]);
+        assertAlmostEqual(r, a, { atol: 1e-5 });
+        assertAlmostEqual(e, [1, 0, 0, 0, 1, 0, 0, 0, 1], { atol: 1e-5 });
+    }],
+    ["svd (reduced, rank deficient)", async () => {
+        const a = gpu.asarray([1, 2, 2, 4, 3, 6, 4, 8], { shape: [4, 2] });
+        const { U, S, Vh } = gpu.linalg.svd(a, { full_matrices: false });
+        assertEqual(U.shape, [4, 2]);
+        assertEqual(Vh.shape, [2, 2]);
+        await S.load();
+        assertAlmostEqual(S, [Math.sqrt(150), 0], { rtol: 1e-5, atol: 1e-5 });
+
+        const e = gpu.matmul(U.T, U);
+        const r = gpu.matmul(gpu.mul(U, S.expand_dims(0)), Vh);
+        await Promise.all([e.load(), r.load()]);
+        assertAlmostEqual(e, [1, 0, 0, 1], { atol: 1e-5 });
+        assertAlmostEqual(r, a, { atol: 1e-4 });
+
+        const f = gpu.linalg.svd(a);
+        assertEqual(f.U.shape, [4, 4]);
+        const g = gpu.matmul(f.U.T, f.U);
+        await g.load();
+        assertAlmostEqual(g, [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1], { atol: 1e-5 });
+    }],
+]);
+
+
+// Naive DFT of interleaved complex values
+const dft = (x, inverse) => {
+    const n = x.length / 2;
+    const sign = inverse ? 1 : -1;
+    const y = [];
+    for(let k = 0; k < n; k++){
+        let re = 0, im = 0;
+        for(let j = 0; j < n; j++){
+            const t = sign * 2 * Math.PI * ((j * k) % n) / n;
+            re += x[2 * j] * Math.cos(t) - x[2 * j + 1] * Math.sin(t);
+            im += x[2 * j] * Math.sin(t) + x[2 * j + 1] * Math.cos(t);
+        }
+        y.push(re, im);
+    }
+    return y;
+};
+
+// Complex signal of length n
+const signal = (n) => Array.from({ length: 2 * n }, (_, i) => Math.cos(0.7 * i) + 0.1 * i);
+
+
+TEST("fft", [
+    ...[1, 2, 8, 64, 3, 5, 12, 100].map(n => [`fft (n=${n})`, async () => {
+        const x = signal(n);
+        const y = gpu.fft.fft(gpu.asarray(x, { shape: [n, 2] }));
+        assertEqual(y.shape, [n, 2]);
+        await y.load();
+        assertAlmostEqual(y, dft(x, false), { atol: 1e-3 * n });
+    }]),
+    ["ifft (norm)", async () => {
+        const n = 6;
+        const x = signal(n);
+        const a = gpu.asarray(x, { shape: [n, 2] });
+        const y = gpu.fft.ifft(a);
+        const o = gpu.fft.fft(a, { norm: "ortho" });
+        const f = gpu.fft.fft(a, { norm: "forward" });
+        const r = gpu.fft.ifft(gpu.fft.fft(a));
+        await Promise.all([y.load(), o.load(), f.load(), r.load()]);
+        assertAlmostEqual(y, dft(x, true).map(v => v / n), { atol: 1e-4 });
+        assertAlmostEqual(o, dft(x, false).map(v => v / Math.sqrt(n)), { atol: 1e-4 });
+        assertAlmostEqual(f, dft(x, false).map(v => v / n), { atol: 1e-4 });
+        assertAlmostEqual(r, x, { atol: 1e-4 });
+        assertThrow(() => gpu.fft.fft(a, { norm: "none" }));
+    }],
+    ["axis / n", async () => {
+        // [2, 3] complex, transformed along axis 0
+        const x = signal(6);
+        const a = gpu.asarray(x, { shape: [2, 3, 2] });
+        const y = gpu.fft.fft(a, { axis: 0 });
+        const p = gpu.fft.fft(a, { n: 5 });
+        const c = gpu.fft.fft(a, { n: 2 });
+        assertEqual(y.shape, [2, 3, 2]);
+        assertEqual(p.shape, [2, 5, 2]);
+        await Promise.all([y.load(), p.load(), c.load()]);
+        for(let j = 0; j < 3; j++){
+            const col = dft([x[2 * j], x[2 * j + 1], x[6 + 2 * j], x[7 + 2 * j]], false);
+            assertAlmostEqual(y.get_without_load(0, j, 0), col[0], { atol: 1e-4 });
+            assertAlmostEqual(y.get_without_load(1, j, 1), col[3], { atol: 1e-4 });
+        }
+        assertAlmostEqual(p.slice(1), dft([...x.slice(6), 0, 0, 0, 0], false), { atol: 1e-4 });
+        assertAlmostEqual(c.slice(0), dft(x.slice(0, 4), false), { atol: 1e-4 });
+        assertThrow(() => gpu.fft.fft(gpu.ones({ shape: [4, 3] })));
+    }],
+    ["rfft / irfft", async () => {
+        for(const n of [8, 7]){
+            const x = Array.from({ length: n }, (_, i) => Math.sin(i) + i);
+            const a = gpu.asarray(x);
+            const y = gpu.fft.rfft(a);
+            const m = Math.floor(n / 2) + 1;
+            assertEqual(y.shape, [m, 2]);
+            const r = gpu.fft.irfft(y, { n });
+            assertEqual(r.shape, [n]);
+            await Promise.all([y.load(), r.load()]);
+            const e = dft(x.flatMap(v => [v, 0]), false).slice(0, 2 * m);
+            assertAlmostEqual(y, e, { atol: 1e-4 });
+            assertAlmostEqual(r, x, { atol: 1e-4 });
+        }
+        const d = gpu.fft.irfft(gpu.fft.rfft(gpu.arange({ stop: 6 })));
+        assertEqual(d.shape, [6]);
+        await d.load();
+        assertAlmostEqual(d, [0, 1, 2, 3, 4, 5], { atol: 1e-4 });
+    }],
+    ["fft2 / fftn", async () => {
+        // 2D DFT of [3, 4] complex via row and column DFTs
+        const x = signal(12);
+        const a = gpu.asarray(x, { shape: [3, 4, 2] });
+        const y = gpu.fft.fft2(a);
+        const z = gpu.fft.fftn(a);
+        const r = gpu.fft.ifftn(y);
+        await Promise.all([y.load(), z.load(), r.load()]);
+
+        const rows = [0, 1, 2].map(i => dft(x.slice(8 * i, 8 * i + 8), false));
+        for(let j = 0; j < 4; j++){
+            const col = dft(rows.flatMap(row => [row[2 * j], row[2 * j + 1]]), false);
+            for(let i = 0; i < 3; i++){
+                assertAlmostEqual(y.get_without_load(i, j, 0), col[2 * i], { atol: 1e-4 });
+                assertAlmostEqual(y.get_without_load(i, j, 1), col[2 * i + 1], { atol: 1e-4 });
+            }
+        }
+        assertAlmostEqual(z, y, { atol: 1e-4 });
+        assertAlmostEqual(r, x, { atol: 1e-4 });
+    }],
+    ["complex / real / imag", async () => {
+        const c = gpu.fft.complex(gpu.asarray([1, 2, 3]), gpu.asarray([4, 5, 6]));
+        assertEqual(c.shape, [3, 2]);
+        const re = gpu.fft.real(c);
+        const im = gpu.fft.imag(c);
+        await c.load();
+        assertAlmostEqual(c, [1, 4, 2, 5, 3, 6]);
+        assertAlmostEqual(re, [1, 2, 3]);
+        assertAlmostEqual(im, [4, 5, 6]);
+    }],
+]);
+
+
+// Interleaved (real, imaginary) values of "c64" array
+const pairs = (a) => Array.from(a, z => [z.re, z.im]).flat();
+
+
+TEST("c64", [
+    ["asarray / get / set", async () => {
+        const a = gpu.asarray([{ re: 1, im: 2 }, { re: 3, im: -1 }]);
+        assertEqual(a.dtype, "c64");
+        assertEqual(a.itemsize, 8);
+        const z = await a.get(1);
+        assertEqual([z.re, z.im], [3, -1]);
+
+        a.set(5, 0);
+        assertEqual(pairs([a.get_without_load(0)]), [5, 0]);
+
+        const b = gpu.full({ re: 0, im: 1 }, { shape: [2, 2], dtype: "c64" });
+        b.set([{ re: 2, im: 2 }, 3], 1);
+        const c = gpu.copy(b);
+        await c.load();
+        assertEqual(pairs(c), [0, 1, 0, 1, 2, 2, 3, 0]);
+        assertEqual(pairs(c.get_without_load(1)), [2, 2, 3, 0]);
+    }],
+    ["add / sub / mul / div", async () => {
+        const a = gpu.asarray([{ re: 1, im: 2 }, { re: 3, im: -1 }]);
+        const b = gpu.asarray([{ re: 2, im: -1 }, { re: 0, im: 1 }]);
+        const add = gpu.add(a, b);
+        const sub = gpu.sub(a, b);
+        const mul = gpu.mul(a, b);
+        const div = gpu.div(a, b);
+        await Promise.all([add.load(), sub.load(), mul.load(), div.load()]);
+        assertAlmostEqual(pairs(add), [3, 1, 3, 0]);
+        assertAlmostEqual(pairs(sub), [-1, 3, 3, -2]);
+        assertAlmostEqual(pairs(mul), [4, 3, 1, 3]);
+        assertAlmostEqual(pairs(div), [0, 1, -1, -3]);
+    }],
+    ["Type Promotion / Scalar", async () => {
+        const a = gpu.asarray([{ re: 1, im: 2 }, { re: 3, im: -1 }]);
+        const r = gpu.asarray([2, 4], { dtype: "i32" });
+        const m = gpu.mul(a, r);
+        const s = gpu.sub(1, a);
+        const c = gpu.mul(a, { re: 0, im: 1 });
+        assertEqual(m.dtype, "c64");
+        assertEqual(s.dtype, "c64");
+        assertEqual(c.shape, [2]);
+        await Promise.all([m.load(), s.load(), c.load()]);
+        assertAlmostEqual(pairs(m), [2, 4, 12, -4]);
+        assertAlmostEqual(pairs(s), [0, -2, -2, 1]);
+        assertAlmostEqual(pairs(c), [-2, 1, 1, 3]);
+        assertThrow(() => gpu.add(a, r, gpu.Array({ shape: [2], dtype: "f32" })));
+    }],
+    ["Broadcast / Strided", async () => {
+        const a = gpu.asarray([1, 2, 3, 4, 5, 6].map(v => ({ re: v, im: -v })), { shape: [2, 3] });
+        const b = gpu.asarray([{ re: 0, im: 1 }, { re: 1, im: 0 }]);
+        const c = gpu.mul(a.T, b);
+        assertEqual(c.shape, [3, 2]);
+        await c.load();
+        assertAlmostEqual(pairs(c), [1, 1, 4, -4, 2, 2, 5, -5, 3, 3, 6, -6]);
+    }],
+    ["real / imag / conj / abs / angle / exp", async () => {
+        const a = gpu.asarray([{ re: 3, im: 4 }, { re: -1, im: 0 }, { re: 0, im: Math.PI }]);
+        const re = gpu.real(a);
+        const im = gpu.imag(a);
+        const conj = gpu.conj(a);
+        const abs = gpu.abs(a);
+        const angle = gpu.angle(a);
+        const exp = gpu.exp(a);
+        assertEqual(re.dtype, "f32");
+        assertEqual(abs.dtype, "f32");
+        assertEqual(conj.dtype, "c64");
+        await Promise.all([re.load(), im.load(), conj.load(), abs.load(), angle.load(), exp.load()]);
+        assertAlmostEqual(re, [3, -1, 0]);
+        assertAlmostEqual(im, [4, 0, Math.PI]);
+        assertAlmostEqual(pairs(conj), [3, -4, -1, 0, 0, -Math.PI]);
+        assertAlmostEqual(abs, [5, 1, Math.PI]);
+        assertAlmostEqual(angle, [Math.atan2(4, 3), Math.PI, Math.PI / 2]);
+        assertAlmostEqual(pairs(exp), [
+            Math.exp(3) * Math.cos(4), Math.exp(3) * Math.sin(4),
+            Math.exp(-1), 0,
+            -1, 0,
+        ], { atol: 1e-4, rtol: 1e-4 });
+    }],
+    ["Real argument", async () => {
+        const a = gpu.asarray([-2, 3], { dtype: "i32" });
+        const re = gpu.real(a);
+        const im = gpu.imag(a);
+        const conj = gpu.conj(a);
+        const angle = gpu.angle(a);
+        assertEqual(re.dtype, "i32");
+        assertEqual(angle.dtype, "f32");
+        await Promise.all([re.load(), im.load(), conj.load(), angle.load()]);
+        assertEqual(Array.from(re), [-2, 3]);
+        assertEqual(Array.from(im), [0, 0]);
+        assertEqual(Array.from(conj), [-2, 3]);
+        assertAlmostEqual(angle, [Math.PI, 0]);
+
+        const h = gpu.angle(gpu.asarray([-2, 3], { dtype: "f16" }));
+        assertEqual(h.dtype, "f16");
+        await h.load();
+        assertAlmostEqual(h, [Math.PI, 0], { rtol: 1e-3 });
+    }],
+    ["astype", async () => {
+        const a = gpu.asarray([{ re: 1.5, im: 2 }, { re: -3, im: 1 }]);
+        const f = a.astype("f32");
+        const c = gpu.asarray([1, 2], { dtype: "u32" }).astype("c64");
+        await Promise.all([f.load(), c.load()]);
+        assertAlmostEqual(f, [1.5, -3]);
+        assertAlmostEqual(pairs(c), [1, 0, 2, 0]);
+        assertThrow(() => a.astype("f32", { casting: "same_kind" }));
+        assertTruthy(a.astype("c64", { casting: "safe", copy: false }) === a);
+    }],
+    ["Not Supported", async () => {
+        const a = gpu.asarray([{ re: 1, im: 2 }]);
+        assertThrow(() => gpu.sin(a));
+        assertThrow(() => gpu.lt(a, a));
+        assertThrow(() => gpu.sum(a));
+        assertThrow(() => gpu.matmul(a, a));
+        assertThrow(() => gpu.pow(a, 2));
+    }],
+    ["fft", async () => {
+        const x = [1, 2, 0, -1, 3, 0.5];
+        const a = gpu.asarray(x.map((v, i) => ({ re: v, im: i })));
+        const y = gpu.fft.fft(a);
+        const e = gpu.fft.fft(gpu.asarray(x.flatMap((v, i) => [v, i]), { shape: [6, 2] }));
+        const r = gpu.fft.ifft(y);
+        assertEqual(y.dtype, "c64");
+        assertEqual(y.shape, [6]);
+        await Promise.all([y.load(), e.load(), r.load()]);
+        assertAlmostEqual(pairs(y), e, { atol: 1e-5 });
+        assertAlmostEqual(pairs(r), x.flatMap((v, i) => [v, i]), { atol: 1e-5 });
+    }],
+]);
+
+
+// Naive 2D convolution (NCHW). transpose scatters inputs instead of gathering.
+const conv2dRef = (x, [N, C, H, W], w, [W0, W1, KH, KW], options) => {
+    const { transpose = false, bias, groups = 1 } = options ?? {};
+    const [sy, sx] = options?.stride ?? [1, 1];
+    const [py, px] = options?.padding ?? [0, 0];
+    const [dy, dx] = options?.dilation ?? [1, 1];
+    const [oy_, ox_] = options?.output_padding ?? [0, 0];
+    const CG = C / groups;
+    const OCG = transpose ? W1 : W0 / groups;
+    const OC = OCG * groups;
+    const OH = transpose ?
+          (H - 1) * sy - 2 * py + dy * (KH - 1) + oy_ + 1 :
+          Math.floor((H + 2 * py - dy * (KH - 1) - 1) / sy) + 1;
+    const OW = transpose ?
+          (W - 1) * sx - 2 * px + dx * (KW - 1) + ox_ + 1 :
+          Math.floor((W + 2 * px - dx * (KW - 1) - 1) / sx) + 1;
+
+    const out = new Array(N * OC * OH * OW).fill(0);
+    const at = (n, c, y, x) => ((n * OC + c) * OH + y) * OW + x;
+    for(let n = 0; n < N; n++){
+        for(let g = 0; g < groups; g++){
+            for(let ci = 0; ci < CG; ci++){
+                for(let co = 0; co < OCG; co++){
+                    for(let ky = 0; ky < KH; ky++){
+                        for(let kx = 0; kx < KW; kx++){
+                            const c = g * CG + ci;
+                            const o = g * OCG + co;
+                            const wv = transpose ?
+                                  w[((c * OCG + co) * KH + ky) * KW + kx] :
+                                  w[((o * CG + ci) * KH + ky) * KW + kx];
+                            for(let a = 0; a < (transpose ? H : OH); a++){
+                                for(let b = 0; b < (transpose ? W : OW); b++){
+                                    const y = transpose ? a * sy - py + ky * dy : a * sy - py + ky * dy;
+                                    const xx = transpose ? b * sx - px + kx * dx : b * sx - px + kx * dx;
+                                    if(transpose){
+                                        if((y < 0) || (y >= OH) || (xx < 0) || (xx >= OW)){ continue; }
+                                        out[at(n, o, y, xx)] += x[((n * C + c) * H + a) * W + b] * wv;
+                                    } else {
+                                        if((y < 0) || (y >= H) || (xx < 0) || (xx >= W)){ continue; }
+                                        out[at(n, o, a, b)] += x[((n * C + c) * H + y) * W + xx] * wv;
+                                    }
+                                }
+                            }
+                        }
+                    }
+                }
+            }
+        }
+    }
+    if(bias !== undefined){
+        out.forEach((_, i) => { out[i] += bias[Math.floor(i / (OH * OW)) % OC]; });
+    }
+    return { out, shape: [N, OC, OH, OW] };
+};
+
+const pool2dRef = (x, [N, C, H, W], [KH, KW], options) => {
+    const { average = false, count_include_pad = true } = options ?? {};
+    const [sy, sx] = options?.stride ?? [KH, KW];
+    const [py, px] = options?.padding ?? [0, 0];
+    const [dy, dx] = options?.dilation ?? [1, 1];
+    const OH = Math.floor((H + 2 * py - dy * (KH - 1) - 1) / sy) + 1;
+    const OW = Math.floor((W + 2 * px - dx * (KW - 1) - 1) / sx) + 1;
+
+    const out = [];
+    for(let nc = 0; nc < N * C; nc++){
+        for(let a = 0; a < OH; a++){
+            for(let b = 0; b < OW; b++){
+                const v = [];
+                for(let ky = 0; ky < KH; ky++){
+                    for(let kx = 0; kx < KW; kx++){
+                        const y = a * sy - py + ky * dy;
+                        const xx = b * sx - px + kx * dx;
+                        if((y < 0) || (y >= H) || (xx < 0) || (xx >= W)){ continue; }
+                        v.push(x[(nc * H + y) * W + xx]);
+                    }
+                }
+                out.push(average ?
+                         v.reduce((s, vi) => s + vi, 0) / (count_include_pad ? KH * KW : v.length) :
+                         Math.max(...v));
+            }
+        }
+    }
+    return { out, shape: [N, C, OH, OW] };
+};
+
+// Deterministic values in [-1, 1)
+const values = (n, seed) => Array.from({ length: n }, (_, i) => ((i * 37 + seed * 11) % 23) / 11.5 - 1);
+
+
+TEST("Convolution", [
+    ["conv2d", async () => {
+        const x = values(2 * 3 * 7 * 6, 1);
+        const w = values(4 * 3 * 3 * 2, 2);
+        const bias = [0.5, -1, 0, 2];
+        const options = { stride: [2, 1], padding: [1, 2], dilation: [1, 2] };
+        const e = conv2dRef(x, [2, 3, 7, 6], w, [4, 3, 3, 2], { ...options, bias });
+
+        const y = gpu.conv2d(
+            gpu.asarray(x, { shape: [2, 3, 7, 6] }),
+            gpu.asarray(w, { shape: [4, 3, 3, 2] }),
+            { ...options, bias: gpu.asarray(bias) },
+        );
+        assertEqual(y.shape, e.shape);
+        await y.load();
+        assertAlmostEqual(y, e.out, { atol: 1e-4 });
+    }],
+    ["conv2d (groups / NHWC)", async () => {
+        const x = values(1 * 4 * 5 * 5, 3);
+        const w = values(6 * 2 * 3 * 3, 4);
+        const e = conv2dRef(x, [1, 4, 5, 5], w, [6, 2, 3, 3], { groups: 2, padding: [1, 1] });
+
+        const a = gpu.asarray(x, { shape: [1, 4, 5, 5] });
+        const weight = gpu.asarray(w, { shape: [6, 2, 3, 3] });
+        const y = gpu.conv2d(a, weight, { groups: 2, padding: 1 });
+        const nhwc = gpu.conv2d(gpu.copy(a.moveaxis(1, -1)), weight,
+                                { groups: 2, padding: 1, data_format: "NHWC" });
+        assertEqual(nhwc.shape, [1, 5, 5, 6]);
+        const t = gpu.copy(nhwc.moveaxis(-1, 1));
+        await Promise.all([y.load(), t.load()]);
+        assertAlmostEqual(y, e.out, { atol: 1e-4 });
+        assertAlmostEqual(t, e.out, { atol: 1e-4 });
+
+        assertThrow(() => gpu.conv2d(a, weight, { groups: 3 }));
+        assertThrow(() => gpu.conv2d(a, weight));
+        assertThrow(() => gpu.conv2d(a, weight, { groups: 2, data_format: "CHWN" }));
+    }],
+    ["conv2d (many channels)", async () => {
+        // K = C * KH * KW and OC exceed a tile.
+        const x = values(2 * 20 * 4 * 4, 5);
+        const w = values(18 * 20 * 2 * 2, 6);
+        const e = conv2dRef(x, [2, 20, 4, 4], w, [18, 20, 2, 2]);
+        const y = gpu.conv2d(gpu.asarray(x, { shape: [2, 20, 4, 4] }),
+                             gpu.asarray(w, { shape: [18, 20, 2, 2] }));
+        await y.load();
+        assertAlmostEqual(y, e.out, { atol: 1e-3 });
+    }],
+    ["conv1d", async () => {
+        const x = values(2 * 3 * 9, 7);
+        const w = values(2 * 3 * 3, 8);
+        const e = conv2dRef(x, [2, 3, 1, 9], w, [2, 3, 1, 3],
+                            { stride: [1, 2], padding: [0, 1], bias: [1, -1] });
+        const a = gpu.asarray(x, { shape: [2, 3, 9] });
+        const weight = gpu.asarray(w, { shape: [2, 3, 3] });
+        const options = { stride: 2, padding: 1, bias: gpu.asarray([1, -1]) };
+        const y = gpu.conv1d(a, weight, options);
+        const nlc = gpu.conv1d(gpu.copy(a.swapaxes(1, 2)), weight, { ...options, data_format: "NLC" });
+        assertEqual(y.shape, [2, 2, 5]);
+        assertEqual(nlc.shape, [2, 5, 2]);
+        const t = gpu.copy(nlc.swapaxes(1, 2));
+        await Promise.all([y.load(), t.load()]);
+        assertAlmostEqual(y, e.out, { atol: 1e-4 });
+        assertAlmostEqual(t, e.out, { atol: 1e-4 });
+    }],
+    ["conv_transpose2d", async () => {
+        const x = values(2 * 4 * 3 * 4, 9);
+        const w = values(4 * 3 * 3 * 2, 10);
+        const options = { stride: [2, 3], padding: [1, 0], output_padding: [1, 2], groups: 2 };
+        const e = conv2dRef(x, [2, 4, 3, 4], w, [4, 3, 3, 2], { ...options, transpose: true });
+
+        const y = gpu.conv_transpose2d(
+            gpu.asarray(x, { shape: [2, 4, 3, 4] }),
+            gpu.asarray(w, { shape: [4, 3, 3, 2] }),
+            options,
+        );
+        assertEqual(y.shape, e.shape);
+        await y.load();
+        assertAlmostEqual(y, e.out, { atol: 1e-4 });
+
+        assertThrow(() => gpu.conv_transpose2d(
+            gpu.asarray(x, { shape: [2, 4, 3, 4] }),
+            gpu.asarray(w, { shape: [4, 3, 3, 2] }),
+            { output_padding: 1 },
+        ));
+    }],
+    ["max_pool2d / avg_pool2d", async () => {
+        // [1, 1, 4, 5]
+        const a = gpu.arange({ stop: 20 }, { dtype: "f32" }).reshape([1, 1, 4, 5]);
+        const m = gpu.max_pool2d(a, { kernel_size: 2 });
+        const p = gpu.max_pool2d(a, { kernel_size: 3, stride: 2, padding: 1 });
+        const avg = gpu.avg_pool2d(a, { kernel_size: [2, 3], stride: 1 });
+        const inc = gpu.avg_pool2d(a, { kernel_size: 2, padding: 1 });
+        const exc = gpu.avg_pool2d(a, { kernel_size: 2, padding: 1, count_include_pad: false });
+        assertEqual(m.shape, [1, 1, 2, 2]);
+        assertEqual(p.shape, [1, 1, 2, 3]);
+        assertEqual(avg.shape, [1, 1, 3, 3]);
+        assertEqual(inc.shape, [1, 1, 3, 3]);
+        await Promise.all([m.load(), p.load(), avg.load(), inc.load(), exc.load()]);
+        assertAlmostEqual(m, [6, 8, 16, 18]);
+        assertAlmostEqual(p, [6, 8, 9, 16, 18, 19]);
+        assertAlmostEqual(avg, [3.5, 4.5, 5.5, 8.5, 9.5, 10.5, 13.5, 14.5, 15.5]);
+        assertAlmostEqual(inc, [0, 3 / 4, 7 / 4, 15 / 4, 36 / 4, 44 / 4, 15 / 4, 33 / 4, 37 / 4]);
+        assertAlmostEqual(exc, [0, 3 / 2, 7 / 2, 15 / 2, 36 / 4, 44 / 4, 15, 33 / 2, 37 / 2]);
+
+        const i = gpu.arange({ stop: 8 }).reshape([1, 2, 2, 2]);
+        const mi = gpu.max_pool2d(i, { kernel_size: 2, data_format: "NHWC" });
+        const ai = gpu.avg_pool2d(i, { kernel_size: 2, data_format: "NHWC" });
+        assertEqual(mi.dtype, "i32");
+        assertEqual(ai.dtype, "f32");
+        assertEqual(mi.shape, [1, 1, 1, 2]);
+        await Promise.all([mi.load(), ai.load()]);
+        assertEqual(Array.from(mi), [6, 7]);
+        assertAlmostEqual(ai, [3, 4]);
+
+        const ninf = gpu.full(-Infinity, { shape: [1, 1, 2, 2] });
+        const mn = gpu.max_pool2d(ninf, { kernel_size: 2 });
+        await mn.load();
+        assertEqual(Array.from(mn), [-Infinity]);
+
+        // The only window reads rows -1 and 2.
+        const md = gpu.max_pool2d(gpu.ones({ shape: [1, 1, 2, 2] }), { kernel_size: 2, padding: 1, dilation: 3 });
+        assertEqual(md.shape, [1, 1, 1, 1]);
+        await md.load();
+        assertEqual(Array.from(md), [-Infinity]);
+
+        assertThrow(() => gpu.max_pool2d(a, { kernel_size: 2, padding: 2 }));
+        assertThrow(() => gpu.max_pool2d(a, {}));
+    }],
+    ["pool2d over multiple tiles", async () => {
+        const shape = [2, 3, 37, 41];
+        const x = values(shape.reduce((a, s) => a * s, 1), 3);
+        const a = gpu.asarray(x, { shape });
+        const cases = [
+            [[3, 3], { stride: [2, 2], padding: [1, 1] }],
+            [[2, 3], { stride: [1, 2], dilation: [2, 1] }],
+            [[2, 2], { padding: [1, 0], average: true, count_include_pad: false }],
+            // Window is larger than workgroup memory region.
+            [[33, 34], { stride: [3, 5], padding: [16, 0] }],
+        ];
+        for(const [kernel, options] of cases){
+            const e = pool2dRef(x, shape, kernel, options);
+            const y = options.average ?
+                  gpu.avg_pool2d(a, { kernel_size: kernel, ...options }) :
+                  gpu.max_pool2d(a, { kernel_size: kernel, ...options });
+            assertEqual(y.shape, e.shape);
+            await y.load();
+            assertAlmostEqual(y, e.out);
+        }
+
+        const nhwc = gpu.max_pool2d(a.transpose([0, 2, 3, 1]), { kernel_size: 3, data_format: "NHWC" });
+        const e = pool2dRef(x, shape, [3, 3]);
+        assertEqual(nhwc.shape, [2, 12, 13, 3]);
+        const t = nhwc.transpose([0, 3, 1, 2]).copy();
+        await t.load();
+        assertAlmostEqual(t, e.out);
+    }],
+]);
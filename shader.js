@@ -4,18 +4,154 @@ const f16 = (...arrays) => {
     return arrays.some(a => a.type === "f16") ? "enable f16;" : "";
 };
 
+/*
+ * Complex ("c64") is stored as vec2<f32> (real, imaginary).
+ * Pipeline-overridable constants cannot be vector, so that scalar is real.
+ */
+const wgsl_type = (type) => (type === "c64") ? "vec2<f32>" : (type ?? "u32");
+
 const binding = (name, arg, write = false) => (arg.scalar !== undefined) ?
-      `override ${name}: ${arg.type};` :
+      `override ${name}: ${(arg.type === "c64") ? "f32" : arg.type};` :
       `@group(0) @binding(${arg.binding})
-var<storage, ${write ? "read_write" : "read"}> ${name}: array<${arg.type ?? "u32"}>;`;
+var<storage, ${write ? "read_write" : "read"}> ${name}: array<${wgsl_type(arg.type)}>;`;
 
 
-const v = (name, arg, idx) => (arg.scalar !== undefined) ? name : `${name}[${idx}]`;
+const v = (name, arg, idx) => (arg.scalar !== undefined) ?
+      ((arg.type === "c64") ? `vec2<f32>(${name}, 0.0)` : name) :
+      `${name}[${idx}]`;
 const s = (stmt, arg) => (arg.scalar !== undefined) ? "" : stmt;
 
+/*
+ * Type Conversion of expr
+ *
+ * Real is converted to complex with zero imaginary part,
+ * and complex is converted to real by discarding imaginary part.
+ */
+const cast = (conv, expr, from) => {
+    if(conv === "c64"){
+        return (from === "c64") ? `(${expr})` : `vec2<f32>(f32(${expr}), 0.0)`;
+    }
+    if(conv && (from === "c64")){
+        return `${conv}((${expr}).x)`;
+    }
+    return `${conv ?? ""}(${expr})`;
+};
+
+/*
+ * Complex Arithmetic
+ */
+const _complex = `
+fn cmul(a: vec2<f32>, b: vec2<f32>) -> vec2<f32> {
+    return vec2<f32>(a.x * b.x - a.y * b.y, a.x * b.y + a.y * b.x);
+}
+
+fn cdiv(a: vec2<f32>, b: vec2<f32>) -> vec2<f32> {
+    return vec2<f32>(a.x * b.x + a.y * b.y, a.y * b.x - a.x * b.y) / dot(b, b);
+}
+
+fn creal(z: vec2<f32>) -> f32 { return z.x; }
+fn cimag(z: vec2<f32>) -> f32 { return z.y; }
+fn cconj(z: vec2<f32>) -> vec2<f32> { return vec2<f32>(z.x, -z.y); }
+fn cabs(z: vec2<f32>) -> f32 { return length(z); }
+fn cangle(z: vec2<f32>) -> f32 { return atan2(z.y, z.x); }
+
+fn cexp(z: vec2<f32>) -> vec2<f32> {
+    return exp(z.x) * vec2<f32>(cos(z.y), sin(z.y));
+}`;
+
+const complex = (...arrays) => {
+    return arrays.some(a => [a.type, a.conv].includes("c64")) ? _complex : "";
+};
+
+/*
+ * Binary operator. Complex multiplication and division are functions.
+ */
+const complex_op = { "*": "cmul", "/": "cdiv" };
+const binary_op = (op, L, R, type) => ((type === "c64") && (op in complex_op)) ?
+      `${complex_op[op]}(${L}, ${R})` :
+      `${L} ${op} ${R}`;
+
+/*
+ * Helper functions which are not WGSL built-in.
+ *
+ * Floating point classification uses bit pattern,
+ * because `x != x` might be optimized away.
+ */
+const bits = {
+    f32: { expr: "bitcast<u32>(x)", exp: "0x7f800000u", frac: "0x007fffffu" },
+    f16: { expr: "(bitcast<u32>(vec2<f16>(x, 0.0h)) & 0xffffu)", exp: "0x7c00u", frac: "0x03ffu" },
+};
+const classify = (name, type, cond, int) => {
+    const b = bits[type];
+    return (b === undefined) ?
+        `fn ${name}(x: ${type}) -> bool { return ${int}; }` :
+        `fn ${name}(x: ${type}) -> bool {
+    let b: u32 = ${b.expr};
+    return ${cond(b.exp, b.frac)};
+}`;
+};
+const helpers = {
+    left_shift: (type) => `fn left_shift(x: ${type}, s: ${type}) -> ${type} { return x << u32(s); }`,
+    right_shift: (type) => `fn right_shift(x: ${type}, s: ${type}) -> ${type} { return x >> u32(s); }`,
+    floor_mod: (type) => {
+        switch(type){
+        case "u32":
+            return `fn floor_mod(x: u32, y: u32) -> u32 { return x % y; }`;
+        case "i32":
+            return `fn floor_mod(x: i32, y: i32) -> i32 {
+    let r: i32 = x % y;
+    return select(r, r + y, (r != 0) && ((r < 0) != (y < 0)));
+}`;
+        default:
+            return `fn floor_mod(x: ${type}, y: ${type}) -> ${type} { return x - y * floor(x / y); }`;
+        }
+    },
+    floor_div: (type) => {
+        switch(type){
+        case "u32":
+            return `fn floor_div(x: u32, y: u32) -> u32 { return x / y; }`;
+        case "i32":
+            return `fn floor_div(x: i32, y: i32) -> i32 {
+    let q: i32 = x / y;
+    return select(q, q - 1, ((x % y) != 0) && ((x < 0) != (y < 0)));
+}`;
+        default:
+            return `fn floor_div(x: ${type}, y: ${type}) -> ${type} { return floor(x / y); }`;
+        }
+    },
+    imag: (type) => `fn imag(x: ${type}) -> ${type} { return ${type}(0); }`,
+    angle: (type) => {
+        // Integer argument results in f32
+        const r = (type in bits) ? type : "f32";
+        return `fn angle(x: ${type}) -> ${r} { return select(${r}(0), ${r}(3.141592653589793), x < ${type}(0)); }`;
+    },
+    isnan: (type) => classify(
+        "isnan", type, (e, f) => `((b & ${e}) == ${e}) && ((b & ${f}) != 0u)`, "false",
+    ),
+    isinf: (type) => classify(
+        "isinf", type, (e, f) => `((b & ${e}) == ${e}) && ((b & ${f}) == 0u)`, "false",
+    ),
+    isfinite: (type) => classify(
+        "isfinite", type, (e, f) => `(b & ${e}) != ${e}`, "true",
+    ),
+};
+const helper = (f, type) => helpers[f]?.(type) ?? "";
+
+/*
+ * inf() for floating point type.
+ * Infinite const-expression is a shader-creation error, so that bits are read from variable.
+ */
+const infinity = (type) => (bits[type] === undefined) ? "" : `
+fn inf() -> ${type} {
+    var b: u32 = ${bits[type].exp};
+    return ${(type === "f16") ? "bitcast<vec2<f16>>(b).x" : "bitcast<f32>(b)"};
+}`;
+
 const vector_op = (op, size, lhs, rhs, out) => `
 ${f16(lhs, rhs, out)}
 
+${complex(lhs, rhs, out)}
+
 ${binding("lhs", lhs)}
 
 ${binding("rhs", rhs)}
@@ -26,12 +162,16 @@ ${binding("out", out, true)}
 fn main(@builtin(global_invocation_id) id: vec3<u32>){
     if(id.x >= arrayLength(&out)){ return; }
 
-    let L = ${lhs.conv ?? ""}(${v("lhs", lhs, "id.x")});
-    let R = ${rhs.conv ?? ""}(${v("rhs", rhs, "id.x")});
-    out[id.x] = ${out.conv}(L ${op} R);
+    let L = ${cast(lhs.conv, v("lhs", lhs, "id.x"), lhs.type)};
+    let R = ${cast(rhs.conv, v("rhs", rhs, "id.x"), rhs.type)};
+    out[id.x] = ${cast(out.conv, binary_op(op, "L", "R", lhs.conv || lhs.type))};
 }
 `;
 
+/*
+ * Indirect templates take strides of inputs: [strides..., offset]
+ * and out_strides: [size, offset, (contiguous stride, stride) for each dimension...]
+ */
 const vector_op_indirect = (
     op, size,
     lhs, rhs, out,
@@ -39,6 +179,8 @@ const vector_op_indirect = (
 ) => `
 ${f16(lhs, rhs, out)}
 
+${complex(lhs, rhs, out)}
+
 ${binding("lhs", lhs)}
 
 ${binding("rhs", rhs)}
@@ -51,151 +193,1489 @@ ${s(binding("rhs_strides", rhs_strides), rhs_strides)}
 
 ${binding("out_strides", out_strides)}
 
+@compute @workgroup_size(${size})
+fn main(@builtin(global_invocation_id) id: vec3<u32>){
+    if(id.x >= out_strides[0]){ return; }
+
+    var O: u32 = id.x;
+    var J: u32 = out_strides[1];
+    ${s("var L: u32 = lhs_strides[arrayLength(&lhs_strides) - 1];", lhs)}
+    ${s("var R: u32 = rhs_strides[arrayLength(&rhs_strides) - 1];", rhs)}
+    for(var d: u32 = 0; 2 * d + 2 < arrayLength(&out_strides); d++){
+        let c: u32 = out_strides[2 * d + 2];
+        let i: u32 = O / c;
+        O -= i * c;
+        ${s("L += i * lhs_strides[d];", lhs)}
+        ${s("R += i * rhs_strides[d];", rhs)}
+        J += i * out_strides[2 * d + 3];
+    }
+
+    let LHS = ${cast(lhs.conv, v("lhs", lhs, "L"), lhs.type)};
+    let RHS = ${cast(rhs.conv, v("rhs", rhs, "R"), rhs.type)};
+
+    out[J] = ${cast(out.conv, binary_op(op, "LHS", "RHS", lhs.conv || lhs.type))};
+}
+`;
+
+const func1 = (f, size, arg, out) => `
+${f16(arg, out)}
+
+${complex(arg, out)}
+
+${helper(f, arg.type)}
+
+${binding("arg", arg)}
+
+${binding("out", out, true)}
+
+@compute @workgroup_size(${size})
+fn main(@builtin(global_invocation_id) id: vec3<u32>){
+    if(id.x >= arrayLength(&out)){ return; }
+
+    out[id.x] = ${cast(out.conv, `${f}(${cast(arg.conv, v("arg", arg, "id.x"), arg.type)})`)};
+}
+`;
+
+const func1_indirect = (f, size, arg, out, arg_strides, out_strides) => `
+${f16(arg, out)}
+
+${complex(arg, out)}
+
+${helper(f, arg.type)}
+
+${binding("arg", arg)}
+
+${binding("out", out, true)}
+
+${binding("arg_strides", arg_strides)}
+
+${binding("out_strides", out_strides)}
+
+@compute @workgroup_size(${size})
+fn main(@builtin(global_invocation_id) id: vec3<u32>){
+    if(id.x >= out_strides[0]){ return; }
+
+    var O: u32 = id.x;
+    var J: u32 = out_strides[1];
+    var I: u32 = arg_strides[arrayLength(&arg_strides) - 1];
+    for(var d: u32 = 0; 2 * d + 2 < arrayLength(&out_strides); d++){
+        let c: u32 = out_strides[2 * d + 2];
+        let i: u32 = O / c;
+        O -= i * c;
+        I += i * arg_strides[d];
+        J += i * out_strides[2 * d + 3];
+    }
+
+    out[J] = ${cast(out.conv, `${f}(${cast(arg.conv, v("arg", arg, "I"), arg.type)})`)};
+}
+`;
+
+const func2 = (f, size, args, out) => `
+${f16(...args, out)}
+
+${helper(f, args[0].conv || args[0].type)}
+
+${binding("arg0", args[0])}
+
+${binding("arg1", args[1])}
+
+${binding("out", out, true)}
+
 @compute @workgroup_size(${size})
 fn main(@builtin(global_invocation_id) id: vec3<u32>){
     if(id.x >= arrayLength(&out)){ return; }
 
-    var O: u32 = id.x;
-    ${s("var L: u32 = 0;", lhs)}
-    ${s("var R: u32 = 0;", rhs)}
-    for(var s: u32 = arrayLength(&out_strides) -1; s > 0; s--){
-        let iN: u32 = O % out_strides[s-1];
-        var i: u32 = iN / out_strides[s];
-        ${s("L += i * lhs_strides[s];", lhs)}
-        ${s("R += i * rhs_strides[s];", rhs)}
-        O -= iN;
+    let A0 = ${args[0].conv ?? ""}(${v("arg0", args[0], "id.x")});
+    let A1 = ${args[1].conv ?? ""}(${v("arg1", args[1], "id.x")});
+    out[id.x] = ${out.conv}(${f}(A0, A1));
+}
+`;
+
+const func2_indirect = (f, size, args, out, args_strides, out_strides) => `
+${f16(...args, out)}
+
+${helper(f, args[0].conv || args[0].type)}
+
+${binding("arg0", args[0])}
+
+${binding("arg1", args[1])}
+
+${binding("out", out, true)}
+
+${s(binding("arg0_strides", args_strides[0]), args_strides[0])}
+
+${s(binding("arg1_strides", args_strides[1]), args_strides[1])}
+
+${binding("out_strides", out_strides)}
+
+@compute @workgroup_size(${size})
+fn main(@builtin(global_invocation_id) id: vec3<u32>){
+    if(id.x >= out_strides[0]){ return; }
+
+    var O: u32 = id.x;
+    var J: u32 = out_strides[1];
+    ${s("var I0: u32 = arg0_strides[arrayLength(&arg0_strides) - 1];", args[0])}
+    ${s("var I1: u32 = arg1_strides[arrayLength(&arg1_strides) - 1];", args[1])}
+    for(var d: u32 = 0; 2 * d + 2 < arrayLength(&out_strides); d++){
+        let c: u32 = out_strides[2 * d + 2];
+        let i: u32 = O / c;
+        O -= i * c;
+        ${s("I0 += i * arg0_strides[d];", args[0])}
+        ${s("I1 += i * arg1_strides[d];", args[1])}
+        J += i * out_strides[2 * d + 3];
+    }
+
+    let A0 = ${args[0].conv ?? ""}(${v("arg0", args[0], "I0")});
+    let A1 = ${args[1].conv ?? ""}(${v("arg1", args[1], "I1")});
+    out[J] = ${out.conv}(${f}(A0, A1));
+}
+`;
+
+const func3 = (f, size, args, out) => `
+${f16(...args, out)}
+
+${binding("arg0", args[0])}
+
+${binding("arg1", args[1])}
+
+${binding("arg2", args[2])}
+
+${binding("out", out, true)}
+
+@compute @workgroup_size(${size})
+fn main(@builtin(global_invocation_id) id: vec3<u32>){
+    if(id.x >= arrayLength(&out)){ return; }
+
+    let A0 = ${args[0].conv ?? ""}(${v("arg0", args[0], "id.x")});
+    let A1 = ${args[1].conv ?? ""}(${v("arg1", args[1], "id.x")});
+    let A2 = ${args[2].conv ?? ""}(${v("arg2", args[2], "id.x")});
+    out[id.x] = ${out.conv}(${f}(A0, A1, A2));
+}
+`;
+
+const func3_indirect = (f, size, args, out, args_strides, out_strides) => `
+${f16(...args, out)}
+
+${binding("arg0", args[0])}
+
+${binding("arg1", args[1])}
+
+${binding("arg2", args[2])}
+
+${binding("out", out, true)}
+
+${s(binding("arg0_strides", args_strides[0]), args_strides[0])}
+
+${s(binding("arg1_strides", args_strides[1]), args_strides[1])}
+
+${s(binding("arg2_strides", args_strides[2]), args_strides[2])}
+
+${binding("out_strides", out_strides)}
+
+@compute @workgroup_size(${size})
+fn main(@builtin(global_invocation_id) id: vec3<u32>){
+    if(id.x >= out_strides[0]){ return; }
+
+    var O: u32 = id.x;
+    var J: u32 = out_strides[1];
+    ${s("var I0: u32 = arg0_strides[arrayLength(&arg0_strides) - 1];", args[0])}
+    ${s("var I1: u32 = arg1_strides[arrayLength(&arg1_strides) - 1];", args[1])}
+    ${s("var I2: u32 = arg2_strides[arrayLength(&arg2_strides) - 1];", args[2])}
+    for(var d: u32 = 0; 2 * d + 2 < arrayLength(&out_strides); d++){
+        let c: u32 = out_strides[2 * d + 2];
+        let i: u32 = O / c;
+        O -= i * c;
+        ${s("I0 += i * arg0_strides[d];", args[0])}
+        ${s("I1 += i * arg1_strides[d];", args[1])}
+        ${s("I2 += i * arg2_strides[d];", args[2])}
+        J += i * out_strides[2 * d + 3];
+    }
+
+    let A0 = ${args[0].conv ?? ""}(${v("arg0", args[0], "I0")});
+    let A1 = ${args[1].conv ?? ""}(${v("arg1", args[1], "I1")});
+    let A2 = ${args[2].conv ?? ""}(${v("arg2", args[2], "I2")});
+    out[J] = ${out.conv}(${f}(A0, A1, A2));
+}
+`;
+
+
+/*
+ * Tree Reduction
+ *
+ * Each workgroup reduces a part of the elements for a single output.
+ * Every invocation first accumulates strided elements serially,
+ * then the workgroup reduces them on the workgroup memory.
+ * With sequential addressing, active invocations are packed at lower indices,
+ * so that the remaining steps run on a few (sub)groups.
+ *
+ * When G > 1, `out` is partial results ([O, G]), which must be reduced again.
+ *
+ * info: [G, R, offset, nkeep, keep (shape, stride)..., red (shape, stride)...]
+ *   - G: Number of workgroups for a single output
+ *   - R: Number of reduced elements for a single output
+ *   - offset: Element offset of arg
+ *
+ * `arg.map` (optional) transforms each element before reduction (e.g. abs, square).
+ */
+const reduce_offset = `
+fn offset(r: u32, start: u32, end: u32) -> u32 {
+    var R: u32 = r;
+    var I: u32 = 0;
+    for(var d: u32 = end; d > start; d -= 2){
+        I += (R % info[d-2]) * info[d-1];
+        R /= info[d-2];
+    }
+    return I;
+}`;
+
+const load = (arg, idx) => (arg.map !== undefined) ?
+      `${arg.conv}(${arg.map(`arg[${idx}]`)})` :
+      `${arg.conv}(arg[${idx}])`;
+
+const _reduce = (combine, size, dtype, arg, out, info) => `
+${f16(arg, out)}
+
+${binding("arg", arg)}
+
+${binding("out", out, true)}
+
+${binding("info", info)}
+
+var<workgroup> buffer: array<${dtype}, ${size}>;
+
+${reduce_offset}
+
+@compute @workgroup_size(${size})
+fn main(@builtin(workgroup_id) wid: vec3<u32>,
+        @builtin(num_workgroups) nw: vec3<u32>,
+        @builtin(local_invocation_index) t: u32){
+    let w: u32 = wid.x + wid.y * nw.x;
+    if(w >= arrayLength(&out)){ return; }
+
+    let G: u32 = info[0];
+    let R: u32 = info[1];
+    let keep_end: u32 = 4 + 2 * info[3];
+    let o: u32 = w / G;
+    let g: u32 = w % G;
+
+    let I: u32 = info[2] + offset(o, 4, keep_end);
+    let red_end: u32 = arrayLength(&info);
+
+    let step: u32 = G * ${size};
+    var r: u32 = g * ${size} + t;
+    var v: ${dtype};
+    if(r < R){
+        v = ${load(arg, "I + offset(r, keep_end, red_end)")};
+        for(r += step; r < R; r += step){
+            v = ${combine("v", load(arg, "I + offset(r, keep_end, red_end)"))};
+        }
+    }
+    buffer[t] = v;
+    workgroupBarrier();
+
+    // Only the first n elements are valid.
+    let n: u32 = min(R - g * ${size}, ${size});
+    for(var s: u32 = ${size / 2}; s > 0; s >>= 1){
+        if((t < s) && (t + s < n)){
+            buffer[t] = ${combine("buffer[t]", "buffer[t + s]")};
+        }
+        workgroupBarrier();
+    }
+
+    if(t == 0){
+        out[w] = ${out.conv}(buffer[0]);
+    }
+}
+`;
+
+const reduce_op = (op, ...args) => _reduce((a, b) => `${a} ${op} ${b}`, ...args);
+
+const reduce_func = (f, ...args) => _reduce((a, b) => `${f}(${a}, ${b})`, ...args);
+
+
+/*
+ * Index of minimum / maximum (cmp: "<" / ">")
+ *
+ * One workgroup for each output. info is same as _reduce (G = 1).
+ * The first index is chosen for ties.
+ */
+const arg_reduce = (cmp, size, dtype, arg, out, info) => `
+${f16(arg)}
+
+${binding("arg", arg)}
+
+${binding("out", out, true)}
+
+${binding("info", info)}
+
+var<workgroup> value: array<${dtype}, ${size}>;
+var<workgroup> index: array<u32, ${size}>;
+
+${reduce_offset}
+
+@compute @workgroup_size(${size})
+fn main(@builtin(workgroup_id) wid: vec3<u32>,
+        @builtin(num_workgroups) nw: vec3<u32>,
+        @builtin(local_invocation_index) t: u32){
+    let w: u32 = wid.x + wid.y * nw.x;
+    if(w >= arrayLength(&out)){ return; }
+
+    let R: u32 = info[1];
+    let keep_end: u32 = 4 + 2 * info[3];
+    let I: u32 = info[2] + offset(w, 4, keep_end);
+    let red_end: u32 = arrayLength(&info);
+
+    // k == R means no valid element.
+    var v: ${dtype};
+    var k: u32 = R;
+    for(var r: u32 = t; r < R; r += ${size}){
+        let x: ${dtype} = ${load(arg, "I + offset(r, keep_end, red_end)")};
+        if((k == R) || (x ${cmp} v)){
+            v = x;
+            k = r;
+        }
+    }
+    value[t] = v;
+    index[t] = k;
+    workgroupBarrier();
+
+    for(var s: u32 = ${size / 2}; s > 0; s >>= 1){
+        if(t < s){
+            let k2: u32 = index[t + s];
+            let v2: ${dtype} = value[t + s];
+            let k1: u32 = index[t];
+            let v1: ${dtype} = value[t];
+            if((k2 != R) && ((k1 == R) || (v2 ${cmp} v1) || ((v2 == v1) && (k2 < k1)))){
+                value[t] = v2;
+                index[t] = k2;
+            }
+        }
+        workgroupBarrier();
+    }
+
+    if(t == 0){
+        out[w] = index[0];
+    }
+}
+`;
+
+
+const matmul = (
+    tile, dtype,
+    lhs, rhs, out,
+    shape, lhs_strides, rhs_strides,
+) => `
+${f16(lhs, rhs, out)}
+
+${binding("lhs", lhs)}
+
+${binding("rhs", rhs)}
+
+${binding("out", out, true)}
+
+${binding("shape", shape)}
+
+${binding("lhs_strides", lhs_strides)}
+
+${binding("rhs_strides", rhs_strides)}
+
+var<workgroup> lhs_tile: array<array<${dtype}, ${tile}>, ${tile}>;
+var<workgroup> rhs_tile: array<array<${dtype}, ${tile}>, ${tile}>;
+
+@compute @workgroup_size(${tile}, ${tile})
+fn main(@builtin(workgroup_id) wid: vec3<u32>,
+        @builtin(local_invocation_id) lid: vec3<u32>){
+    // shape: [...batch, M, N, K]
+    // lhs_strides, rhs_strides: [...batch, row, column, offset]
+    let nd: u32 = arrayLength(&lhs_strides) - 1;
+    let M: u32 = shape[nd-2];
+    let N: u32 = shape[nd-1];
+    let K: u32 = shape[nd];
+
+    let row: u32 = wid.y * ${tile} + lid.y;
+    let col: u32 = wid.x * ${tile} + lid.x;
+
+    var batch: u32 = wid.z;
+    var L: u32 = lhs_strides[nd];
+    var R: u32 = rhs_strides[nd];
+    for(var d: u32 = nd - 2; d > 0; d--){
+        let i: u32 = batch % shape[d-1];
+        batch /= shape[d-1];
+        L += i * lhs_strides[d-1];
+        R += i * rhs_strides[d-1];
+    }
+    L += row * lhs_strides[nd-2];
+    R += col * rhs_strides[nd-1];
+
+    var acc: ${dtype} = ${dtype}(0);
+    for(var t: u32 = 0; t < K; t += ${tile}){
+        let lk: u32 = t + lid.x;
+        let rk: u32 = t + lid.y;
+
+        lhs_tile[lid.y][lid.x] = ${dtype}(0);
+        if((row < M) && (lk < K)){
+            lhs_tile[lid.y][lid.x] = ${lhs.conv}(lhs[L + lk * lhs_strides[nd-1]]);
+        }
+
+        rhs_tile[lid.y][lid.x] = ${dtype}(0);
+        if((rk < K) && (col < N)){
+            rhs_tile[lid.y][lid.x] = ${rhs.conv}(rhs[R + rk * rhs_strides[nd-2]]);
+        }
+        workgroupBarrier();
+
+        for(var k: u32 = 0; k < ${tile}; k++){
+            acc += lhs_tile[lid.y][k] * rhs_tile[k][lid.x];
+        }
+        workgroupBarrier();
+    }
+
+    if((row < M) && (col < N)){
+        out[(wid.z * M + row) * N + col] = ${out.conv}(acc);
+    }
+}
+`;
+
+
+/*
+ * Batched Dense Linear Algebra
+ *
+ * A single workgroup processes a single (contiguous, row-major, f32) matrix of the batch.
+ * Invocations share rows / columns at each elimination step,
+ * and storageBarrier() synchronizes accesses to storage buffers in the workgroup.
+ * Matrix sizes and panel ranges of blocked factorizations are pipeline-overridable constants.
+ */
+const _batch_main = (size) => `
+@compute @workgroup_size(${size})
+fn main(@builtin(workgroup_id) wid: vec3<u32>,
+        @builtin(num_workgroups) nw: vec3<u32>,
+        @builtin(local_invocation_index) t: u32){
+    let w: u32 = wid.x + wid.y * nw.x;`;
+
+/*
+ * LU Decomposition with Partial Pivoting (PA = LU) in-place
+ *
+ * Blocked right-looking algorithm: this factors the panel a[K0:N, K0:K0+NB]
+ * (swapping whole rows), then solves the block row U12 = L11^-1 A12.
+ * The pivot row and L11 are kept in workgroup memory.
+ * The trailing matrix A22 -= L21 U12 is updated by matmul between panels.
+ * perm[i] is the original row of i-th row, and sign is the parity of perm.
+ */
+const lu_factor = (size, block, a, perm, sign) => `
+${binding("a", a, true)}
+
+${binding("perm", perm, true)}
+
+${binding("sign", sign, true)}
+
+override N: u32;
+override K0: u32;
+override NB: u32;
+
+var<workgroup> pivot_value: array<f32, ${size}>;
+var<workgroup> pivot_index: array<u32, ${size}>;
+var<workgroup> pivot_row: array<f32, ${block}>;
+var<workgroup> l11: array<f32, ${block * block}>;
+
+${_batch_main(size)}
+    if(w >= arrayLength(&sign)){ return; }
+
+    let A: u32 = w * N * N;
+    let P: u32 = w * N;
+    let K1: u32 = K0 + NB;
+    if(K0 == 0){
+        for(var i: u32 = t; i < N; i += ${size}){
+            perm[P + i] = i;
+        }
+        storageBarrier();
+    }
+
+    var s: f32 = 1.0;
+    for(var k: u32 = K0; k < K1; k++){
+        var best: f32 = -1.0;
+        var best_i: u32 = k;
+        for(var i: u32 = k + t; i < N; i += ${size}){
+            let x: f32 = abs(a[A + i * N + k]);
+            if(x > best){
+                best = x;
+                best_i = i;
+            }
+        }
+        pivot_value[t] = best;
+        pivot_index[t] = best_i;
+        workgroupBarrier();
+
+        for(var h: u32 = ${size / 2}; h > 0; h >>= 1){
+            if(t < h){
+                let v: f32 = pivot_value[t + h];
+                let i: u32 = pivot_index[t + h];
+                if((v > pivot_value[t]) || ((v == pivot_value[t]) && (i < pivot_index[t]))){
+                    pivot_value[t] = v;
+                    pivot_index[t] = i;
+                }
+            }
+            workgroupBarrier();
+        }
+
+        let p: u32 = pivot_index[0];
+        if(p != k){
+            for(var j: u32 = t; j < N; j += ${size}){
+                let x: f32 = a[A + k * N + j];
+                a[A + k * N + j] = a[A + p * N + j];
+                a[A + p * N + j] = x;
+            }
+            if(t == 0){
+                let q: u32 = perm[P + k];
+                perm[P + k] = perm[P + p];
+                perm[P + p] = q;
+            }
+            s = -s;
+        }
+        storageBarrier();
+
+        for(var j: u32 = k + 1 + t; j < K1; j += ${size}){
+            pivot_row[j - K0] = a[A + k * N + j];
+        }
+        workgroupBarrier();
+
+        // Each invocation eliminates its own rows inside the panel.
+        let d: f32 = a[A + k * N + k];
+        for(var i: u32 = k + 1 + t; i < N; i += ${size}){
+            let l: f32 = a[A + i * N + k] / d;
+            a[A + i * N + k] = l;
+            for(var j: u32 = k + 1; j < K1; j++){
+                a[A + i * N + j] -= l * pivot_row[j - K0];
+            }
+        }
+        storageBarrier();
+    }
+
+    if(K1 < N){
+        for(var e: u32 = t; e < NB * NB; e += ${size}){
+            l11[e] = a[A + (K0 + e / NB) * N + K0 + e % NB];
+        }
+        workgroupBarrier();
+
+        // Forward Substitution of unit lower L11 for each column
+        for(var j: u32 = K1 + t; j < N; j += ${size}){
+            for(var i: u32 = 1; i < NB; i++){
+                var x: f32 = a[A + (K0 + i) * N + j];
+                for(var q: u32 = 0; q < i; q++){
+                    x -= l11[i * NB + q] * a[A + (K0 + q) * N + j];
+                }
+                a[A + (K0 + i) * N + j] = x;
+            }
+        }
+    }
+
+    if(t == 0){
+        sign[w] = select(sign[w], 1.0, K0 == 0) * s;
+    }
+}
+`;
+
+/*
+ * Solve LU X = B[perm] with K right-hand sides
+ *
+ * The unit lower triangle is taken from strictly lower part of lu,
+ * so that an upper triangular matrix with identity perm can be solved, too.
+ */
+const lu_solve = (size, lu, perm, b, x) => `
+${binding("lu", lu)}
+
+${binding("perm", perm)}
+
+${binding("b", b)}
+
+${binding("x", x, true)}
+
+override N: u32;
+override K: u32;
+
+${_batch_main(size)}
+    if(w >= arrayLength(&perm) / N){ return; }
+
+    let A: u32 = w * N * N;
+    let P: u32 = w * N;
+    let X: u32 = w * N * K;
+    for(var e: u32 = t; e < N * K; e += ${size}){
+        x[X + e] = b[X + perm[P + e / K] * K + e % K];
+    }
+    storageBarrier();
+
+    // Forward Substitution
+    for(var k: u32 = 0; k < N; k++){
+        for(var e: u32 = t; e < (N - k - 1) * K; e += ${size}){
+            let i: u32 = k + 1 + e / K;
+            let c: u32 = e % K;
+            x[X + i * K + c] -= lu[A + i * N + k] * x[X + k * K + c];
+        }
+        storageBarrier();
+    }
+
+    // Back Substitution
+    for(var k: u32 = N; k > 0; k--){
+        let kk: u32 = k - 1;
+        for(var c: u32 = t; c < K; c += ${size}){
+            x[X + kk * K + c] /= lu[A + kk * N + kk];
+        }
+        storageBarrier();
+
+        for(var e: u32 = t; e < kk * K; e += ${size}){
+            let i: u32 = e / K;
+            let c: u32 = e % K;
+            x[X + i * K + c] -= lu[A + i * N + kk] * x[X + kk * K + c];
+        }
+        storageBarrier();
+    }
+}
+`;
+
+/*
+ * Unpack LU into P, L and U (A = P L U)
+ */
+const lu_unpack = (size, lu, perm, p, l, u) => `
+${binding("lu", lu)}
+
+${binding("perm", perm)}
+
+${binding("p", p, true)}
+
+${binding("l", l, true)}
+
+${binding("u", u, true)}
+
+override N: u32;
+
+@compute @workgroup_size(${size})
+fn main(@builtin(global_invocation_id) id: vec3<u32>,
+        @builtin(num_workgroups) nw: vec3<u32>){
+    let e: u32 = id.x + id.y * nw.x * ${size};
+    if(e >= arrayLength(&lu)){ return; }
+
+    let w: u32 = e / (N * N);
+    let i: u32 = (e / N) % N;
+    let j: u32 = e % N;
+
+    p[e] = select(0.0, 1.0, perm[w * N + j] == i);
+    l[e] = select(select(0.0, 1.0, i == j), lu[e], i > j);
+    u[e] = select(0.0, lu[e], i <= j);
+}
+`;
+
+/*
+ * Cholesky Decomposition (A = L L^T) in-place
+ *
+ * Blocked right-looking algorithm: this factors the diagonal block L11 in workgroup memory,
+ * then solves the block column L21 = A21 L11^-T.
+ * The trailing matrix A22 -= L21 L21^T is updated by matmul between panels.
+ * Only lower triangle of a is used. Upper triangle of the block row is zeroed.
+ */
+const cholesky = (size, block, a) => `
+${binding("a", a, true)}
+
+override N: u32;
+override K0: u32;
+override NB: u32;
+
+var<workgroup> l11: array<f32, ${block * block}>;
+
+${_batch_main(size)}
+    if(w >= arrayLength(&a) / (N * N)){ return; }
+
+    let A: u32 = w * N * N;
+    let K1: u32 = K0 + NB;
+    for(var e: u32 = t; e < NB * NB; e += ${size}){
+        l11[e] = a[A + (K0 + e / NB) * N + K0 + e % NB];
+    }
+    workgroupBarrier();
+
+    for(var k: u32 = 0; k < NB; k++){
+        if(t == 0){
+            l11[k * NB + k] = sqrt(l11[k * NB + k]);
+        }
+        workgroupBarrier();
+
+        let d: f32 = l11[k * NB + k];
+        for(var i: u32 = k + 1 + t; i < NB; i += ${size}){
+            l11[i * NB + k] /= d;
+        }
+        workgroupBarrier();
+
+        let R: u32 = NB - k - 1;
+        for(var e: u32 = t; e < R * R; e += ${size}){
+            let i: u32 = k + 1 + e / R;
+            let j: u32 = k + 1 + e % R;
+            if(j <= i){
+                l11[i * NB + j] -= l11[i * NB + k] * l11[j * NB + k];
+            }
+        }
+        workgroupBarrier();
+    }
+
+    for(var e: u32 = t; e < NB * N; e += ${size}){
+        let i: u32 = e / N;
+        let j: u32 = e % N;
+        if(j > K0 + i){
+            a[A + (K0 + i) * N + j] = 0.0;
+        } else if(j >= K0){
+            a[A + (K0 + i) * N + j] = l11[i * NB + j - K0];
+        }
+    }
+
+    // Forward Substitution of L11 for each row
+    for(var i: u32 = K1 + t; i < N; i += ${size}){
+        for(var j: u32 = 0; j < NB; j++){
+            var x: f32 = a[A + i * N + K0 + j];
+            for(var q: u32 = 0; q < j; q++){
+                x -= a[A + i * N + K0 + q] * l11[j * NB + q];
+            }
+            a[A + i * N + K0 + j] = x / l11[j * NB + j];
+        }
+    }
+}
+`;
+
+/*
+ * QR Decomposition with Householder Reflections
+ *
+ * Blocked algorithm: this reflects the panel a[K0:M, K0:K0+NB] in-place,
+ * and stores the reflectors to u [K, M] (H = I - u u^T, K = min(M, N)).
+ * y [NB, NB] is the upper triangular factor of compact WY representation
+ * (H_K0 ... H_{K0+NB-1} = I - Y y Y^T, Y = u[K0:K0+NB]^T),
+ * so that the trailing matrix and Q are updated by matmul.
+ */
+const qr = (size, block, a, u, y) => `
+${binding("a", a, true)}
+
+${binding("u", u, true)}
+
+${binding("y", y, true)}
+
+override M: u32;
+override N: u32;
+override K: u32;
+override K0: u32;
+override NB: u32;
+
+var<workgroup> partial: array<f32, ${size}>;
+var<workgroup> gram: array<f32, ${block * block}>;
+var<workgroup> wy: array<f32, ${block * block}>;
+
+${_batch_main(size)}
+    if(w >= arrayLength(&a) / (M * N)){ return; }
+
+    let A: u32 = w * M * N;
+    let U: u32 = w * K * M;
+    let K1: u32 = K0 + NB;
+    for(var k: u32 = K0; k < K1; k++){
+        var ss: f32 = 0.0;
+        for(var i: u32 = k + t; i < M; i += ${size}){
+            let x: f32 = a[A + i * N + k];
+            ss += x * x;
+        }
+        partial[t] = ss;
+        workgroupBarrier();
+        for(var h: u32 = ${size / 2}; h > 0; h >>= 1){
+            if(t < h){
+                partial[t] += partial[t + h];
+            }
+            workgroupBarrier();
+        }
+
+        // v = x - alpha e_0, |v|^2 = 2 |x|^2 - 2 alpha x_0
+        let norm: f32 = sqrt(partial[0]);
+        let x0: f32 = a[A + k * N + k];
+        let alpha: f32 = select(norm, -norm, x0 >= 0.0);
+        let v2: f32 = 2.0 * norm * norm - 2.0 * alpha * x0;
+        let scale: f32 = select(0.0, sqrt(2.0 / v2), v2 > 0.0);
+        for(var i: u32 = t; i < M; i += ${size}){
+            var v: f32 = 0.0;
+            if(i > k){
+                v = a[A + i * N + k];
+            } else if(i == k){
+                v = x0 - alpha;
+            }
+            u[U + k * M + i] = v * scale;
+        }
+        storageBarrier();
+
+        for(var j: u32 = k + t; j < K1; j += ${size}){
+            var d: f32 = 0.0;
+            for(var i: u32 = k; i < M; i++){
+                d += u[U + k * M + i] * a[A + i * N + j];
+            }
+            for(var i: u32 = k; i < M; i++){
+                a[A + i * N + j] -= d * u[U + k * M + i];
+            }
+        }
+        storageBarrier();
+    }
+
+    // y[0:j, j] = -y[0:j, 0:j] (Y[:, 0:j]^T u_j), y[j, j] = 1
+    for(var e: u32 = t; e < NB * NB; e += ${size}){
+        let p: u32 = e / NB;
+        let j: u32 = e % NB;
+        var d: f32 = 0.0;
+        if(p < j){
+            for(var i: u32 = K0 + j; i < M; i++){
+                d += u[U + (K0 + p) * M + i] * u[U + (K0 + j) * M + i];
+            }
+        }
+        gram[e] = d;
+    }
+    workgroupBarrier();
+
+    for(var j: u32 = 0; j < NB; j++){
+        for(var p: u32 = t; p <= j; p += ${size}){
+            var x: f32 = 1.0;
+            if(p < j){
+                x = 0.0;
+                for(var q: u32 = p; q < j; q++){
+                    x -= wy[p * NB + q] * gram[q * NB + j];
+                }
+            }
+            wy[p * NB + j] = x;
+        }
+        workgroupBarrier();
+    }
+
+    let Y: u32 = w * NB * NB;
+    for(var e: u32 = t; e < NB * NB; e += ${size}){
+        y[Y + e] = select(0.0, wy[e], e % NB >= e / NB);
+    }
+}
+`;
+
+/*
+ * Upper Triangle R [KR, N] of reflected a [M, N]
+ */
+const qr_unpack = (size, a, r) => `
+${binding("a", a)}
+
+${binding("r", r, true)}
+
+override M: u32;
+override N: u32;
+override KR: u32;
+
+@compute @workgroup_size(${size})
+fn main(@builtin(global_invocation_id) id: vec3<u32>,
+        @builtin(num_workgroups) nw: vec3<u32>){
+    let e: u32 = id.x + id.y * nw.x * ${size};
+    if(e >= arrayLength(&r)){ return; }
+
+    let w: u32 = e / (KR * N);
+    let i: u32 = (e / N) % KR;
+    let j: u32 = e % N;
+    r[e] = select(0.0, a[w * M * N + i * N + j], j >= i);
+}
+`;
+
+/*
+ * Parallel Jacobi Method
+ *
+ * Each sweep consists of n - 1 rounds (n: even padded size).
+ * In each round, n/2 disjoint pairs (p, q) are chosen with round-robin (circle method),
+ * so that their rotations can be applied at once.
+ * Pairs containing the padding index (q >= N) are skipped.
+ * Sweeps stop when no rotation is applied.
+ */
+const _jacobi_pair = `
+fn pair(r: u32, k: u32, n: u32) -> vec2<u32> {
+    var a: u32 = n - 1;
+    var b: u32 = r;
+    if(k > 0){
+        a = (r + k) % (n - 1);
+        b = (r + n - 1 - k) % (n - 1);
+    }
+    return vec2<u32>(min(a, b), max(a, b));
+}
+
+// tan of rotation angle for (q - p) / (2 pq)
+fn jacobi_tan(z: f32) -> f32 {
+    return select(-1.0, 1.0, z >= 0.0) / (abs(z) + sqrt(1.0 + z * z));
+}`;
+
+/*
+ * Two-sided Jacobi for Symmetric Eigen Decomposition
+ *
+ * a [N, N] is diagonalized in-place (A <- J^T A J), and v accumulates rotations (V <- V J).
+ * Only lower triangle of a is used.
+ * Eigenvalues are sorted in ascending order.
+ */
+const eigh_jacobi = (size, sweeps, a, v, cs, values, vectors) => `
+${binding("a", a, true)}
+
+${binding("v", v, true)}
+
+${binding("cs", cs, true)}
+
+${binding("values", values, true)}
+
+${binding("vectors", vectors, true)}
+
+override N: u32;
+override EPS: f32;
+
+var<workgroup> partial: array<f32, ${size}>;
+var<workgroup> changed: u32;
+
+${_jacobi_pair}
+
+${_batch_main(size)}
+    if(w >= arrayLength(&values) / N){ return; }
+
+    let A: u32 = w * N * N;
+    let n: u32 = N + N % 2;
+    let C: u32 = w * n;
+
+    for(var e: u32 = t; e < N * N; e += ${size}){
+        let i: u32 = e / N;
+        let j: u32 = e % N;
+        if(j > i){
+            a[A + e] = a[A + j * N + i];
+        }
+        v[A + e] = select(0.0, 1.0, i == j);
+    }
+    storageBarrier();
+
+    // Frobenius norm is invariant under rotations.
+    var ss: f32 = 0.0;
+    for(var e: u32 = t; e < N * N; e += ${size}){
+        ss += a[A + e] * a[A + e];
+    }
+    partial[t] = ss;
+    workgroupBarrier();
+    for(var h: u32 = ${size / 2}; h > 0; h >>= 1){
+        if(t < h){
+            partial[t] += partial[t + h];
+        }
+        workgroupBarrier();
+    }
+    let tol: f32 = EPS * sqrt(partial[0]);
+
+    for(var sweep: u32 = 0; sweep < ${sweeps}; sweep++){
+        if(t == 0){
+            changed = 0u;
+        }
+        workgroupBarrier();
+
+        for(var r: u32 = 0; r < n - 1; r++){
+            for(var k: u32 = t; k < n / 2; k += ${size}){
+                let pq: vec2<u32> = pair(r, k, n);
+                var c: f32 = 1.0;
+                var s: f32 = 0.0;
+                if(pq.y < N){
+                    let apq: f32 = a[A + pq.x * N + pq.y];
+                    if(abs(apq) > tol){
+                        let tt: f32 = jacobi_tan((a[A + pq.y * N + pq.y] - a[A + pq.x * N + pq.x]) / (2.0 * apq));
+                        c = 1.0 / sqrt(1.0 + tt * tt);
+                        s = tt * c;
+                        changed = 1u;
+                    }
+                }
+                cs[C + 2 * k] = c;
+                cs[C + 2 * k + 1] = s;
+            }
+            storageBarrier();
+
+            // Rows
+            for(var e: u32 = t; e < (n / 2) * N; e += ${size}){
+                let k: u32 = e / N;
+                let j: u32 = e % N;
+                let pq: vec2<u32> = pair(r, k, n);
+                if(pq.y < N){
+                    let c: f32 = cs[C + 2 * k];
+                    let s: f32 = cs[C + 2 * k + 1];
+                    let x: f32 = a[A + pq.x * N + j];
+                    let y: f32 = a[A + pq.y * N + j];
+                    a[A + pq.x * N + j] = c * x - s * y;
+                    a[A + pq.y * N + j] = s * x + c * y;
+                }
+            }
+            storageBarrier();
+
+            // Columns
+            for(var e: u32 = t; e < (n / 2) * N; e += ${size}){
+                let k: u32 = e / N;
+                let i: u32 = e % N;
+                let pq: vec2<u32> = pair(r, k, n);
+                if(pq.y < N){
+                    let c: f32 = cs[C + 2 * k];
+                    let s: f32 = cs[C + 2 * k + 1];
+                    let x: f32 = a[A + i * N + pq.x];
+                    let y: f32 = a[A + i * N + pq.y];
+                    a[A + i * N + pq.x] = c * x - s * y;
+                    a[A + i * N + pq.y] = s * x + c * y;
+
+                    let vx: f32 = v[A + i * N + pq.x];
+                    let vy: f32 = v[A + i * N + pq.y];
+                    v[A + i * N + pq.x] = c * vx - s * vy;
+                    v[A + i * N + pq.y] = s * vx + c * vy;
+                }
+            }
+            storageBarrier();
+        }
+
+        if(workgroupUniformLoad(&changed) == 0u){ break; }
+    }
+
+    for(var i: u32 = t; i < N; i += ${size}){
+        let d: f32 = a[A + i * N + i];
+        var rank: u32 = 0;
+        for(var j: u32 = 0; j < N; j++){
+            let dj: f32 = a[A + j * N + j];
+            if((dj < d) || ((dj == d) && (j < i))){
+                rank++;
+            }
+        }
+        values[w * N + rank] = d;
+        for(var row: u32 = 0; row < N; row++){
+            vectors[A + row * N + rank] = v[A + row * N + i];
+        }
+    }
+}
+`;
+
+/*
+ * One-sided (Hestenes) Jacobi for Singular Value Decomposition (M >= N)
+ *
+ * Columns of a [M, N] are orthogonalized in-place (A <- A J), and v accumulates rotations.
+ * Then, A = U S V^T with U = A / |A|, S = |A| (column norms).
+ * Singular values are sorted in descending order.
+ */
+const svd_jacobi = (size, sweeps, a, v, cs, u, s, vt) => `
+${binding("a", a, true)}
+
+${binding("v", v, true)}
+
+${binding("cs", cs, true)}
+
+${binding("u", u, true)}
+
+${binding("s", s, true)}
+
+${binding("vt", vt, true)}
+
+override M: u32;
+override N: u32;
+override EPS: f32;
+
+var<workgroup> changed: u32;
+
+${_jacobi_pair}
+
+${_batch_main(size)}
+    if(w >= arrayLength(&s) / N){ return; }
+
+    let A: u32 = w * M * N;
+    let V: u32 = w * N * N;
+    let n: u32 = N + N % 2;
+    let C: u32 = w * n;
+
+    for(var e: u32 = t; e < N * N; e += ${size}){
+        v[V + e] = select(0.0, 1.0, e / N == e % N);
+    }
+    storageBarrier();
+
+    for(var sweep: u32 = 0; sweep < ${sweeps}; sweep++){
+        if(t == 0){
+            changed = 0u;
+        }
+        workgroupBarrier();
+
+        for(var r: u32 = 0; r < n - 1; r++){
+            for(var k: u32 = t; k < n / 2; k += ${size}){
+                let pq: vec2<u32> = pair(r, k, n);
+                var c: f32 = 1.0;
+                var sn: f32 = 0.0;
+                if(pq.y < N){
+                    var alpha: f32 = 0.0;
+                    var beta: f32 = 0.0;
+                    var gamma: f32 = 0.0;
+                    for(var i: u32 = 0; i < M; i++){
+                        let x: f32 = a[A + i * N + pq.x];
+                        let y: f32 = a[A + i * N + pq.y];
+                        alpha += x * x;
+                        beta += y * y;
+                        gamma += x * y;
+                    }
+                    if(abs(gamma) > EPS * sqrt(alpha * beta)){
+                        let tt: f32 = jacobi_tan((beta - alpha) / (2.0 * gamma));
+                        c = 1.0 / sqrt(1.0 + tt * tt);
+                        sn = tt * c;
+                        changed = 1u;
+                    }
+                }
+                cs[C + 2 * k] = c;
+                cs[C + 2 * k + 1] = sn;
+            }
+            storageBarrier();
+
+            for(var e: u32 = t; e < (n / 2) * M; e += ${size}){
+                let k: u32 = e / M;
+                let i: u32 = e % M;
+                let pq: vec2<u32> = pair(r, k, n);
+                if(pq.y < N){
+                    let c: f32 = cs[C + 2 * k];
+                    let sn: f32 = cs[C + 2 * k + 1];
+                    let x: f32 = a[A + i * N + pq.x];
+                    let y: f32 = a[A + i * N + pq.y];
+                    a[A + i * N + pq.x] = c * x - sn * y;
+                    a[A + i * N + pq.y] = sn * x + c * y;
+                }
+            }
+            for(var e: u32 = t; e < (n / 2) * N; e += ${size}){
+                let k: u32 = e / N;
+                let i: u32 = e % N;
+                let pq: vec2<u32> = pair(r, k, n);
+                if(pq.y < N){
+                    let c: f32 = cs[C + 2 * k];
+                    let sn: f32 = cs[C + 2 * k + 1];
+                    let x: f32 = v[V + i * N + pq.x];
+                    let y: f32 = v[V + i * N + pq.y];
+                    v[V + i * N + pq.x] = c * x - sn * y;
+                    v[V + i * N + pq.y] = sn * x + c * y;
+                }
+            }
+            storageBarrier();
+        }
+
+        if(workgroupUniformLoad(&changed) == 0u){ break; }
     }
-    var i: u32 = O / out_strides[0];
-    ${s("L += i * lhs_strides[0];", lhs)}
-    ${s("R += i * rhs_strides[0];", rhs)}
-
-    let LHS = ${lhs.conv ?? ""}(${v("lhs", lhs, "L")});
-    let RHS = ${rhs.conv ?? ""}(${v("rhs", rhs, "R")});
 
-    out[id.x] = ${out.conv}(LHS ${op} RHS);
+    // Column norms
+    for(var j: u32 = t; j < N; j += ${size}){
+        var ss: f32 = 0.0;
+        for(var i: u32 = 0; i < M; i++){
+            ss += a[A + i * N + j] * a[A + i * N + j];
+        }
+        cs[C + j] = sqrt(ss);
+    }
+    storageBarrier();
+
+    for(var j: u32 = t; j < N; j += ${size}){
+        let sj: f32 = cs[C + j];
+        var rank: u32 = 0;
+        for(var i: u32 = 0; i < N; i++){
+            let si: f32 = cs[C + i];
+            if((si > sj) || ((si == sj) && (i < j))){
+                rank++;
+            }
+        }
+        s[w * N + rank] = sj;
+        for(var i: u32 = 0; i < M; i++){
+            u[A + i * N + rank] = select(0.0, a[A + i * N + j] / sj, sj > 0.0);
+        }
+        for(var i: u32 = 0; i < N; i++){
+            vt[V + rank * N + i] = v[V + i * N + j];
+        }
+    }
 }
 `;
 
-const func1 = (f, size, arg, out) => `
-${f16(arg, out)}
+/*
+ * Fast Fourier Transform
+ *
+ * Complex numbers are vec2<f32> (real, imaginary),
+ * and each row of length N is transformed independently.
+ */
 
-${binding("arg", arg)}
+/*
+ * A radix-2 pass of Stockham auto-sort FFT (x -> y)
+ *
+ * Passes run with (n, s) = (N, 1), (N/2, 2), ..., (2, N/2), swapping x and y.
+ * twiddle[k] = exp(-2 pi i k / N) for k < N/2, which is conjugated for inverse.
+ *
+ * info: [N, s, inverse]
+ */
+const fft_stockham = (size, x, y, twiddle, info) => `
+${binding("x", x)}
 
-${binding("out", out, true)}
+${binding("y", y, true)}
+
+${binding("twiddle", twiddle)}
+
+${binding("info", info)}
+
+${_complex}
 
 @compute @workgroup_size(${size})
-fn main(@builtin(global_invocation_id) id: vec3<u32>){
-    if(id.x >= arrayLength(&out)){ return; }
+fn main(@builtin(global_invocation_id) id: vec3<u32>,
+        @builtin(num_workgroups) nw: vec3<u32>){
+    let e: u32 = id.x + id.y * nw.x * ${size};
+    if(e >= arrayLength(&x) / 2){ return; }
+
+    let N: u32 = info[0];
+    let s: u32 = info[1];
+    let half: u32 = N / 2;
+    let m: u32 = half / s;
+
+    let base: u32 = (e / half) * N;
+    let p: u32 = (e % half) / s;
+    let q: u32 = (e % half) % s;
+
+    var w: vec2<f32> = twiddle[p * s];
+    if(info[2] != 0){
+        w.y = -w.y;
+    }
 
-    out[id.x] = ${out.conv}(${f}(${arg.conv}(${v("arg", arg, "id.x")})));
+    let a: vec2<f32> = x[base + q + s * p];
+    let b: vec2<f32> = x[base + q + s * (p + m)];
+    y[base + q + s * 2 * p] = a + b;
+    y[base + q + s * (2 * p + 1)] = cmul(a - b, w);
 }
 `;
 
-const func2 = (f, size, args, out) => `
-${f16(...args, size)}
+/*
+ * Multiply rows of x by c, and crop or zero-pad into y (for Bluestein's algorithm)
+ *
+ * info: [x row length, y row length, c length]
+ */
+const fft_chirp = (size, x, c, y, info) => `
+${binding("x", x)}
 
-${binding("arg0", args[0])}
+${binding("c", c)}
 
-${binding("arg1", args[1])}
+${binding("y", y, true)}
 
-${binding("out", out, true)}
+${binding("info", info)}
+
+${_complex}
 
 @compute @workgroup_size(${size})
-fn main(@builtin(global_invocation_id) id: vec3<u32>){
-    if(id.x >= arrayLength(&out)){ return; }
+fn main(@builtin(global_invocation_id) id: vec3<u32>,
+        @builtin(num_workgroups) nw: vec3<u32>){
+    let e: u32 = id.x + id.y * nw.x * ${size};
+    if(e >= arrayLength(&y)){ return; }
 
-    let A0 = ${args[0].conv}(${v("arg0", args[0], "id.x")});
-    let A1 = ${args[1].conv}(${v("arg1", args[1], "id.x")});
-    out[id.x] = ${out.conv}(${f}(A0, A1));
+    let row: u32 = e / info[1];
+    let j: u32 = e % info[1];
+
+    var v: vec2<f32> = vec2<f32>(0.0, 0.0);
+    if((j < info[0]) && (j < info[2])){
+        v = cmul(x[row * info[0] + j], c[j]);
+    }
+    y[e] = v;
 }
 `;
 
-const func2_indirect = (f, size, args, out, args_strides, out_strides) => `
-${f16(...args, out)}
-
-${binding("arg0", args[0])}
+/*
+ * Image index helpers for conv2d / pool2d
+ *
+ * info: [N, C, H, W, OC, OH, OW, KH, KW, stride (y, x), padding (y, x), dilation (y, x), groups,
+ *        x strides (n, c, y, x), x offset, out strides (n, c, y, x), out offset, ...]
+ */
+const _image = `
+fn x_index(n: u32, c: u32, y: u32, x: u32) -> u32 {
+    return info[20] + n * info[16] + c * info[17] + y * info[18] + x * info[19];
+}
 
-${binding("arg1", args[1])}
+fn out_index(n: u32, c: u32, y: u32, x: u32) -> u32 {
+    return info[25] + n * info[21] + c * info[22] + y * info[23] + x * info[24];
+}`;
 
-${binding("out", out, true)}
+/*
+ * 2D Convolution as tiled implicit GEMM
+ *
+ * For each group (wid.z % groups), out[pixel, oc] = sum_k im2col[pixel, k] * weight[k, oc],
+ * where pixel = (n, oy, ox) and k = (c, ky, kx) in the group.
+ *
+ * Input position is y = oy * stride - padding + ky * dilation for convolution.
+ * For transposed convolution, y = (oy + padding - ky * dilation) / stride only if divisible.
+ *
+ * weight: [OC, C / groups, KH, KW] (transpose: [C, OC / groups, KH, KW])
+ * info: [..., weight offset, bias offset]
+ */
+const conv2d = (tile, transpose, dtype, x, weight, bias, out, info) => `
+${f16(x, weight, bias, out)}
 
-${s(binding("arg0_strides", args_strides[0]), args_strides[0])}
+${binding("x", x)}
 
-${s(binding("arg1_strides", args_strides[1]), args_strides[1])}
+${binding("weight", weight)}
 
-${binding("out_strides", out_strides)}
+${binding("bias", bias)}
 
-@compute @workgroup_size(${size})
-fn main(@builtin(global_invocation_id) id: vec3<u32>){
-    if(id.x >= arrayLength(&out)){ return; }
+${binding("out", out, true)}
 
-    var O: u32 = id.x;
-    ${s("var I0: u32 = 0;", args[0])}
-    ${s("var I1: u32 = 0;", args[1])}
-    for(var s: u32 = arrayLength(&out_strides) -1; s > 0; s--){
-        let iN: u32 = O % out_strides[s-1];
-        var i: u32 = iN / out_strides[s];
-        ${s("I0 += i * arg0_strides[s];", args[0])}
-        ${s("I1 += i * arg1_strides[s];", args[1])}
-        O -= i;
-    }
-    var i: u32 = O / out_strides[0];
-    ${s("I0 += i * arg0_strides[0];", args[0])}
-    ${s("I1 += i * arg1_strides[0];", args[1])}
-
-    let A0 = ${args[0].conv}(${v("arg0", args[0], "I0")});
-    let A1 = ${args[1].conv}(${v("arg1", args[1], "I1")});
-    out[id.x] = ${out.conv}(${f}(A0, A1));
-}
-`;
+${binding("info", info)}
 
+${_image}
 
-const reduce_op = (op, size, arg, out) => `
-${f16(arg, out)}
+fn position(o: u32, k: u32, i: u32) -> i32 {
+    let s: i32 = i32(info[9 + i]);
+    let p: i32 = i32(info[11 + i]);
+    let d: i32 = i32(info[13 + i]);
+    ${transpose ?
+      `let t: i32 = i32(o) + p - i32(k) * d;
+    if((t < 0) || (t % s != 0)){ return -1; }
+    return t / s;` :
+      `return i32(o) * s - p + i32(k) * d;`}
+}
 
-${binding("arg", arg)}
+fn im2col(n: u32, c: u32, oy: u32, ox: u32, ky: u32, kx: u32) -> ${dtype} {
+    let iy: i32 = position(oy, ky, 0);
+    let ix: i32 = position(ox, kx, 1);
+    if((iy < 0) || (iy >= i32(info[2])) || (ix < 0) || (ix >= i32(info[3]))){
+        return ${dtype}(0);
+    }
+    return ${x.conv}(x[x_index(n, c, u32(iy), u32(ix))]);
+}
 
-${binding("out", out, true)}
+var<workgroup> x_tile: array<array<${dtype}, ${tile}>, ${tile}>;
+var<workgroup> w_tile: array<array<${dtype}, ${tile}>, ${tile}>;
+
+@compute @workgroup_size(${tile}, ${tile})
+fn main(@builtin(workgroup_id) wid: vec3<u32>,
+        @builtin(local_invocation_id) lid: vec3<u32>,
+        @builtin(num_workgroups) nw: vec3<u32>){
+    let C: u32 = info[1];
+    let OC: u32 = info[4];
+    let OH: u32 = info[5];
+    let OW: u32 = info[6];
+    let KHW: u32 = info[7] * info[8];
+    let G: u32 = info[15];
+    let CG: u32 = C / G;
+    let OCG: u32 = OC / G;
+
+    let P: u32 = info[0] * OH * OW;
+    let K: u32 = CG * KHW;
+
+    // Pixel tiles exceeding nw.y are folded into z.
+    let g: u32 = wid.z % G;
+    let row: u32 = ((wid.z / G) * nw.y + wid.y) * ${tile} + lid.y;
+    let col: u32 = wid.x * ${tile} + lid.x;
+
+    let n: u32 = row / (OH * OW);
+    let oy: u32 = (row / OW) % OH;
+    let ox: u32 = row % OW;
+
+    var acc: ${dtype} = ${dtype}(0);
+    for(var t: u32 = 0; t < K; t += ${tile}){
+        let xk: u32 = t + lid.x;
+        x_tile[lid.y][lid.x] = ${dtype}(0);
+        if((row < P) && (xk < K)){
+            let r: u32 = xk % KHW;
+            x_tile[lid.y][lid.x] = im2col(n, g * CG + xk / KHW, oy, ox, r / info[8], r % info[8]);
+        }
 
-@compute @workgroup_size(${size})
-fn main(@builtin(global_invocation_id) id: vec3<u32>){
-    if(id.x >= arrayLength(&out)){ return; }
+        let wk: u32 = t + lid.y;
+        w_tile[lid.y][lid.x] = ${dtype}(0);
+        if((wk < K) && (col < OCG)){
+            ${transpose ?
+              `let w: u32 = ((g * CG + wk / KHW) * OCG + col) * KHW + wk % KHW;` :
+              `let w: u32 = (g * OCG + col) * K + wk;`}
+            w_tile[lid.y][lid.x] = ${weight.conv}(weight[info[26] + w]);
+        }
+        workgroupBarrier();
 
-    let N: u32 = arrayLength(&arg);
-    let size: u32 = ${size};
-    var v = arg[id.x];
-    for(var i = id.x + size; i < N; i += size){
-        v = v ${op} arg[i];
+        for(var k: u32 = 0; k < ${tile}; k++){
+            acc += x_tile[lid.y][k] * w_tile[k][lid.x];
+        }
+        workgroupBarrier();
     }
 
-    out[id.x] = ${out.conv}(v);
+    if((row < P) && (col < OCG)){
+        let oc: u32 = g * OCG + col;
+        out[out_index(n, oc, oy, ox)] = ${out.conv}(acc + ${bias.conv}(bias[info[27] + oc]));
+    }
 }
 `;
 
-
-const reduce_func = (f, size, arg, out) => `
-${f16(arg, out)}
-
-${binding("arg", arg)}
+/*
+ * 2D Max / Average Pooling with Tiling
+ *
+ * A workgroup computes a TY x TX (info[27], info[28]) tile of outputs in a (n, c) plane.
+ * When tiled, the input region of the tile is loaded into workgroup memory once,
+ * so that overlapping windows don't read global memory repeatedly.
+ * Otherwise (window is larger than the region), windows read global memory directly.
+ *
+ * Padded elements are ignored for max, and counted as 0 for average
+ * if count_include_pad. Max of a window without unpadded elements
+ * (possible with dilation) is identity.
+ *
+ * info: [..., count_include_pad, TY, TX]
+ */
+const pool2d = (tile, region, tiled, average, identity, dtype, x, out, info) => `
+${f16(x, out)}
+
+${binding("x", x)}
 
 ${binding("out", out, true)}
 
-@compute @workgroup_size(${size})
-fn main(@builtin(global_invocation_id) id: vec3<u32>){
-    if(id.x >= arrayLength(&out)){ return; }
-
-    let N: u32 = arrayLength(&arg);
-    let size: u32 = ${size};
-    var v = ${arg.conv}(arg[id.x]);
-    for(var i = id.x + size; i < N; i += size){
-        v = ${f}(v, ${arg.conv}(arg[i]));
+${binding("info", info)}
+
+${infinity(dtype)}
+
+${_image}
+
+${tiled ? `var<workgroup> x_tile: array<${dtype}, ${region}>;` : ""}
+
+@compute @workgroup_size(${tile}, ${tile})
+fn main(@builtin(workgroup_id) wid: vec3<u32>,
+        @builtin(local_invocation_id) lid: vec3<u32>,
+        @builtin(num_workgroups) nw: vec3<u32>){
+    let C: u32 = info[1];
+    let OH: u32 = info[5];
+    let OW: u32 = info[6];
+    let TY: u32 = info[27];
+    let TX: u32 = info[28];
+    let BY: u32 = (OH + TY - 1) / TY;
+    let BX: u32 = (OW + TX - 1) / TX;
+
+    let w: u32 = wid.x + wid.y * nw.x;
+    if(w >= info[0] * C * BY * BX){ return; }
+
+    let n: u32 = w / (C * BY * BX);
+    let c: u32 = (w / (BY * BX)) % C;
+    let oy0: u32 = ((w / BX) % BY) * TY;
+    let ox0: u32 = (w % BX) * TX;
+
+    // Top-left input position of the tile
+    let y0: i32 = i32(oy0 * info[9]) - i32(info[11]);
+    let x0: i32 = i32(ox0 * info[10]) - i32(info[12]);
+    let RW: u32 = (TX - 1) * info[10] + (info[8] - 1) * info[14] + 1;
+    ${tiled ? `
+    let RH: u32 = (TY - 1) * info[9] + (info[7] - 1) * info[13] + 1;
+    for(var i: u32 = lid.y * ${tile} + lid.x; i < RH * RW; i += ${tile * tile}){
+        let iy: i32 = y0 + i32(i / RW);
+        let ix: i32 = x0 + i32(i % RW);
+        if((iy >= 0) && (iy < i32(info[2])) && (ix >= 0) && (ix < i32(info[3]))){
+            x_tile[i] = ${x.conv}(x[x_index(n, c, u32(iy), u32(ix))]);
+        }
+    }
+    workgroupBarrier();` : ""}
+
+    let oy: u32 = oy0 + lid.y;
+    let ox: u32 = ox0 + lid.x;
+    if((lid.y >= TY) || (lid.x >= TX) || (oy >= OH) || (ox >= OW)){ return; }
+
+    var acc: ${dtype} = ${dtype}(${identity});
+    var count: u32 = 0;
+    for(var ky: u32 = 0; ky < info[7]; ky++){
+        let ry: u32 = lid.y * info[9] + ky * info[13];
+        let iy: i32 = y0 + i32(ry);
+        for(var kx: u32 = 0; kx < info[8]; kx++){
+            let rx: u32 = lid.x * info[10] + kx * info[14];
+            let ix: i32 = x0 + i32(rx);
+            if((iy < 0) || (iy >= i32(info[2])) || (ix < 0) || (ix >= i32(info[3]))){
+                continue;
+            }
+            let v: ${dtype} = ${tiled ? "x_tile[ry * RW + rx]" : `${x.conv}(x[x_index(n, c, u32(iy), u32(ix))])`};
+            ${average ? "acc += v;" : "acc = select(max(acc, v), v, count == 0);"}
+            count++;
+        }
     }
+    ${average ?
+      `if(info[26] != 0){
+        count = info[7] * info[8];
+    }
+    acc /= ${dtype}(count);` : ""}
 
-    out[id.x] = ${out.conv}(v);
+    out[out_index(n, c, oy, ox)] = ${out.conv}(acc);
 }
 `;
 
-
 const _xoshiro128pp_out = (out) => (out === undefined) ?
       "" :
       `out[i] = ${(out.type === 'f32') ? 'toFloat' : ''}(rotl(s[0] + s[3], 7) + s[0]);`;
@@ -299,42 +1779,578 @@ fn main(@builtin(global_invocation_id) id: vec3<u32>){
 `;
 
 
-const flat_index = (size, strides, index, out) => `
-${binding("strides", strides)}
+/*
+ * Strided Copy
+ *
+ * info: [size, arg offset, out offset, (shape, arg stride, out stride) for each dimension...]
+ */
+const copy = (size, arg, out, info) => `
+${f16(arg, out)}
+
+${binding("arg", arg)}
+
+${binding("out", out, true)}
+
+${binding("info", info)}
+
+@compute @workgroup_size(${size})
+fn main(@builtin(global_invocation_id) id: vec3<u32>){
+    if(id.x >= info[0]){ return; }
+
+    var O: u32 = id.x;
+    var I: u32 = info[1];
+    var J: u32 = info[2];
+    for(var d: u32 = arrayLength(&info); d > 3; d -= 3){
+        let i: u32 = O % info[d - 3];
+        O /= info[d - 3];
+        I += i * info[d - 2];
+        J += i * info[d - 1];
+    }
+
+    out[J] = ${cast(out.conv, "arg[I]", arg.type)};
+}
+`;
 
-${binding("index", index)}
+/*
+ * Flat Index for Gather
+ *
+ * out[i] = offset + sum_d (I_d * stride_d) + sum_k (fix(index_k[J_k]) * axis_stride_k)
+ *   where (I_0, I_1, ...) is the multi-index of i in shape,
+ *   and J_k = index_offset_k + sum_d (I_d * index_stride_{k,d})
+ *
+ * info: [offset,
+ *        (axis_length, axis_stride, index_offset) for each index...,
+ *        (shape, stride, index_stride_0, index_stride_1, ...) for each dimension...]
+ *
+ * Out of range index is fixed with mode ("clip" or "wrap").
+ */
+const flat_index = (size, mode, indices, info, out) => `
+${indices.map((index, k) => binding(`index${k}`, index)).join("\n\n")}
+
+${binding("info", info)}
 
 ${binding("out", out, true)}
 
+fn fix(i: i32, n: i32) -> u32 {
+    ${(mode === "wrap") ? "return u32(((i % n) + n) % n);" : "return u32(clamp(i, 0, n - 1));"}
+}
+
 @compute @workgroup_size(${size})
 fn main(@builtin(global_invocation_id) id: vec3<u32>){
     if(id.x >= arrayLength(&out)){ return; }
 
-    let n: u32 = arrayLength(&strides);
-    var I: u32 = 0;
-    for(var i = 0; i < n; i++){
-        I += index[id.x * n + i] * strides[i];
+    let start: u32 = ${1 + 3 * indices.length};
+    let width: u32 = ${2 + indices.length};
+
+    var O: u32 = id.x;
+    var I: u32 = info[0];
+    ${indices.map((_, k) => `var J${k}: u32 = info[${3 * k + 3}];`).join("\n    ")}
+    for(var d: u32 = arrayLength(&info); d > start; d -= width){
+        let p: u32 = d - width;
+        let i: u32 = O % info[p];
+        O /= info[p];
+
+        I += i * info[p+1];
+        ${indices.map((_, k) => `J${k} += i * info[p+${k+2}];`).join("\n        ")}
     }
+    ${indices.map((_, k) => `I += fix(i32(index${k}[J${k}]), i32(info[${3 * k + 1}])) * info[${3 * k + 2}];`).join("\n    ")}
+
     out[id.x] = I;
 }
 `;
 
-const gather = (size, from, fromIndex, to, toIndex) => `
+const gather = (size, from, fromIndex, to) => `
 ${f16(from, to)}
 
-${binding("from", from)}
+${binding("src", from)}
 
 ${binding("fromIndex", fromIndex)}
 
-${binding("to", to)}
+${binding("to", to, true)}
+
+@compute @workgroup_size(${size})
+fn main(@builtin(global_invocation_id) id: vec3<u32>){
+    if(id.x >= arrayLength(&to)){ return; }
+
+    to[id.x] = ${cast(to.conv, "src[fromIndex[id.x]]", from.type)};
+}
+`;
+
+
+/*
+ * Select the last writer for each destination: winner[toIndex[i]] = max(i + 1)
+ */
+const scatter_winner = (size, toIndex, winner) => `
+${binding("toIndex", toIndex)}
+
+@group(0) @binding(${winner.binding})
+var<storage, read_write> winner: array<atomic<u32>>;
+
+@compute @workgroup_size(${size})
+fn main(@builtin(global_invocation_id) id: vec3<u32>){
+    if(id.x >= arrayLength(&toIndex)){ return; }
+
+    atomicMax(&winner[toIndex[id.x]], id.x + 1);
+}
+`;
+
+const scatter = (size, values, valueIndex, toIndex, winner, to) => `
+${f16(values, to)}
+
+${binding("values", values)}
+
+${binding("valueIndex", valueIndex)}
+
+${binding("toIndex", toIndex)}
+
+${binding("winner", winner)}
+
+${binding("to", to, true)}
+
+@compute @workgroup_size(${size})
+fn main(@builtin(global_invocation_id) id: vec3<u32>){
+    if(id.x >= arrayLength(&toIndex)){ return; }
+
+    let j: u32 = toIndex[id.x];
+    if(winner[j] != id.x + 1){ return; }
+
+    to[j] = ${cast(to.conv, "values[valueIndex[id.x]]", values.type)};
+}
+`;
+
+/*
+ * Scatter with atomic accumulation (op: "add", "max", "min")
+ *
+ * i32 / u32 use atomic built-in functions.
+ * f32 uses compare-exchange loop on bit pattern.
+ */
+const scatter_atomic = (size, op, values, valueIndex, toIndex, to) => `
+${f16(values)}
+
+${binding("values", values)}
+
+${binding("valueIndex", valueIndex)}
 
 ${binding("toIndex", toIndex)}
 
+@group(0) @binding(${to.binding})
+var<storage, read_write> to: array<atomic<${(to.type === "f32") ? "u32" : to.type}>>;
+
+@compute @workgroup_size(${size})
+fn main(@builtin(global_invocation_id) id: vec3<u32>){
+    if(id.x >= arrayLength(&toIndex)){ return; }
+
+    let j: u32 = toIndex[id.x];
+    let v: ${to.type} = ${to.type}(values[valueIndex[id.x]]);
+${(to.type === "f32") ? `
+    var old: u32 = atomicLoad(&to[j]);
+    loop {
+        let f: f32 = bitcast<f32>(old);
+        let r = atomicCompareExchangeWeak(&to[j], old, bitcast<u32>(${(op === "add") ? "f + v" : `${op}(f, v)`}));
+        if(r.exchanged){ break; }
+        old = r.old_value;
+    }` : `
+    atomic${op[0].toUpperCase()}${op.slice(1)}(&to[j], v);`}
+}
+`;
+
+
+/*
+ * Scan (Prefix Sum) of Segments in a Workgroup
+ *
+ * data is split into contiguous segments of length L (info[0]),
+ * and each segment is split into blocks of `size * E` elements.
+ * Each workgroup scans a block in-place, and writes its total to sums.
+ *
+ * Every invocation scans E consecutive elements serially,
+ * then invocation totals are scanned with work-efficient (Blelloch) up-sweep / down-sweep,
+ * so that the total work is O(n).
+ */
+const scan = (combine, identity, exclusive, size, E, dtype, data, sums, info) => `
+${f16(data)}
+
+${binding("data", data, true)}
+
+${binding("sums", sums, true)}
+
+${binding("info", info)}
+
+${infinity(dtype)}
+
+var<workgroup> buffer: array<${dtype}, ${size}>;
+
+@compute @workgroup_size(${size})
+fn main(@builtin(workgroup_id) wid: vec3<u32>,
+        @builtin(num_workgroups) nw: vec3<u32>,
+        @builtin(local_invocation_id) lid: vec3<u32>){
+    let w: u32 = wid.x + wid.y * nw.x;
+    if(w >= arrayLength(&sums)){ return; }
+
+    let L: u32 = info[0];
+    let K: u32 = (L + ${size * E - 1}) / ${size * E};
+    let base: u32 = (w / K) * L;
+    let j0: u32 = (w % K) * ${size * E} + lid.x * ${E};
+
+    var local: array<${dtype}, ${E}>;
+    var v: ${dtype} = ${dtype}(${identity});
+    for(var e: u32 = 0; e < ${E}; e++){
+        if(j0 + e < L){
+            v = ${combine("v", "data[base + j0 + e]")};
+        }
+        local[e] = v;
+    }
+    buffer[lid.x] = v;
+    workgroupBarrier();
+
+    // Up-Sweep
+    for(var d: u32 = 1; d < ${size}; d <<= 1){
+        let i: u32 = (lid.x + 1) * 2 * d - 1;
+        if(i < ${size}){
+            buffer[i] = ${combine("buffer[i - d]", "buffer[i]")};
+        }
+        workgroupBarrier();
+    }
+
+    if(lid.x == 0){
+        sums[w] = buffer[${size - 1}];
+        buffer[${size - 1}] = ${dtype}(${identity});
+    }
+    workgroupBarrier();
+
+    // Down-Sweep
+    for(var d: u32 = ${size / 2}; d > 0; d >>= 1){
+        let i: u32 = (lid.x + 1) * 2 * d - 1;
+        if(i < ${size}){
+            let t: ${dtype} = buffer[i - d];
+            buffer[i - d] = buffer[i];
+            buffer[i] = ${combine("buffer[i]", "t")};
+        }
+        workgroupBarrier();
+    }
+
+    // Exclusive prefix of this invocation
+    let p: ${dtype} = buffer[lid.x];
+    for(var e: u32 = 0; e < ${E}; e++){
+        if(j0 + e < L){${exclusive ? `
+            if(e == 0){
+                data[base + j0] = p;
+            } else {
+                data[base + j0 + e] = ${combine("p", "local[e - 1]")};
+            }` : `
+            data[base + j0 + e] = ${combine("p", "local[e]")};`}
+        }
+    }
+}
+`;
+
+/*
+ * Combine inclusive scanned sums of previous blocks in the same segment
+ */
+const scan_add = (combine, size, E, dtype, data, sums, info) => `
+${f16(data)}
+
+${binding("data", data, true)}
+
+${binding("sums", sums)}
+
+${binding("info", info)}
+
+@compute @workgroup_size(${size})
+fn main(@builtin(workgroup_id) wid: vec3<u32>,
+        @builtin(num_workgroups) nw: vec3<u32>,
+        @builtin(local_invocation_id) lid: vec3<u32>){
+    let w: u32 = wid.x + wid.y * nw.x;
+    if(w >= arrayLength(&sums)){ return; }
+
+    let L: u32 = info[0];
+    let K: u32 = (L + ${size * E - 1}) / ${size * E};
+    if(w % K == 0){ return; }
+
+    let base: u32 = (w / K) * L;
+    let j0: u32 = (w % K) * ${size * E} + lid.x * ${E};
+    let p: ${dtype} = sums[w - 1];
+    for(var e: u32 = 0; e < ${E}; e++){
+        if(j0 + e < L){
+            data[base + j0 + e] = ${combine("p", "data[base + j0 + e]")};
+        }
+    }
+}
+`;
+
+/*
+ * Flags of non-zero element
+ */
+const nonzero_flag = (size, arg, argIndex, flags) => `
+${f16(arg)}
+
+${binding("arg", arg)}
+
+${binding("argIndex", argIndex)}
+
+${binding("flags", flags, true)}
+
+@compute @workgroup_size(${size})
+fn main(@builtin(global_invocation_id) id: vec3<u32>){
+    if(id.x >= arrayLength(&flags)){ return; }
+
+    flags[id.x] = select(0u, 1u, arg[argIndex[id.x]] != ${arg.type}(0));
+}
+`;
+
+/*
+ * Flags of the first element of each run in sorted keys
+ */
+const unique_flag = (size, keys, flags) => `
+${f16(keys)}
+
+${binding("keys", keys)}
+
+${binding("flags", flags, true)}
+
+@compute @workgroup_size(${size})
+fn main(@builtin(global_invocation_id) id: vec3<u32>){
+    if(id.x >= arrayLength(&flags)){ return; }
+
+    flags[id.x] = select(0u, 1u, (id.x == 0) || (keys[id.x] != keys[id.x - 1]));
+}
+`;
+
+/*
+ * Stream Compaction with inclusive scanned flags (pos)
+ */
+const compress = (size, arg, argIndex, pos, out) => `
+${f16(arg, out)}
+
+${binding("arg", arg)}
+
+${binding("argIndex", argIndex)}
+
+${binding("pos", pos)}
+
+${binding("out", out, true)}
+
+@compute @workgroup_size(${size})
+fn main(@builtin(global_invocation_id) id: vec3<u32>){
+    if(id.x >= arrayLength(&pos)){ return; }
+
+    let p: u32 = pos[id.x];
+    if((id.x > 0) && (p == pos[id.x - 1])){ return; }
+    if(p == 0){ return; }
+
+    out[p - 1] = arg[argIndex[id.x]];
+}
+`;
+
+/*
+ * Multi-dimensional indices of non-zero elements with inclusive scanned flags (pos)
+ *
+ * out: [ndim, count]
+ */
+const nonzero = (size, pos, shape, out) => `
+${binding("pos", pos)}
+
+${binding("shape", shape)}
+
+${binding("out", out, true)}
+
+@compute @workgroup_size(${size})
+fn main(@builtin(global_invocation_id) id: vec3<u32>){
+    if(id.x >= arrayLength(&pos)){ return; }
+
+    let p: u32 = pos[id.x];
+    if((id.x > 0) && (p == pos[id.x - 1])){ return; }
+    if(p == 0){ return; }
+
+    let ndim: u32 = arrayLength(&shape);
+    let count: u32 = arrayLength(&out) / ndim;
+
+    var O: u32 = id.x;
+    for(var d: u32 = ndim; d > 0; d--){
+        out[(d - 1) * count + p - 1] = O % shape[d - 1];
+        O /= shape[d - 1];
+    }
+}
+`;
+
+
+/*
+ * Histogram with bin edges (monotonically increasing)
+ *
+ * Bins are half-open [e_i, e_{i+1}) except the last one [e_{n-1}, e_n].
+ * Values outside of edges (and NaN) are ignored.
+ */
+const histogram = (size, arg, argIndex, edges, out) => `
+${f16(arg)}
+
+${binding("arg", arg)}
+
+${binding("argIndex", argIndex)}
+
+${binding("edges", edges)}
+
+@group(0) @binding(${out.binding})
+var<storage, read_write> out: array<atomic<u32>>;
+
 @compute @workgroup_size(${size})
 fn main(@builtin(global_invocation_id) id: vec3<u32>){
-    if((id.x >= arrayLength(&fromIndex)) || (id.x >= arrayLength(&toIndex))){ return; }
+    if(id.x >= arrayLength(&argIndex)){ return; }
+
+    let x: f32 = f32(arg[argIndex[id.x]]);
+    let n: u32 = arrayLength(&edges) - 1;
+    if(!((x >= edges[0]) && (x <= edges[n]))){ return; }
+
+    // Binary search: edges[lo] <= x < edges[hi]
+    var lo: u32 = 0;
+    var hi: u32 = n;
+    while(hi - lo > 1){
+        let mid: u32 = (lo + hi) / 2;
+        if(x >= edges[mid]){
+            lo = mid;
+        } else {
+            hi = mid;
+        }
+    }
+    atomicAdd(&out[lo], 1u);
+}
+`;
+
+
+/*
+ * Bitonic Sort
+ *
+ * keys and index are [M, P] (P: power of 2), and each row is sorted independently.
+ * Elements with index >= L are padding, which are placed after real elements.
+ * Ties are ordered by index, so that the result is stable.
+ */
+const bitonic_before = (descending, dtype) => `
+fn before(ka: ${dtype}, ia: u32, kb: ${dtype}, ib: u32, L: u32) -> bool {
+    if((ia >= L) || (ib >= L) || (ka == kb)){
+        return ia < ib;
+    }
+    return ka ${descending ? ">" : "<"} kb;
+}`;
+
+/*
+ * A single compare-exchange step (k, j) over the whole array
+ *
+ * info: [L, P, k, j]
+ */
+const bitonic_step = (size, descending, dtype, keys, index, info) => `
+${f16(keys)}
+
+${binding("keys", keys, true)}
+
+${binding("index", index, true)}
+
+${binding("info", info)}
+
+${bitonic_before(descending, dtype)}
+
+@compute @workgroup_size(${size})
+fn main(@builtin(global_invocation_id) id: vec3<u32>,
+        @builtin(num_workgroups) nw: vec3<u32>){
+    let p: u32 = id.x + id.y * nw.x * ${size};
+    if(p >= arrayLength(&keys) / 2){ return; }
+
+    let L: u32 = info[0];
+    let half: u32 = info[1] / 2;
+    let k: u32 = info[2];
+    let j: u32 = info[3];
+
+    let q: u32 = p % half;
+    let lo: u32 = (q / j) * 2 * j + (q % j);
+    let a: u32 = (p / half) * info[1] + lo;
+    let b: u32 = a + j;
+
+    let ka: ${dtype} = keys[a];
+    let ia: u32 = index[a];
+    let kb: ${dtype} = keys[b];
+    let ib: u32 = index[b];
+
+    if(before(kb, ib, ka, ia, L) == ((lo & k) == 0)){
+        keys[a] = kb;
+        index[a] = ib;
+        keys[b] = ka;
+        index[b] = ia;
+    }
+}
+`;
+
+/*
+ * Compare-exchange steps within a block of B (= 2 * size) elements on workgroup memory
+ *
+ * info: [L, P, k]
+ *   - k == 0: Sort blocks (k = 2, 4, ..., B)
+ *   - k > 0: Merge blocks (j = B/2, ..., 1) for k
+ */
+const bitonic_local = (size, descending, dtype, keys, index, info) => `
+${f16(keys)}
 
-    to[toIndex[id.x]] = from[fromIndex[id.x]];
+${binding("keys", keys, true)}
+
+${binding("index", index, true)}
+
+${binding("info", info)}
+
+${bitonic_before(descending, dtype)}
+
+var<workgroup> K: array<${dtype}, ${2 * size}>;
+var<workgroup> I: array<u32, ${2 * size}>;
+
+fn exchange(lo: u32, j: u32, up: bool, L: u32){
+    let hi: u32 = lo + j;
+    if(before(K[hi], I[hi], K[lo], I[lo], L) == up){
+        let k: ${dtype} = K[lo];
+        let i: u32 = I[lo];
+        K[lo] = K[hi];
+        I[lo] = I[hi];
+        K[hi] = k;
+        I[hi] = i;
+    }
+}
+
+@compute @workgroup_size(${size})
+fn main(@builtin(workgroup_id) wid: vec3<u32>,
+        @builtin(num_workgroups) nw: vec3<u32>,
+        @builtin(local_invocation_id) lid: vec3<u32>){
+    let w: u32 = wid.x + wid.y * nw.x;
+    if(w >= arrayLength(&keys) / ${2 * size}){ return; }
+
+    let L: u32 = info[0];
+    let P: u32 = info[1];
+    let k: u32 = info[2];
+
+    // Block offset in a row
+    let o: u32 = (w * ${2 * size}) % P;
+    let base: u32 = w * ${2 * size};
+
+    let t: u32 = lid.x;
+    K[t] = keys[base + t];
+    I[t] = index[base + t];
+    K[t + ${size}] = keys[base + t + ${size}];
+    I[t + ${size}] = index[base + t + ${size}];
+    workgroupBarrier();
+
+    if(k == 0){
+        for(var kk: u32 = 2; kk <= ${2 * size}; kk <<= 1){
+            for(var j: u32 = kk / 2; j > 0; j >>= 1){
+                let lo: u32 = (t / j) * 2 * j + (t % j);
+                exchange(lo, j, ((o + lo) & kk) == 0, L);
+                workgroupBarrier();
+            }
+        }
+    } else {
+        for(var j: u32 = ${size}; j > 0; j >>= 1){
+            let lo: u32 = (t / j) * 2 * j + (t % j);
+            exchange(lo, j, ((o + lo) & k) == 0, L);
+            workgroupBarrier();
+        }
+    }
+
+    keys[base + t] = K[t];
+    index[base + t] = I[t];
+    keys[base + t + ${size}] = K[t + ${size}];
+    index[base + t + ${size}] = I[t + ${size}];
 }
 `;
 
@@ -354,10 +2370,10 @@ ${binding("out", out, true)}
 fn main(@builtin(global_invocation_id) id: vec3<u32>){
     if(id.x >= arrayLength(&out)){ return; }
 
-    let F = ${False.conv ?? ""}(${v("False", False, "id.x")});
-    let T = ${ True.conv ?? ""}(${v( "True",  True, "id.x")});
+    let F = ${cast(False.conv, v("False", False, "id.x"), False.type)};
+    let T = ${cast( True.conv, v( "True",  True, "id.x"),  True.type)};
     let C = bool(${v("cond", cond, "id.x")});
-    out[id.x] = ${out.conv ?? ""}(select(F, T, C));
+    out[id.x] = ${cast(out.conv, "select(F, T, C)", True.conv || True.type)};
 }
 `;
 
@@ -386,41 +2402,48 @@ ${binding("out_strides", out_strides)}
 
 @compute @workgroup_size(${size})
 fn main(@builtin(global_invocation_id) id: vec3<u32>){
-    if(id.x >= arrayLength(&out)){ return; }
+    if(id.x >= out_strides[0]){ return; }
 
     var O: u32 = id.x;
-    ${s("var C: u32 = 0;", cond_strides)}
-    ${s("var T: u32 = 0;", True_strides)}
-    ${s("var F: u32 = 0;", False_strides)}
-    for(var s: u32 = arrayLength(&out_strides) -1; s > 0; s--){
-        let iN: u32 = O % out_strides[s-1];
-        var i: u32 = iN / out_strides[s];
-        ${s("C += i * cond_strides[s];", cond_strides)}
-        ${s("T += i * True_strides[s];", True_strides)}
-        ${s("F += i * False_strides[s];", False_strides)}
-        O -= i;
-    }
-    var i: u32 = O / out_strides[0];
-    ${s("C += i * cond_strides[0];", cond_strides)}
-    ${s("T += i * True_strides[0];", True_strides)}
-    ${s("F += i * False_strides[0];", False_strides)}
+    var J: u32 = out_strides[1];
+    ${s("var C: u32 = cond_strides[arrayLength(&cond_strides) - 1];", cond_strides)}
+    ${s("var T: u32 = True_strides[arrayLength(&True_strides) - 1];", True_strides)}
+    ${s("var F: u32 = False_strides[arrayLength(&False_strides) - 1];", False_strides)}
+    for(var d: u32 = 0; 2 * d + 2 < arrayLength(&out_strides); d++){
+        let c: u32 = out_strides[2 * d + 2];
+        let i: u32 = O / c;
+        O -= i * c;
+        ${s("C += i * cond_strides[d];", cond_strides)}
+        ${s("T += i * True_strides[d];", True_strides)}
+        ${s("F += i * False_strides[d];", False_strides)}
+        J += i * out_strides[2 * d + 3];
+    }
 
     let COND  = bool(${v("cond", cond, "C")});
-    let TRUE  = ${ True.conv ?? ""}(${v( "True",  True, "T")});
-    let FALSE = ${False.conv ?? ""}(${v("False", False, "F")});
+    let TRUE  = ${cast( True.conv, v( "True",  True, "T"),  True.type)};
+    let FALSE = ${cast(False.conv, v("False", False, "F"), False.type)};
 
-    out[id.x] = ${out.conv ?? ""}(select(FALSE, TRUE, COND));
+    out[J] = ${cast(out.conv, "select(FALSE, TRUE, COND)", True.conv || True.type)};
 }
 `;
 
 
 export {
     vector_op, vector_op_indirect,
-    func1,
+    func1, func1_indirect,
     func2, func2_indirect,
-    reduce_op, reduce_func,
+    func3, func3_indirect,
+    reduce_op, reduce_func, arg_reduce,
+    matmul,
+    lu_factor, lu_solve, lu_unpack, cholesky, qr, qr_unpack,
+    eigh_jacobi, svd_jacobi,
+    fft_stockham, fft_chirp,
+    conv2d, pool2d,
     xoshiro128pp, xoshiro128pp_init,
     box_muller,
-    flat_index, gather,
+    copy,
+    flat_index, gather, scatter_winner, scatter, scatter_atomic,
+    scan, scan_add, nonzero_flag, unique_flag, compress, nonzero,
+    histogram, bitonic_step, bitonic_local,
     where, where_indirect,
 };
@@ -111,6 +111,15 @@ const assertThrow = (f) => {
     throw new Error(`Fail Throw: No Error are thrown`);
 };
 
+const assertThrowAsync = async (f) => {
+    try {
+        await f();
+    } catch(e){
+        return;
+    }
+    throw new Error(`Fail Throw: No Error are thrown`);
+};
+
 const Run = async (f, result, detail) => {
     try {
         await f();
@@ -172,5 +181,5 @@ export {
     TEST,
     assertEqual, assertAlmostEqual,
     assertTruthy, assertFalsy,
-    assertThrow,
+    assertThrow, assertThrowAsync,
 };